@@ -32,6 +32,8 @@
    ============================================================ */
 const fs = require('fs');
 const path = require('path');
+const { domainToUnicode } = require('url');
+const vm = require('vm');
 
 const keepAlive = require('./keepalive.js');
 keepAlive();
@@ -49,6 +51,10 @@ const {
   SlashCommandBuilder,
   ActivityType,
   ChannelType,
+  OverwriteType,
+  GuildVerificationLevel,
+  GuildFeature,
+  AuditLogEvent,
 } = require('discord.js');
 
 require('dotenv').config(); // load .env variables
@@ -81,6 +87,11 @@ if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR);
 const FILES = {
   CONFIG: path.join(DATA_DIR, 'config.json'),
   USERS: path.join(DATA_DIR, 'users.json'),
+  JOBS: path.join(DATA_DIR, 'jobs.json'),
+  BACKUPS: path.join(DATA_DIR, 'safemode_backups.json'),
+  PHISHING: path.join(DATA_DIR, 'phishing_domains.json'),
+  CASES: path.join(DATA_DIR, 'cases.json'),
+  RAIDS: path.join(DATA_DIR, 'raids.json'),
   LOG: path.join(DATA_DIR, 'bot.log'),
 };
 
@@ -90,11 +101,51 @@ const MAX_MESSAGE_LENGTH = 2000;
 
 const MAX_ANTISPAM_WINDOW = 10 * 1000; // 10 seconds default window
 const MAX_ANTISPAM_MESSAGES = 5;
+// Content detectors: limit per message (0 = off). caps is a percentage of letters.
+// All start off so that enabling antispam only catches floods until a server opts in.
+const DEFAULT_ANTISPAM_DETECTORS = { duplicates: 0, mentions: 0, caps: 0, emoji: 0, newlines: 0 };
+// Punishment ladder applied on successive strikes: delete | timeout:<dur> | kick | ban
+const DEFAULT_ANTISPAM_ESCALATION = ['timeout:5m', 'timeout:1h'];
+const ANTISPAM_STRIKE_RESET_MS = 10 * 60 * 1000; // strikes are forgotten after 10 quiet minutes
+
+// Anti-nuke defaults; each guild can override these via `antinuke threshold/window`
+const DEFAULT_NUKE_WINDOW_MS = 10 * 1000; // 10 sec window for mass actions detection
+const DEFAULT_NUKE_THRESHOLDS = { // number of actions by one executor within the window considered suspicious (0 = off)
+  channelDeletes: 3,
+  roleDeletes: 3,
+  bans: 3,
+  kicks: 3,
+  webhookCreates: 3,
+  channelCreates: 5,
+  roleCreates: 5,
+  roleEscalations: 2,
+};
+
+// Anti-raid defaults; each guild can override these via `raid threshold/cluster/action`
+const DEFAULT_ANTIRAID = {
+  enabled: false,
+  joins: 10, // join-rate trigger: this many joins...
+  windowSec: 10, // ...within this many seconds
+  clusterSize: 5, // cluster trigger: this many similar new accounts...
+  accountAgeDays: 7, // ...each younger than this
+  action: 'timeout', // 'timeout' or 'kick' for the join wave
+  timeoutMs: 60 * 60 * 1000,
+};
+const RAID_CLUSTER_WINDOW_MS = 2 * 60 * 1000; // joins considered together for clustering
+const RAID_CREATION_SPAN_MS = 60 * 60 * 1000; // accounts created within an hour of each other form a cluster
+
+// Verification gate defaults; configured per guild with the `verification` command
+const DEFAULT_VERIFICATION = {
+  enabled: false,
+  channelId: null, // channel holding the Verify panel
+  roleId: null, // granted on success
+  challenge: 'captcha', // 'captcha' or 'math'
+  timeoutMs: 10 * 60 * 1000, // kick unverified members after this (0 = never)
+  minAccountAgeDays: 0, // kick younger accounts on join (0 = off)
+};
 
-const NukeDetectionWindowMs = 10 * 1000; // 10 sec window for mass actions detection
-const NukeThresholdChannelDeletes = 3; // number of channel deletions considered suspicious
-const NukeThresholdRoleDeletes = 3;
-const NukeThresholdBans = 3;
+// Shape of each welcome/goodbye/dm greeting; configured with the `welcome` command
+const DEFAULT_GREETING = { enabled: false, channelId: null, message: '', embed: false };
 
 /* ============================================================
    EMBED COLOR PALETTE (Aesthetic Improvement)
@@ -110,7 +161,7 @@ const EMBED_COLOR_LEVEL   = 0x7646a7; // Purple - Leveling/XP
    LEVELING SYSTEM CONSTANTS
    ============================================================ */
 const XP_COOLDOWN_MS = 60 * 1000; // 1 minute cooldown for XP gain
-const lastXp = new Map(); // Map<userId, timestamp>
+const lastXp = new Map(); // Map<`${guildId}:${userId}`, timestamp>
 // Leveling formula: XP required for next level
 const xpFormula = (level) => 5 * (level ** 2) + (50 * level) + 100;
 
@@ -171,6 +222,71 @@ function safeWriteJSON(file, obj) {
 const config = safeReadJSON(FILES.CONFIG, {});
 const users = safeReadJSON(FILES.USERS, {});
 
+/* ============================================================
+   Utility: Per-guild user storage (XP, levels, warnings)
+   ============================================================ */
+/**
+ * users.json shape (version 2): { version: 2, guilds: { [guildId]: { [userId]: { xp, level, warns } } } }
+ * Older files were a flat { [userId]: {...} } map shared by every guild; migrateUsersStore()
+ * moves that data under MAIN_GUILD_ID (or GUILD_ID) once and keeps a copy in users.legacy.json.
+ */
+const USERS_STORE_VERSION = 2;
+
+function migrateUsersStore() {
+  if (users.version === USERS_STORE_VERSION) return;
+
+  const legacyEntries = Object.entries(users).filter(([key]) => /^\d{17,20}$/.test(key));
+  const targetGuild = MAIN_GUILD_ID || GUILD_ID;
+
+  if (legacyEntries.length > 0) {
+    safeWriteJSON(path.join(DATA_DIR, 'users.legacy.json'), users);
+  }
+
+  const migrated = { version: USERS_STORE_VERSION, guilds: {} };
+  if (legacyEntries.length > 0 && targetGuild) {
+    migrated.guilds[targetGuild] = Object.fromEntries(legacyEntries);
+    console.log(`Migrated ${legacyEntries.length} legacy user records into guild ${targetGuild}`);
+  } else if (legacyEntries.length > 0) {
+    // Without a known home guild we cannot tell where the data belongs; start fresh
+    // rather than leaking warnings/XP across servers. The original stays in users.legacy.json.
+    console.warn(`Found ${legacyEntries.length} legacy user records but neither MAIN_GUILD_ID nor GUILD_ID is set; ` +
+      'they were archived to users.legacy.json and not migrated.');
+  }
+
+  for (const key of Object.keys(users)) delete users[key];
+  Object.assign(users, migrated);
+  safeWriteJSON(FILES.USERS, users);
+}
+migrateUsersStore();
+
+function saveUsers() {
+  safeWriteJSON(FILES.USERS, users);
+}
+
+/**
+ * Get (and create if missing) a member's record for one guild.
+ */
+function getUserData(gid, uid) {
+  users.guilds[gid] = users.guilds[gid] || {};
+  const entry = users.guilds[gid][uid] = users.guilds[gid][uid] || { xp: 0, level: 0, warns: [] };
+  if (!Array.isArray(entry.warns)) entry.warns = [];
+  return entry;
+}
+
+/**
+ * Read a member's record without creating one (returns a blank record if absent).
+ */
+function peekUserData(gid, uid) {
+  return users.guilds[gid]?.[uid] || { xp: 0, level: 0, warns: [] };
+}
+
+/**
+ * All stored member records for one guild: { [userId]: {...} }
+ */
+function getGuildUsers(gid) {
+  return users.guilds[gid] || {};
+}
+
 /* ============================================================
    Utility: save config helper
    ============================================================ */
@@ -178,29 +294,126 @@ function saveConfig() {
   safeWriteJSON(FILES.CONFIG, config);
 }
 
+/* ============================================================
+   Utility: Global REST bucket
+   ============================================================ */
+/**
+ * Token bucket shared by bursty REST work (clear, safe mode lockdown, level-up
+ * messages) across all guilds, so a busy moment doesn't push the bot into
+ * Discord's global rate limit and delay moderation actions. Tokens refill continuously.
+ */
+const REST_BUCKET_CAPACITY = 20;
+const REST_BUCKET_REFILL_PER_SEC = 10;
+const restBucket = { tokens: REST_BUCKET_CAPACITY, updatedAt: Date.now() };
+
+/**
+ * Take a token if one is available.
+ * @returns {boolean} false when the bucket is empty (the call should be skipped or retried).
+ */
+function tryTakeRestToken() {
+  const now = Date.now();
+  restBucket.tokens = Math.min(REST_BUCKET_CAPACITY, restBucket.tokens + (now - restBucket.updatedAt) / 1000 * REST_BUCKET_REFILL_PER_SEC);
+  restBucket.updatedAt = now;
+  if (restBucket.tokens < 1) return false;
+  restBucket.tokens -= 1;
+  return true;
+}
+
+/**
+ * Wait until a token is available, then take it.
+ */
+async function takeRestToken() {
+  while (!tryTakeRestToken()) {
+    const waitMs = Math.ceil((1 - restBucket.tokens) / REST_BUCKET_REFILL_PER_SEC * 1000);
+    await new Promise(resolve => setTimeout(resolve, waitMs));
+  }
+}
+
 /* ============================================================
    Utility: Leveling Logic
    ============================================================ */
+/**
+ * Level role rewards live in config[gid].levelRoles:
+ *   rewards: [{ level, roleId }] (one role per level), mode: 'stack' | 'highest'
+ * 'stack' keeps every reward earned so far; 'highest' keeps only the top one.
+ * Rewards are derived from the stored level, so they come back when a member rejoins.
+ */
+const MAX_LEVEL_ROLES = 25;
+const LEVEL_ROLE_MODES = ['stack', 'highest'];
+
+function getLevelRoleSettings(gid) {
+  const levelRoles = config[gid]?.levelRoles || {};
+  const rewards = Array.isArray(levelRoles.rewards) ? levelRoles.rewards.slice().sort((a, b) => a.level - b.level) : [];
+  return { rewards, mode: LEVEL_ROLE_MODES.includes(levelRoles.mode) ? levelRoles.mode : 'stack' };
+}
+
+/**
+ * Add the reward roles a member has earned at `level` and remove the ones they
+ * shouldn't have (lower rewards in 'highest' mode, or rewards above their level).
+ * Only rewards the bot granted itself (tracked in the member's `levelRoles`) are
+ * ever removed; reward roles staff handed out by hand are left alone.
+ * @returns {Promise<{ added: string[], removed: string[] }>}
+ */
+async function applyLevelRoles(member, level) {
+  const { rewards, mode } = getLevelRoleSettings(member.guild.id);
+  const result = { added: [], removed: [] };
+  if (!rewards.length) return result;
+
+  const reached = rewards.filter(r => r.level <= level);
+  const earned = new Set((mode === 'highest' ? reached.slice(-1) : reached).map(r => r.roleId));
+  // Roles the bot can't manage (deleted, above its highest role) are skipped
+  const manageable = rewards.map(r => member.guild.roles.cache.get(r.roleId)).filter(role => role?.editable);
+  const toAdd = manageable.filter(role => earned.has(role.id) && !member.roles.cache.has(role.id)).map(role => role.id);
+  const granted = new Set(peekUserData(member.guild.id, member.id).levelRoles || []);
+  const toRemove = manageable.filter(role => !earned.has(role.id) && granted.has(role.id) && member.roles.cache.has(role.id)).map(role => role.id);
+
+  if (toAdd.length) {
+    await takeRestToken();
+    if (await member.roles.add(toAdd, `Level ${level} role rewards`).then(() => true, () => false)) result.added = toAdd;
+  }
+  if (toRemove.length) {
+    await takeRestToken();
+    if (await member.roles.remove(toRemove, `Level ${level} role rewards`).then(() => true, () => false)) result.removed = toRemove;
+  }
+  if (result.added.length || result.removed.length) {
+    result.added.forEach(id => granted.add(id));
+    result.removed.forEach(id => granted.delete(id));
+    getUserData(member.guild.id, member.id).levelRoles = [...granted];
+    saveUsers();
+  }
+  return result;
+}
+
+/**
+ * @returns {boolean} Whether the member levelled up (role rewards are then applied here).
+ */
 function checkLevelUp(member, channel, currentLevel, currentXp) {
     const nextLevelXp = xpFormula(currentLevel);
     if (currentXp >= nextLevelXp) {
         const newLevel = currentLevel + 1;
-        users[member.id].level = newLevel;
+        const userData = getUserData(member.guild.id, member.id);
+        userData.level = newLevel;
         // Carry over excess XP
-        users[member.id].xp = currentXp - nextLevelXp; 
-        safeWriteJSON(FILES.USERS, users);
+        userData.xp = currentXp - nextLevelXp; 
+        saveUsers();
 
         const embed = new EmbedBuilder()
             .setTitle(`🎉 Level Up! Level ${newLevel}`)
             .setDescription(`**Congratulations** ${member}! You've reached **Level ${newLevel}**!`)
             .setThumbnail(member.user.displayAvatarURL())
             .setColor(EMBED_COLOR_LEVEL);
+        const unlocked = getLevelRoleSettings(member.guild.id).rewards.filter(r => r.level === newLevel);
+        if (unlocked.length) embed.addFields({ name: '🎁 Role Unlocked', value: unlocked.map(r => `<@&${r.roleId}>`).join(' '), inline: false });
 
-        channel.send({ content: `${member}`, embeds: [embed] }).catch(()=>{});
+        // Level-up messages are cosmetic: skip them rather than queue when the REST bucket is empty
+        if (tryTakeRestToken()) channel.send({ content: `${member}`, embeds: [embed] }).catch(()=>{});
 
-        // Recursively check for multiple level ups
-        checkLevelUp(member, channel, newLevel, users[member.id].xp);
+        // Recursively check for multiple level ups; rewards are applied once the final level is reached
+        if (userData.xp >= xpFormula(newLevel)) return checkLevelUp(member, channel, newLevel, userData.xp);
+        applyLevelRoles(member, newLevel).catch(e => console.error('Level role rewards failed:', e));
+        return true;
     }
+    return false;
 }
 
 
@@ -211,19 +424,20 @@ function checkLevelUp(member, channel, currentLevel, currentXp) {
  * Log a moderation action to the guild's mod log channel.
  * @param {Guild} guild The guild object.
  * @param {EmbedBuilder} embed The embed containing action details.
+ * @returns {Promise<Message|null>} The sent log message (so it can be edited later), or null.
  */
 async function logModerationAction(guild, embed) {
   const gid = guild.id;
   ensureGuildConfig(gid);
   const channelId = config[gid].modLogChannel;
-  if (!channelId) return;
+  if (!channelId) return null;
 
   try {
     const logChannel = await guild.channels.fetch(channelId).catch(() => null);
     if (logChannel && logChannel.isTextBased()) {
       // Ensure the embed is colored for the log
       embed.setColor(EMBED_COLOR_MOD);
-      logChannel.send({ embeds: [embed] }).catch(()=>{});
+      return await logChannel.send({ embeds: [embed] }).catch(() => null);
     } else {
       // If the channel is gone, clear the config
       config[gid].modLogChannel = null;
@@ -232,6 +446,577 @@ async function logModerationAction(guild, embed) {
   } catch (e) {
     console.error('Failed to log moderation action:', e);
   }
+  return null;
+}
+
+
+/* ============================================================
+   Utility: Event Logging
+   ============================================================ */
+/**
+ * Server event logs, separate from the mod log. Each category posts to its own
+ * channel from config[gid].eventLogs ({ messages, members, server } = channel id
+ * or null). Message events in ignoredChannels are skipped.
+ */
+const EVENT_LOG_CATEGORIES = {
+  messages: 'Message edits & deletes',
+  members: 'Joins, leaves, nickname, role & timeout changes',
+  server: 'Channel creation & changes, role changes',
+};
+
+function clip(text, max = 1024) {
+  if (!text) return '*(empty)*';
+  return text.length > max ? `${text.substring(0, max - 3)}...` : text;
+}
+
+/**
+ * Post an embed to the guild's log channel for an event category.
+ * @returns {Promise<Message|null>}
+ */
+async function logEvent(guild, category, embed) {
+  const eventLogs = config[guild.id]?.eventLogs;
+  const channelId = eventLogs?.[category];
+  if (!channelId) return null;
+
+  try {
+    const logChannel = await guild.channels.fetch(channelId);
+    if (logChannel?.isTextBased()) {
+      return await logChannel.send({ embeds: [embed.setTimestamp()] }).catch(() => null);
+    }
+  } catch (e) {
+    // 10003 = Unknown Channel: the log channel was deleted, so stop logging this category.
+    // Anything else (rate limits, outages, missing access) may pass; keep the setting.
+    if (e.code === 10003) {
+      eventLogs[category] = null;
+      saveConfig();
+    } else {
+      console.error(`Failed to log ${category} event:`, e);
+    }
+  }
+  return null;
+}
+
+function isEventLogIgnored(message) {
+  const eventLogs = config[message.guild.id]?.eventLogs;
+  if (!eventLogs) return true;
+  // Never log activity in the log channels themselves
+  const ignored = [...(eventLogs.ignoredChannels || []), ...Object.keys(EVENT_LOG_CATEGORIES).map(c => eventLogs[c])];
+  return ignored.includes(message.channelId) || ignored.includes(message.channel?.parentId);
+}
+
+/**
+ * Collect "before → after" lines for the properties that changed.
+ * @param {Array<[label: string, before: any, after: any]>} pairs
+ * @returns {string[]}
+ */
+function diffLines(pairs) {
+  return pairs
+    .filter(([, before, after]) => before !== after)
+    .map(([label, before, after]) => `**${label}:** ${before === null || before === undefined || before === '' ? '*none*' : before} → ${after === null || after === undefined || after === '' ? '*none*' : after}`);
+}
+
+function describePermissionChanges(oldBits, newBits) {
+  const before = new PermissionsBitField(oldBits);
+  const after = new PermissionsBitField(newBits);
+  const added = after.toArray().filter(p => !before.has(p, false));
+  const removed = before.toArray().filter(p => !after.has(p, false));
+  const lines = [];
+  if (added.length) lines.push(`➕ ${added.join(', ')}`);
+  if (removed.length) lines.push(`➖ ${removed.join(', ')}`);
+  return lines;
+}
+
+async function logMessageDelete(message) {
+  if (!message.guild || message.author?.bot || isEventLogIgnored(message)) return;
+  // Uncached (partial) messages only carry their ids
+  const embed = new EmbedBuilder()
+    .setTitle('🗑️ Message Deleted')
+    .setColor(EMBED_COLOR_ERROR)
+    .addFields(
+      { name: 'Author', value: message.author ? `${message.author.tag} (\`${message.author.id}\`)` : '*Unknown (not cached)*', inline: true },
+      { name: 'Channel', value: `<#${message.channelId}>`, inline: true },
+      { name: 'Content', value: message.partial ? '*Not cached: the message was sent before the bot started or fell out of the cache.*' : clip(message.content), inline: false }
+    )
+    .setFooter({ text: `Message ID: ${message.id}` });
+  if (message.attachments?.size) {
+    embed.addFields({ name: 'Attachments', value: clip(message.attachments.map(a => a.name || a.url).join('\n')), inline: false });
+  }
+  return logEvent(message.guild, 'messages', embed);
+}
+
+async function logMessageUpdate(oldMessage, newMessage) {
+  if (!newMessage.guild || isEventLogIgnored(newMessage)) return;
+  if (newMessage.partial) newMessage = await newMessage.fetch().catch(() => null);
+  if (!newMessage || newMessage.author?.bot) return;
+  // Link unfurls and pins also fire messageUpdate; only content edits are logged
+  if (!newMessage.editedTimestamp || (!oldMessage.partial && oldMessage.content === newMessage.content)) return;
+
+  const embed = new EmbedBuilder()
+    .setTitle('✏️ Message Edited')
+    .setColor(EMBED_COLOR_WARN)
+    .setDescription(`[Jump to message](${newMessage.url})`)
+    .addFields(
+      { name: 'Author', value: `${newMessage.author.tag} (\`${newMessage.author.id}\`)`, inline: true },
+      { name: 'Channel', value: `<#${newMessage.channelId}>`, inline: true },
+      { name: 'Before', value: oldMessage.partial ? '*Not cached*' : clip(oldMessage.content), inline: false },
+      { name: 'After', value: clip(newMessage.content), inline: false }
+    )
+    .setFooter({ text: `Message ID: ${newMessage.id}` });
+  return logEvent(newMessage.guild, 'messages', embed);
+}
+
+async function logMemberJoin(member) {
+  const embed = new EmbedBuilder()
+    .setTitle('📥 Member Joined')
+    .setColor(EMBED_COLOR_SUCCESS)
+    .setThumbnail(member.user.displayAvatarURL())
+    .addFields(
+      { name: 'Member', value: `${member.user.tag} (\`${member.id}\`)`, inline: true },
+      { name: 'Account Created', value: `<t:${Math.floor(member.user.createdTimestamp / 1000)}:R>`, inline: true },
+      { name: 'Member Count', value: `${member.guild.memberCount}`, inline: true }
+    );
+  return logEvent(member.guild, 'members', embed);
+}
+
+async function logMemberLeave(member) {
+  const embed = new EmbedBuilder()
+    .setTitle('📤 Member Left')
+    .setColor(EMBED_COLOR_ERROR)
+    .setThumbnail(member.user.displayAvatarURL())
+    .addFields(
+      { name: 'Member', value: `${member.user.tag} (\`${member.id}\`)`, inline: true },
+      { name: 'Joined', value: member.joinedTimestamp ? `<t:${Math.floor(member.joinedTimestamp / 1000)}:R>` : '*Unknown*', inline: true }
+    );
+  // Partial members (not cached when they left) carry no roles
+  if (!member.partial) {
+    const roles = member.roles.cache.filter(r => r.id !== member.guild.id).map(r => `<@&${r.id}>`);
+    embed.addFields({ name: 'Roles', value: roles.length ? clip(roles.join(' ')) : '*None*', inline: false });
+  }
+  return logEvent(member.guild, 'members', embed);
+}
+
+async function logMemberUpdate(oldMember, newMember) {
+  if (oldMember.partial) return; // no before state to diff against
+  const lines = diffLines([['Nickname', oldMember.nickname, newMember.nickname]]);
+
+  const addedRoles = newMember.roles.cache.filter(r => !oldMember.roles.cache.has(r.id));
+  const removedRoles = oldMember.roles.cache.filter(r => !newMember.roles.cache.has(r.id));
+  if (addedRoles.size) lines.push(`**Roles added:** ${addedRoles.map(r => `<@&${r.id}>`).join(' ')}`);
+  if (removedRoles.size) lines.push(`**Roles removed:** ${removedRoles.map(r => `<@&${r.id}>`).join(' ')}`);
+
+  const oldTimeout = oldMember.communicationDisabledUntilTimestamp || 0;
+  const newTimeout = newMember.communicationDisabledUntilTimestamp || 0;
+  if (oldTimeout !== newTimeout) {
+    lines.push(newTimeout > Date.now() ? `**Timed out** until <t:${Math.floor(newTimeout / 1000)}:f>` : '**Timeout removed**');
+  }
+  if (!lines.length) return null;
+
+  const embed = new EmbedBuilder()
+    .setTitle('👤 Member Updated')
+    .setColor(EMBED_COLOR_INFO)
+    .setDescription(clip(lines.join('\n'), 4096))
+    .addFields({ name: 'Member', value: `${newMember.user.tag} (\`${newMember.id}\`)`, inline: true });
+  return logEvent(newMember.guild, 'members', embed);
+}
+
+async function logChannelCreate(channel) {
+  const embed = new EmbedBuilder()
+    .setTitle('📁 Channel Created')
+    .setColor(EMBED_COLOR_SUCCESS)
+    .addFields(
+      { name: 'Channel', value: `${channel} (\`${channel.name}\`)`, inline: true },
+      { name: 'Type', value: ChannelType[channel.type] || `${channel.type}`, inline: true },
+      { name: 'Category', value: channel.parent ? channel.parent.name : '*None*', inline: true }
+    )
+    .setFooter({ text: `Channel ID: ${channel.id}` });
+  return logEvent(channel.guild, 'server', embed);
+}
+
+async function logChannelUpdate(oldChannel, newChannel) {
+  const lines = diffLines([
+    ['Name', oldChannel.name, newChannel.name],
+    ['Topic', oldChannel.topic, newChannel.topic],
+    ['Category', oldChannel.parent?.name, newChannel.parent?.name],
+    ['NSFW', oldChannel.nsfw, newChannel.nsfw],
+    ['Slowmode', oldChannel.rateLimitPerUser && `${oldChannel.rateLimitPerUser}s`, newChannel.rateLimitPerUser && `${newChannel.rateLimitPerUser}s`],
+  ]);
+
+  const oldOverwrites = oldChannel.permissionOverwrites?.cache;
+  const newOverwrites = newChannel.permissionOverwrites?.cache;
+  if (oldOverwrites && newOverwrites) {
+    for (const id of new Set([...oldOverwrites.keys(), ...newOverwrites.keys()])) {
+      const before = oldOverwrites.get(id);
+      const after = newOverwrites.get(id);
+      const target = (before || after).type === OverwriteType.Role ? `<@&${id}>` : `<@${id}>`;
+      if (!before) lines.push(`**Overwrite added** for ${target}`);
+      else if (!after) lines.push(`**Overwrite removed** for ${target}`);
+      else if (before.allow.bitfield !== after.allow.bitfield || before.deny.bitfield !== after.deny.bitfield) {
+        const changes = [
+          ...describePermissionChanges(before.allow.bitfield, after.allow.bitfield).map(l => `allow ${l}`),
+          ...describePermissionChanges(before.deny.bitfield, after.deny.bitfield).map(l => `deny ${l}`),
+        ];
+        lines.push(`**Overwrite changed** for ${target}: ${changes.join('; ')}`);
+      }
+    }
+  }
+  if (!lines.length) return null;
+
+  const embed = new EmbedBuilder()
+    .setTitle('📝 Channel Updated')
+    .setColor(EMBED_COLOR_WARN)
+    .setDescription(clip(lines.join('\n'), 4096))
+    .addFields({ name: 'Channel', value: `${newChannel} (\`${newChannel.id}\`)`, inline: true });
+  return logEvent(newChannel.guild, 'server', embed);
+}
+
+async function logRoleUpdate(oldRole, newRole) {
+  const lines = diffLines([
+    ['Name', oldRole.name, newRole.name],
+    ['Color', oldRole.hexColor, newRole.hexColor],
+    ['Hoisted', oldRole.hoist, newRole.hoist],
+    ['Mentionable', oldRole.mentionable, newRole.mentionable],
+  ]);
+  const permissionChanges = describePermissionChanges(oldRole.permissions.bitfield, newRole.permissions.bitfield);
+  if (permissionChanges.length) lines.push(`**Permissions:**\n${permissionChanges.join('\n')}`);
+  if (!lines.length) return null; // position-only changes fire for every role below a moved one
+
+  const embed = new EmbedBuilder()
+    .setTitle('🔖 Role Updated')
+    .setColor(EMBED_COLOR_WARN)
+    .setDescription(clip(lines.join('\n'), 4096))
+    .addFields({ name: 'Role', value: `<@&${newRole.id}> (\`${newRole.id}\`)`, inline: true });
+  return logEvent(newRole.guild, 'server', embed);
+}
+
+
+/* ============================================================
+   Persistent Job Scheduler (tempban unbans, verification kicks)
+   ============================================================ */
+/**
+ * Jobs are stored in jobs.json so that scheduled unbans and verification kicks survive restarts.
+ * Shape: { nextId: number, jobs: [{ id, type, guildId, userId, runAt, moderatorId, reason, attempts? }] }
+ * Timers are (re)armed on 'ready' via rehydrateJobs(); overdue jobs fire immediately.
+ */
+const scheduler = safeReadJSON(FILES.JOBS, { nextId: 1, jobs: [] });
+if (!Array.isArray(scheduler.jobs)) scheduler.jobs = [];
+if (!scheduler.nextId) scheduler.nextId = 1;
+
+const jobTimers = new Map(); // Map<jobId, Timeout>
+const MAX_TIMER_MS = 2 ** 31 - 1; // setTimeout overflows above ~24.8 days
+const JOB_RETRY_BASE_MS = 60 * 1000; // first retry of a failed unban after 1 minute
+const JOB_RETRY_MAX_MS = 6 * 60 * 60 * 1000; // then doubling, up to every 6 hours
+
+function saveJobs() {
+  safeWriteJSON(FILES.JOBS, scheduler);
+}
+
+/**
+ * Arm (or re-arm) the in-memory timer for a job. Long delays are chained
+ * because setTimeout cannot wait longer than MAX_TIMER_MS in one go.
+ */
+function armJob(job) {
+  clearTimeout(jobTimers.get(job.id));
+  const delay = Math.max(0, job.runAt - Date.now());
+  const timer = setTimeout(() => {
+    if (job.runAt > Date.now()) return armJob(job);
+    runJob(job).catch(e => console.error(`Job ${job.id} failed:`, e));
+  }, Math.min(delay, MAX_TIMER_MS));
+  jobTimers.set(job.id, timer);
+}
+
+/**
+ * Persist a new job and arm its timer.
+ * @param {object} data Job fields (type, guildId, userId, runAt, moderatorId, reason).
+ * @returns {object} The stored job, including its id.
+ */
+function scheduleJob(data) {
+  const job = { id: scheduler.nextId++, ...data };
+  scheduler.jobs.push(job);
+  saveJobs();
+  armJob(job);
+  return job;
+}
+
+/**
+ * Remove a job from the store and clear its timer.
+ * @returns {object|null} The removed job, or null if it did not exist.
+ */
+function cancelJob(id) {
+  const idx = scheduler.jobs.findIndex(j => j.id === id);
+  if (idx === -1) return null;
+  const [job] = scheduler.jobs.splice(idx, 1);
+  clearTimeout(jobTimers.get(id));
+  jobTimers.delete(id);
+  saveJobs();
+  return job;
+}
+
+function getGuildJobs(guildId, type) {
+  return scheduler.jobs.filter(j => j.guildId === guildId && (!type || j.type === type));
+}
+
+/**
+ * Keep a failed unban job and try again later, backing off from
+ * JOB_RETRY_BASE_MS up to JOB_RETRY_MAX_MS. Staff are told on the first failure.
+ */
+function retryJob(guild, job, error) {
+  job.attempts = (job.attempts || 0) + 1;
+  const delay = Math.min(JOB_RETRY_BASE_MS * 2 ** (job.attempts - 1), JOB_RETRY_MAX_MS);
+  job.runAt = Date.now() + delay;
+  saveJobs();
+  armJob(job);
+  if (job.attempts === 1) {
+    logModerationAction(guild, embedWarn('⚠️ Automatic Unban Failed', `Could not unban <@${job.userId}> (\`${job.userId}\`) when their tempban expired: ${String(error.message || error).substring(0, 200)}\nRetrying with backoff (job #${job.id}); check that I still have **Ban Members**.`));
+  }
+}
+
+async function runJob(job) {
+  // The job may have been cancelled while its timer was pending
+  if (!scheduler.jobs.some(j => j.id === job.id)) return;
+
+  const guild = client.guilds.cache.get(job.guildId);
+  if (!guild) {
+    // Bot is no longer in the guild; nothing we can do
+    cancelJob(job.id);
+    return;
+  }
+
+  if (job.type === 'unban') {
+    try {
+      await guild.members.unban(job.userId, 'Automatic unban (tempban expired)');
+      log(`Auto-unbanned user ${job.userId} in guild ${job.guildId} (job ${job.id})`);
+
+      const user = await client.users.fetch(job.userId).catch(() => null);
+      createCase(guild, {
+        type: 'unban',
+        targetId: job.userId,
+        targetTag: user?.tag,
+        reason: 'Tempban expired',
+        details: [
+          { name: 'Banned By', value: job.moderatorId ? `<@${job.moderatorId}>` : 'Unknown', inline: true },
+          { name: 'Job', value: `#${job.id}`, inline: true },
+        ],
+      });
+    } catch (e) {
+      // 10026 = Unknown Ban: the user was already unbanned manually. Anything else
+      // (missing Ban Members, Discord outage) must not turn the tempban permanent.
+      if (e.code !== 10026) {
+        console.error(`Error during auto-unban for ${job.userId}:`, e);
+        return retryJob(guild, job, e);
+      }
+    }
+  }
+
+  if (job.type === 'verify_kick') {
+    await runVerifyKickJob(guild, job).catch(e => console.error(`Error during verification kick for ${job.userId}:`, e));
+  }
+
+  cancelJob(job.id);
+}
+
+/**
+ * Re-arm every persisted job. Called once on 'ready'; jobs whose runAt has
+ * passed while the bot was offline fire right away.
+ */
+function rehydrateJobs() {
+  let overdue = 0;
+  for (const job of scheduler.jobs) {
+    if (job.runAt <= Date.now()) overdue++;
+    armJob(job);
+  }
+  if (scheduler.jobs.length) log(`Rehydrated ${scheduler.jobs.length} scheduled jobs (${overdue} overdue)`);
+}
+
+
+/* ============================================================
+   Moderation Cases
+   ============================================================ */
+/**
+ * Every moderation action gets a sequential, per-guild case number.
+ * Shape: { [guildId]: { nextId, cases: [{ id, type, targetId, targetTag, moderatorId, moderatorTag,
+ *          reason, durationMs, details, createdAt, editedAt, editedBy, logChannelId, logMessageId }] } }
+ * Case numbers are never reused, even after a case is deleted.
+ */
+const caseStore = safeReadJSON(FILES.CASES, {});
+
+const CASE_TYPES = {
+  ban: { label: 'Ban', emoji: '🔨' },
+  tempban: { label: 'Tempban', emoji: '🕒' },
+  softban: { label: 'Softban', emoji: '💨' },
+  kick: { label: 'Kick', emoji: '👟' },
+  mute: { label: 'Timeout', emoji: '🔇' },
+  unmute: { label: 'Timeout Removed', emoji: '🔊' },
+  warn: { label: 'Warning', emoji: '⚠️' },
+  unban: { label: 'Unban', emoji: '🔓' },
+};
+
+function saveCases() {
+  safeWriteJSON(FILES.CASES, caseStore);
+}
+
+function getGuildCases(gid) {
+  if (!caseStore[gid]) caseStore[gid] = { nextId: 1, cases: [] };
+  return caseStore[gid];
+}
+
+function getCase(gid, id) {
+  return caseStore[gid]?.cases.find(c => c.id === id) || null;
+}
+
+/**
+ * Moderator fields for a case, taken from a command context.
+ */
+function caseModeratorFromCtx(ctx) {
+  const u = ctx.user || ctx.author;
+  return { moderatorId: u?.id || null, moderatorTag: u?.tag || null };
+}
+
+/**
+ * Store a new case and post it to the mod log. The log message id is saved
+ * once it has been sent so the entry can be edited if the reason changes.
+ * @param {Guild} guild
+ * @param {object} data { type, targetId, targetTag, moderatorId, moderatorTag, reason, durationMs, details }
+ * @returns {object} The stored case, including its id.
+ */
+function createCase(guild, data) {
+  const store = getGuildCases(guild.id);
+  const modCase = {
+    id: store.nextId++,
+    type: data.type,
+    targetId: data.targetId,
+    targetTag: data.targetTag || null,
+    moderatorId: data.moderatorId || null,
+    moderatorTag: data.moderatorTag || null,
+    reason: data.reason || 'No reason provided',
+    durationMs: data.durationMs || null,
+    details: data.details || [], // extra embed fields, e.g. total warnings
+    createdAt: Date.now(),
+    logChannelId: null,
+    logMessageId: null,
+  };
+  store.cases.push(modCase);
+  saveCases();
+
+  logModerationAction(guild, buildCaseEmbed(modCase)).then(msg => {
+    if (!msg) return;
+    modCase.logChannelId = msg.channelId;
+    modCase.logMessageId = msg.id;
+    saveCases();
+  });
+  return modCase;
+}
+
+function buildCaseEmbed(modCase) {
+  const meta = CASE_TYPES[modCase.type] || { label: modCase.type, emoji: '📁' };
+  const embed = new EmbedBuilder()
+      .setTitle(`${meta.emoji} ${meta.label} | Case #${modCase.id}`)
+      .addFields(
+          { name: 'User', value: `${modCase.targetTag || 'Unknown'} (\`${modCase.targetId}\`)`, inline: true },
+          { name: 'Moderator', value: modCase.moderatorId ? `${modCase.moderatorTag || 'Unknown'} (\`${modCase.moderatorId}\`)` : 'Automatic', inline: true }
+      )
+      .setColor(EMBED_COLOR_MOD)
+      .setFooter({ text: modCase.editedAt ? `Case #${modCase.id} • reason edited` : `Case #${modCase.id}` })
+      .setTimestamp(modCase.createdAt);
+  if (modCase.durationMs) embed.addFields({ name: 'Duration', value: formatDuration(modCase.durationMs), inline: true });
+  if (modCase.details?.length) embed.addFields(...modCase.details);
+  embed.addFields({ name: 'Reason', value: modCase.reason.substring(0, 1024), inline: false });
+  return embed;
+}
+
+/**
+ * Edit the case's mod log entry in place.
+ * @returns {Promise<boolean>} false if the log message is gone or was never sent.
+ */
+async function updateCaseLog(guild, modCase, embed = buildCaseEmbed(modCase)) {
+  if (!modCase.logChannelId || !modCase.logMessageId) return false;
+  const channel = await guild.channels.fetch(modCase.logChannelId).catch(() => null);
+  if (!channel?.isTextBased()) return false;
+  const msg = await channel.messages.fetch(modCase.logMessageId).catch(() => null);
+  if (!msg) return false;
+  return msg.edit({ embeds: [embed] }).then(() => true).catch(() => false);
+}
+
+
+/* ============================================================
+   Warnings: expiry & threshold escalation
+   ============================================================ */
+/**
+ * Per-guild settings live in config[gid].warnings:
+ *   escalation: [{ count, action }] where action is `timeout:<dur>`, `kick` or `ban`
+ *   expiryMs:   warnings older than this stop counting (0 = never expire)
+ * Expired warnings are kept for history but ignored by thresholds.
+ */
+const MAX_WARN_RULES = 10;
+
+function getWarnSettings(gid) {
+  const warnings = config[gid]?.warnings || {};
+  return {
+    escalation: Array.isArray(warnings.escalation) ? warnings.escalation : [],
+    expiryMs: warnings.expiryMs || 0,
+  };
+}
+
+function isWarnActive(warn, expiryMs, now = Date.now()) {
+  return !expiryMs || now - warn.time < expiryMs;
+}
+
+function getActiveWarns(gid, uid) {
+  const { expiryMs } = getWarnSettings(gid);
+  return peekUserData(gid, uid).warns.filter(w => isWarnActive(w, expiryMs));
+}
+
+/**
+ * Apply the escalation rule (if any) for a member's new active warning count.
+ * Rules fire on the exact count so each threshold triggers once per climb.
+ * @returns {Promise<{outcome: string, caseId: number}|null>}
+ */
+async function applyWarnEscalation(guild, target, activeCount, warnCase) {
+  const rule = getWarnSettings(guild.id).escalation.find(r => r.count === activeCount);
+  const step = rule && parseSpamStep(rule.action);
+  if (!step || step.action === 'delete') return null;
+
+  const reason = `Automatic: reached ${activeCount} active warnings`;
+  const details = [{ name: 'Triggered By', value: `Warning case #${warnCase.id}`, inline: true }];
+  const member = await guild.members.fetch(target.id).catch(() => null);
+
+  try {
+    let type;
+    let outcome;
+    if (step.action === 'timeout') {
+      if (!member?.moderatable) throw new Error('Member cannot be timed out (not in server or role hierarchy).');
+      await member.timeout(step.durationMs, reason);
+      type = 'mute';
+      outcome = `Timed out for ${formatDuration(step.durationMs)}`;
+    } else if (step.action === 'kick') {
+      if (!member?.kickable) throw new Error('Member cannot be kicked (not in server or role hierarchy).');
+      await member.kick(reason);
+      type = 'kick';
+      outcome = 'Kicked';
+    } else {
+      if (member && !member.bannable) throw new Error('Member cannot be banned (role hierarchy).');
+      await guild.members.ban(target.id, { reason });
+      type = 'ban';
+      outcome = 'Banned';
+    }
+
+    const modCase = createCase(guild, {
+      type, targetId: target.id, targetTag: target.tag, reason,
+      durationMs: step.action === 'timeout' ? step.durationMs : null,
+      details,
+    });
+    return { outcome, caseId: modCase.id };
+  } catch (e) {
+    const logEmbed = new EmbedBuilder()
+        .setTitle('⚠️ Warn Escalation Failed')
+        .addFields(
+            { name: 'User', value: `${target.tag} (\`${target.id}\`)`, inline: true },
+            { name: 'Rule', value: `${rule.count} warns → \`${rule.action}\``, inline: true },
+            { name: 'Error', value: e.message.substring(0, 1024), inline: false }
+        )
+        .setTimestamp();
+    logModerationAction(guild, logEmbed);
+    return null;
+  }
 }
 
 
@@ -268,11 +1053,14 @@ async function respond(ctx, options = {}) {
     if (options.embeds) payload.embeds = options.embeds;
     if (options.ephemeral) payload.ephemeral = options.ephemeral;
     if (options.components) payload.components = options.components;
+    if (options.allowedMentions) payload.allowedMentions = options.allowedMentions;
 
     // interaction
     if (ctx?.isCommand?.() === true) {
       const interaction = ctx;
-      if (interaction.replied || interaction.deferred) {
+      if (interaction.deferred && !interaction.replied) {
+        return interaction.editReply(payload).catch(()=>{});
+      } else if (interaction.replied) {
         return interaction.followUp(payload).catch(()=>{});
       } else {
         return interaction.reply(payload).catch(()=>{});
@@ -294,39 +1082,493 @@ async function respond(ctx, options = {}) {
    Command mapping: commandsMap - central registry
    ============================================================ */
 
-const commandsMap = {}; // { 'command key': async function(ctx) { ... } }
-
-/* ============================================================
-   ctx & command helpers (normalization)
-   ============================================================ */
+const commandsMap = {}; // { 'command key': async function(ctx) { ... } } (run functions, filled by defineCommand)
 
 /**
- * Normalize command keys: converts underscores/spaces to a canonical 'space' key
- * e.g. enable_leveling -> enable leveling
+ * commandMeta: command definitions registered with defineCommand(), keyed like commandsMap.
+ * {
+ *   name, aliases?: [], category: keyof COMMAND_CATEGORIES, description,
+ *   usage?: prefix usage shown in help (generated from args when omitted),
+ *   permissions?: [PermissionFlagsBits.X] (any one of them is enough; bot owners bypass),
+ *   cooldown?: seconds, cooldownScope?: 'user'|'channel'|'guild' (who shares it, default 'user';
+ *     servers can override both with the `cooldown` command), defer?: true | 'ephemeral' (slash replies),
+ *   args?: [arg], subcommands?: [{ name, description, args? }],
+ *   run: async (ctx) => { ... }
+ * }
+ * arg: { name, type: 'string'|'integer'|'boolean'|'user'|'member'|'channel'|'role'|'duration', description,
+ *        required?, choices?: (string|{ name, value })[], min?, max?, maxLength?, channelTypes? }
+ *   'user' resolves to a User, 'member' to a GuildMember of this guild, 'duration' to milliseconds.
+ * Slash commands and the help menu are generated from these definitions, and
+ * runCommand() enforces the server's command policy, permissions, cooldowns and deferring before run(), and
+ * resolves args from either surface into ctx.params ({ [arg.name]: value }).
  */
-function normalizeCommandKey(name) {
-  if (!name) return '';
-  return String(name).toLowerCase().replace(/[_\s]+/g, ' ').trim();
+const commandMeta = {};
+const commandAliases = {}; // { alias: command name } (prefix only)
+const commandCooldowns = new Map(); // Map<'gid:command:bucket', { expiresAt, notified: Set<userId> }>
+
+const COMMAND_CATEGORIES = {
+  moderation: '🛡️ Moderation Commands',
+  config: '⚙️ Configuration & Security',
+  leveling: '📈 Leveling System',
+  utility: '🔍 Utility & Info',
+};
+
+function defineCommand(def) {
+  commandMeta[def.name] = def;
+  commandsMap[def.name] = def.run;
+  for (const alias of def.aliases || []) commandAliases[alias] = def.name;
+  return def;
 }
 
 /**
- * Build a uniform context object for message (prefix) handlers.
- * We keep the original Message object but add helpers: .isCommand(), .args
+ * Look up a command definition by name or alias.
  */
-function buildCtxFromMessage(message) {
-  if (!message) return null;
-  // Deep clone or new object to ensure original message is not mutated if required elsewhere
-  const ctx = message;
-  if (!ctx.isCommand) ctx.isCommand = () => false;
-  if (!ctx.args) ctx.args = ctx.args || [];
-  return ctx;
+function getCommand(name) {
+  const key = normalizeCommandKey(name);
+  return commandMeta[key] || commandMeta[commandAliases[key]] || null;
 }
 
-/**
- * Build a uniform context object for interactions (slash).
- * We use the Interaction object, set isCommand true and add args array.
- */
-function buildCtxFromInteraction(interaction) {
+const ARG_PLACEHOLDERS = { user: '@user', member: '@member', role: '@role', channel: '#channel' };
+
+function getCommandUsage(def) {
+  if (def.usage !== undefined) return def.usage;
+  if (def.subcommands) return `[${def.subcommands.map(sub => sub.name).join('|')}]`;
+  return (def.args || []).map(arg => {
+    const label = arg.choices ? arg.choices.map(c => c.value ?? c).join('|') : (ARG_PLACEHOLDERS[arg.type] || arg.name);
+    return arg.required ? `<${label}>` : `[${label}]`;
+  }).join(' ');
+}
+
+function formatPermission(flag) {
+  // PermissionFlagsBits.KickMembers -> 'Kick Members'
+  return new PermissionsBitField(flag).toArray()[0].replace(/([a-z])([A-Z])/g, '$1 $2');
+}
+
+function hasCommandPermission(ctx, def) {
+  if (!def.permissions?.length || isOwner(ctx)) return true;
+  const perms = ctx.member?.permissions;
+  return def.permissions.some(flag => perms?.has?.(flag));
+}
+
+const SNOWFLAKE_PATTERNS = {
+  user: /^(?:<@!?(\d{17,20})>|(\d{17,20}))$/,
+  role: /^(?:<@&(\d{17,20})>|(\d{17,20}))$/,
+  channel: /^(?:<#(\d{17,20})>|(\d{17,20}))$/,
+};
+const DURATION_PATTERN = /^\d+\s*(?:s|secs?|seconds?|m|mins?|minutes?|h|hrs?|hours?|d|days?|w|weeks?)?$/i;
+const BOOLEAN_TOKENS = { on: true, true: true, yes: true, enable: true, off: false, false: false, no: false, disable: false };
+
+/**
+ * Split prefix command text into args. "Quoted strings" (straight or curly
+ * quotes) stay together as one arg, so names with spaces can be passed.
+ */
+function tokenizeArgs(text) {
+  const tokens = [];
+  const re = /"([^"]*)"|“([^”]*)”|(\S+)/g;
+  let match;
+  while ((match = re.exec(text || '')) !== null) tokens.push(match[1] ?? match[2] ?? match[3]);
+  return tokens;
+}
+
+/**
+ * Raw text of a prefix command after the command name and `skip` args, keeping
+ * line breaks and quotes (for free text such as message templates).
+ */
+function getRawArgText(ctx, skip) {
+  const prefix = config[ctx.guild.id]?.prefix || DEFAULT_PREFIX;
+  const body = (ctx.content || '').slice(prefix.length).trim();
+  return body.replace(new RegExp(`^(?:\\S+\\s+){${skip + 1}}`), '').trim();
+}
+
+function matchSnowflake(type, token) {
+  const match = token.match(SNOWFLAKE_PATTERNS[type]);
+  return match ? (match[1] || match[2]) : null;
+}
+
+/**
+ * Find a guild member by username, display name or nickname (case-insensitive).
+ * Exact matches win; otherwise a single unambiguous prefix match is accepted.
+ * With `exactOnly` (moderation targets) only a single exact match counts, so a
+ * typo or fragment can never land on someone else.
+ */
+async function findMemberByName(guild, query, { exactOnly = false } = {}) {
+  const q = query.replace(/^@/, '').toLowerCase();
+  if (!q) return null;
+  const names = m => [m.user.username, m.user.globalName, m.nickname, m.user.tag].filter(Boolean).map(n => n.toLowerCase());
+  const pick = matches => (matches.size === 1 || (matches.size && !exactOnly) ? matches.first() : null);
+  const exact = guild.members.cache.filter(m => names(m).includes(q));
+  if (exact.size) return pick(exact);
+
+  const fetched = await guild.members.fetch({ query: q, limit: 10 }).catch(() => null);
+  if (!fetched) return null;
+  const fetchedExact = fetched.filter(m => names(m).includes(q));
+  if (fetchedExact.size) return pick(fetchedExact);
+  if (exactOnly) return null;
+  const partial = fetched.filter(m => names(m).some(n => n.startsWith(q)));
+  return partial.size === 1 ? partial.first() : null;
+}
+
+/**
+ * Resolve one prefix token to the arg's type.
+ * @returns {Promise<any>} The resolved value, or null when the token doesn't fit.
+ */
+async function resolveArgToken(guild, arg, token) {
+  switch (arg.type) {
+    case 'user':
+    case 'member': {
+      const id = matchSnowflake('user', token);
+      if (id) {
+        if (arg.type === 'member') return guild.members.fetch(id).catch(() => null);
+        const member = await guild.members.fetch(id).catch(() => null);
+        return member?.user || client.users.fetch(id).catch(() => null);
+      }
+      const member = await findMemberByName(guild, token, { exactOnly: arg.exactName });
+      return arg.type === 'member' ? member : (member?.user || null);
+    }
+    case 'role': {
+      const id = matchSnowflake('role', token);
+      if (id) return guild.roles.cache.get(id) || null;
+      const name = token.replace(/^@/, '').toLowerCase();
+      return guild.roles.cache.find(r => r.name.toLowerCase() === name) || null;
+    }
+    case 'channel': {
+      const id = matchSnowflake('channel', token);
+      const name = token.replace(/^#/, '').toLowerCase();
+      const channel = id ? guild.channels.cache.get(id) : guild.channels.cache.find(c => c.name.toLowerCase() === name);
+      if (!channel || (arg.channelTypes && !arg.channelTypes.includes(channel.type))) return null;
+      return channel;
+    }
+    case 'integer': {
+      if (!/^-?\d+$/.test(token)) return null;
+      const n = parseInt(token, 10);
+      if ((arg.min !== undefined && n < arg.min) || (arg.max !== undefined && n > arg.max)) return null;
+      return n;
+    }
+    case 'boolean':
+      return BOOLEAN_TOKENS[token.toLowerCase()] ?? null;
+    case 'duration':
+      return DURATION_PATTERN.test(token) ? parseDuration(token) : null;
+    default: {
+      if (arg.choices) {
+        const lower = token.toLowerCase();
+        return arg.choices.some(c => String(c.value ?? c) === lower) ? lower : null;
+      }
+      if (arg.maxLength !== undefined && token.length > arg.maxLength) return null;
+      return token;
+    }
+  }
+}
+
+function describeArgError(arg, token) {
+  switch (arg.type) {
+    case 'user': return `Could not find a user matching \`${token}\`. Use a mention, ID or ${arg.exactName ? 'their exact ' : ''}username.`;
+    case 'member': return `Could not find a member of this server matching \`${token}\`. Use a mention, ID${arg.exactName ? ', or their exact username or nickname' : ', username or nickname'}.`;
+    case 'role': return `Could not find a role matching \`${token}\`.`;
+    case 'channel': return `Could not find a channel matching \`${token}\`.`;
+    case 'integer': {
+      const range = arg.min !== undefined && arg.max !== undefined ? ` between ${arg.min} and ${arg.max}`
+        : arg.min !== undefined ? ` of at least ${arg.min}` : arg.max !== undefined ? ` of at most ${arg.max}` : '';
+      return `\`${arg.name}\` must be a whole number${range}.`;
+    }
+    case 'boolean': return `\`${arg.name}\` must be \`on\` or \`off\`.`;
+    case 'duration': return `\`${token}\` is not a valid duration (e.g. \`30m\`, \`2h\`, \`7d\`).`;
+    default:
+      if (arg.choices) return `\`${arg.name}\` must be one of: ${arg.choices.map(c => `\`${c.value ?? c}\``).join(', ')}.`;
+      return `\`${arg.name}\` must be at most ${arg.maxLength} characters.`;
+  }
+}
+
+/**
+ * Resolve prefix args into typed params, positionally against the definition's args.
+ * An optional arg whose token doesn't fit its type is skipped and the token is
+ * tried against the next arg (e.g. `mute @user spamming` without a duration).
+ * Missing required args and unresolvable tokens are usage errors; nothing
+ * falls back to the invoking user.
+ * A trailing string arg takes the rest of the line, e.g. a reason.
+ * Commands with subcommands validate their own args: the invoked subcommand's
+ * args are resolved leniently (anything unresolvable is left unset, never an
+ * error) so handlers can read typed targets from ctx.params.
+ * @returns {Promise<{ params: object, error: string|null }>}
+ */
+async function parsePrefixArgs(ctx, def) {
+  if (def.subcommands) {
+    const sub = def.subcommands.find(s => s.name === ctx.args?.[0]?.toLowerCase());
+    const { params } = await resolveArgList(ctx, def, sub?.args || [], (ctx.args || []).slice(1), true);
+    return { params, error: null };
+  }
+  return resolveArgList(ctx, def, def.args || [], ctx.args || [], false);
+}
+
+async function resolveArgList(ctx, def, list, tokens, lenient) {
+  const params = {};
+  let pos = 0;
+  for (let i = 0; i < list.length; i++) {
+    const arg = list[i];
+    if (pos >= tokens.length) {
+      if (arg.required) return { params, error: `Missing required argument \`${arg.name}\`.` };
+      continue;
+    }
+    if (arg.type === 'string' && !arg.choices && i === list.length - 1) {
+      params[arg.name] = tokens.slice(pos).join(' ');
+      break;
+    }
+    // Moderation targets must be named exactly; a partial name could hit the wrong member
+    const typed = def.category === 'moderation' && (arg.type === 'user' || arg.type === 'member') ? { ...arg, exactName: true } : arg;
+    const value = await resolveArgToken(ctx.guild, typed, tokens[pos]);
+    if (value === null) {
+      // Only skip an optional arg when a later arg can still take the token
+      if (arg.required || i === list.length - 1) return { params, error: lenient ? null : describeArgError(typed, tokens[pos]) };
+      continue;
+    }
+    params[arg.name] = value;
+    pos++;
+  }
+  return { params, error: null };
+}
+
+/**
+ * Read slash options into the same params shape the prefix parser produces.
+ */
+function readSlashParams(ctx, def) {
+  const params = {};
+  if (def.subcommands) return { params, error: null };
+  for (const arg of def.args || []) {
+    let value;
+    switch (arg.type) {
+      case 'user': value = ctx.options.getUser(arg.name); break;
+      case 'member':
+        value = ctx.options.getMember(arg.name);
+        if (!value && ctx.options.getUser(arg.name)) return { params, error: `<@${ctx.options.getUser(arg.name).id}> is not a member of this server.` };
+        break;
+      case 'role': value = ctx.options.getRole(arg.name); break;
+      case 'channel': value = ctx.options.getChannel(arg.name); break;
+      case 'integer': value = ctx.options.getInteger(arg.name); break;
+      case 'boolean': value = ctx.options.getBoolean(arg.name); break;
+      case 'duration': {
+        const raw = ctx.options.getString(arg.name)?.trim();
+        if (raw && !DURATION_PATTERN.test(raw)) return { params, error: describeArgError(arg, raw) };
+        value = raw ? parseDuration(raw) : null;
+        break;
+      }
+      default: value = ctx.options.getString(arg.name);
+    }
+    if (value !== null && value !== undefined) params[arg.name] = value;
+  }
+  return { params, error: null };
+}
+
+const COOLDOWN_SCOPES = ['user', 'channel', 'guild'];
+const MAX_COOLDOWN_SECONDS = 3600;
+
+/**
+ * Effective cooldown for a command in a guild: the server override from
+ * config[gid].cooldowns ({ [command]: { seconds, scope } }) or the definition's default.
+ */
+function getCommandCooldown(gid, def) {
+  const override = config[gid]?.cooldowns?.[def.name];
+  return {
+    seconds: override?.seconds ?? def.cooldown ?? 0,
+    scope: override?.scope || def.cooldownScope || 'user',
+    overridden: !!override,
+  };
+}
+
+function formatCooldown({ seconds, scope, overridden }) {
+  if (!seconds) return overridden ? 'Disabled (server override)' : 'None';
+  return `${seconds}s per ${scope}${overridden ? ' (server override)' : ''}`;
+}
+
+// Bucket keys always start with `gid:command:` so a guild's buckets for a command can be cleared together
+function cooldownBucketKey(ctx, def, scope) {
+  const base = `${ctx.guild?.id || 'dm'}:${def.name}:`;
+  if (scope === 'guild') return `${base}g`;
+  if (scope === 'channel') return `${base}c${ctx.channel?.id}`;
+  return `${base}u${ctx.user?.id || ctx.author?.id}`;
+}
+
+function clearCommandCooldowns(gid, name) {
+  const prefix = `${gid}:${name}:`;
+  for (const key of commandCooldowns.keys()) {
+    if (key.startsWith(prefix)) commandCooldowns.delete(key);
+  }
+}
+
+/**
+ * Check the command's cooldown bucket, starting the cooldown when the command is allowed to run.
+ * @returns {{ remaining: number, notify: boolean }} remaining ms (0 = ready). `notify` is false
+ *   once this user has already been told about the current cooldown, so spam stays silent.
+ */
+function checkCommandCooldown(ctx, def) {
+  const { seconds, scope } = getCommandCooldown(ctx.guild?.id, def);
+  if (!seconds) return { remaining: 0, notify: false };
+  const now = Date.now();
+  if (commandCooldowns.size > 1000) {
+    for (const [key, entry] of commandCooldowns) if (entry.expiresAt <= now) commandCooldowns.delete(key);
+  }
+
+  const key = cooldownBucketKey(ctx, def, scope);
+  const userId = ctx.user?.id || ctx.author?.id;
+  const entry = commandCooldowns.get(key);
+  if (entry && entry.expiresAt > now) {
+    const notify = !entry.notified.has(userId);
+    entry.notified.add(userId);
+    return { remaining: entry.expiresAt - now, notify };
+  }
+  commandCooldowns.set(key, { expiresAt: now + seconds * 1000, notified: new Set() });
+  return { remaining: 0, notify: false };
+}
+
+/**
+ * Per-guild command policy in config[gid].commandPolicy:
+ *   disabledCategories: [category]
+ *   commands: { [command]: { disabled?: boolean, channels: [channelId], roles: [roleId] } }
+ * Disabled commands are off for everyone. Channel and role limits are skipped for
+ * members with Manage Server, and the `command` command itself is never restricted
+ * so a server cannot lock itself out.
+ */
+const POLICY_EXEMPT_COMMANDS = ['command'];
+
+function getCommandPolicy(gid) {
+  const policy = config[gid]?.commandPolicy || {};
+  return {
+    disabledCategories: Array.isArray(policy.disabledCategories) ? policy.disabledCategories : [],
+    commands: policy.commands || {},
+  };
+}
+
+function getCommandRule(gid, name) {
+  const rule = getCommandPolicy(gid).commands[name] || {};
+  return { disabled: !!rule.disabled, channels: rule.channels || [], roles: rule.roles || [] };
+}
+
+function isCommandDisabled(gid, def) {
+  if (POLICY_EXEMPT_COMMANDS.includes(def.name)) return false;
+  return getCommandRule(gid, def.name).disabled || getCommandPolicy(gid).disabledCategories.includes(def.category);
+}
+
+/**
+ * @returns {string|null} Why the command may not run here, or null when it is allowed.
+ */
+function checkCommandPolicy(ctx, def) {
+  const gid = ctx.guild?.id;
+  if (!gid || POLICY_EXEMPT_COMMANDS.includes(def.name)) return null;
+  if (isCommandDisabled(gid, def)) return `\`${def.name}\` is disabled in this server.`;
+  if (ctx.member?.permissions?.has?.(PermissionFlagsBits.ManageGuild)) return null;
+
+  const rule = getCommandRule(gid, def.name);
+  if (rule.channels.length && !rule.channels.includes(ctx.channel?.id) && !rule.channels.includes(ctx.channel?.parentId)) {
+    return `\`${def.name}\` can only be used in ${rule.channels.map(id => `<#${id}>`).join(', ')}.`;
+  }
+  if (rule.roles.length && !rule.roles.some(id => ctx.member?.roles?.cache?.has(id))) {
+    return `\`${def.name}\` requires one of these roles: ${rule.roles.map(id => `<@&${id}>`).join(', ')}.`;
+  }
+  return null;
+}
+
+/**
+ * Shared dispatcher for prefix and slash contexts.
+ */
+async function runCommand(ctx, def) {
+  const isSlash = ctx.isCommand?.();
+  const policyError = checkCommandPolicy(ctx, def);
+  if (policyError) {
+    return respond(ctx, { embeds: [embedError('🚫 Command Unavailable', policyError)], ephemeral: true });
+  }
+  if (!hasCommandPermission(ctx, def)) {
+    return respond(ctx, { embeds: [embedError('Permission Denied', `Need ${def.permissions.map(formatPermission).join(' or ')}`)], ephemeral: true });
+  }
+  const { params, error: usageError } = isSlash ? readSlashParams(ctx, def) : await parsePrefixArgs(ctx, def);
+  if (usageError) {
+    if (isSlash) return respond(ctx, { embeds: [embedError('Invalid Usage', usageError)], ephemeral: true });
+    const prefix = config[ctx.guild.id]?.prefix || DEFAULT_PREFIX;
+    const usage = getCommandUsage(def);
+    return respond(ctx, { embeds: [embedError('Invalid Usage', `${usageError}\nUsage: \`${prefix}${def.name}${usage ? ` ${usage}` : ''}\``)] });
+  }
+  ctx.params = params;
+  const cooldown = checkCommandCooldown(ctx, def);
+  if (cooldown.remaining > 0) {
+    const embed = embedWarn('⏳ Slow Down', `\`${def.name}\` is on cooldown. Try again in **${Math.ceil(cooldown.remaining / 1000)}s**.`);
+    // Slash interactions must be answered; prefix notices are sent once per cooldown and cleaned up
+    if (isSlash) return respond(ctx, { embeds: [embed], ephemeral: true });
+    if (!cooldown.notify) return;
+    const notice = await respond(ctx, { embeds: [embed] });
+    if (notice?.delete) setTimeout(() => notice.delete().catch(()=>{}), Math.min(cooldown.remaining, 10000));
+    return;
+  }
+  if (def.defer && isSlash && !ctx.deferred && !ctx.replied) {
+    await ctx.deferReply({ ephemeral: def.defer === 'ephemeral' }).catch(()=>{});
+  }
+  return def.run(ctx);
+}
+
+const SLASH_OPTION_ADDERS = {
+  string: 'addStringOption',
+  integer: 'addIntegerOption',
+  boolean: 'addBooleanOption',
+  user: 'addUserOption',
+  member: 'addUserOption',
+  duration: 'addStringOption',
+  channel: 'addChannelOption',
+  role: 'addRoleOption',
+};
+
+function applySlashOptions(builder, args = []) {
+  for (const opt of args) {
+    builder[SLASH_OPTION_ADDERS[opt.type]](option => {
+      option.setName(opt.name).setDescription(opt.description).setRequired(!!opt.required);
+      if (opt.choices) option.addChoices(...opt.choices.map(c => (typeof c === 'object' ? c : { name: String(c), value: c })));
+      if (opt.min !== undefined) option.setMinValue(opt.min);
+      if (opt.max !== undefined) option.setMaxValue(opt.max);
+      if (opt.maxLength !== undefined) option.setMaxLength(opt.maxLength);
+      if (opt.channelTypes) option.addChannelTypes(...opt.channelTypes);
+      return option;
+    });
+  }
+  return builder;
+}
+
+function buildSlashCommand(def) {
+  const builder = new SlashCommandBuilder().setName(def.name).setDescription(def.description);
+  if (def.subcommands) {
+    for (const sub of def.subcommands) {
+      builder.addSubcommand(s => applySlashOptions(s.setName(sub.name).setDescription(sub.description), sub.args));
+    }
+    return builder;
+  }
+  return applySlashOptions(builder, def.args);
+}
+
+/* ============================================================
+   ctx & command helpers (normalization)
+   ============================================================ */
+
+/**
+ * Normalize command keys to the canonical underscore form used by commandsMap
+ * and slash command names, e.g. 'enable-leveling' / 'Enable_Leveling' -> 'enable_leveling'
+ */
+function normalizeCommandKey(name) {
+  if (!name) return '';
+  return String(name).toLowerCase().trim().replace(/[-\s]+/g, '_');
+}
+
+/**
+ * Build a uniform context object for message (prefix) handlers.
+ * We keep the original Message object but add helpers: .isCommand(), .args
+ */
+function buildCtxFromMessage(message) {
+  if (!message) return null;
+  // Deep clone or new object to ensure original message is not mutated if required elsewhere
+  const ctx = message;
+  if (!ctx.isCommand) ctx.isCommand = () => false;
+  if (!ctx.args) ctx.args = ctx.args || [];
+  return ctx;
+}
+
+/**
+ * Build a uniform context object for interactions (slash).
+ * We use the Interaction object, set isCommand true and add args array.
+ */
+function buildCtxFromInteraction(interaction) {
   if (!interaction) return null;
   const ctx = interaction;
   if (!ctx.isCommand) ctx.isCommand = () => true;
@@ -344,15 +1586,48 @@ function ensureGuildConfig(gid) {
     prefix: DEFAULT_PREFIX,
     automod: {
       antilink: false,
-      antispam: { enabled: true, max: MAX_ANTISPAM_MESSAGES, window: MAX_ANTISPAM_WINDOW },
-      wordfilter: { enabled: false, bannedWords: [] },
+      // Per-guild link rules layered over SAFE_DOMAINS. Entries are hostnames;
+      // `*.example.com` also matches every subdomain. Block wins over allow.
+      linkRules: { allow: [], block: [], blockInvites: false },
+      // Scam/phishing link detection runs even when antilink is off
+      phishing: { enabled: true, timeoutMs: 24 * 60 * 60 * 1000 },
+      antispam: {
+        enabled: true,
+        max: MAX_ANTISPAM_MESSAGES,
+        window: MAX_ANTISPAM_WINDOW,
+        detectors: { ...DEFAULT_ANTISPAM_DETECTORS },
+        escalation: [...DEFAULT_ANTISPAM_ESCALATION],
+      },
+      wordfilter: { enabled: false, bannedWords: [], exemptChannels: [] }, // bannedWords: [{ word, mode }]
       whitelistChannels: [],
       whitelistRoles: [],
       whitelistUsers: [],
+      exemptModerators: true, // members with Manage Messages skip automod
     },
     nukemode: false,
+    antiraid: { ...DEFAULT_ANTIRAID },
+    verification: { ...DEFAULT_VERIFICATION },
+    greetings: { welcome: { ...DEFAULT_GREETING }, goodbye: { ...DEFAULT_GREETING }, dm: { ...DEFAULT_GREETING } },
+    cooldowns: {}, // { [command]: { seconds, scope } } overrides of the command defaults
+    commandPolicy: { disabledCategories: [], commands: {} }, // see checkCommandPolicy()
+    antinuke: {
+      punishment: 'strip', // 'strip' (remove roles) or 'ban' for the offending executor
+      // Per-category protection toggles (see ANTINUKE_CATEGORIES)
+      protections: { members: true, roles: true, channels: true, bots: false },
+      // Trusted actors per category: { [category]: { users: [], roles: [] } }
+      whitelist: {},
+      thresholds: { ...DEFAULT_NUKE_THRESHOLDS },
+      windowMs: DEFAULT_NUKE_WINDOW_MS,
+    },
+    warnings: {
+      escalation: [], // [{ count, action }], e.g. { count: 3, action: 'timeout:1h' }
+      expiryMs: 0, // 0 = warnings never expire
+    },
     levelingEnabled: true,
+    levelRoles: { rewards: [], mode: 'stack' }, // see getLevelRoleSettings()
     modLogChannel: null, // ID of the mod log channel
+    // Event log channel IDs per category (see EVENT_LOG_CATEGORIES); null = off
+    eventLogs: { messages: null, members: null, server: null, ignoredChannels: [] },
     slowmode: 0,
   };
 
@@ -415,11 +1690,93 @@ function hasAdmin(ctx) {
    ============================================================ */
 
 const recentEvents = {
-  channelDeletes: [], // { guildId, time, channelId, executorId? }
+  channelDeletes: [], // { guildId, time, channelId, executorId }
   roleDeletes: [],
   bans: [],
+  kicks: [],
+  webhookCreates: [],
+  channelCreates: [],
+  roleCreates: [],
+  roleEscalations: [],
 };
 
+// Audit log action type for each tracked event bucket
+const NUKE_AUDIT_LOG_TYPES = {
+  channelDeletes: AuditLogEvent.ChannelDelete,
+  roleDeletes: AuditLogEvent.RoleDelete,
+  bans: AuditLogEvent.MemberBanAdd,
+  kicks: AuditLogEvent.MemberKick,
+  webhookCreates: AuditLogEvent.WebhookCreate,
+  channelCreates: AuditLogEvent.ChannelCreate,
+  roleCreates: AuditLogEvent.RoleCreate,
+  roleEscalations: AuditLogEvent.RoleUpdate,
+};
+
+// Buckets whose gateway event alone does not prove the action happened
+// (a member leaving also fires guildMemberRemove); these need an audit log entry.
+const NUKE_AUDIT_REQUIRED = new Set(['kicks', 'webhookCreates']);
+
+const NUKE_EVENT_LABELS = {
+  channelDeletes: 'channel deletions',
+  roleDeletes: 'role deletions',
+  bans: 'bans',
+  kicks: 'kicks',
+  webhookCreates: 'webhook creations',
+  channelCreates: 'channel creations',
+  roleCreates: 'role creations',
+  roleEscalations: 'role permission escalations',
+};
+
+// Protected action categories, as listed in the `enable` menu
+const ANTINUKE_CATEGORIES = {
+  members: 'Banning/Kicking Members',
+  roles: 'Deleting/Creating Roles',
+  channels: 'Deleting/Creating Channels',
+  bots: 'Adding Bots',
+};
+
+// Which protection category each tracked event bucket belongs to
+const NUKE_EVENT_CATEGORIES = {
+  channelDeletes: 'channels',
+  roleDeletes: 'roles',
+  bans: 'members',
+  kicks: 'members',
+  webhookCreates: 'channels',
+  channelCreates: 'channels',
+  roleCreates: 'roles',
+  roleEscalations: 'roles',
+};
+
+// Permissions whose addition to a role counts as an escalation
+const NUKE_DANGEROUS_PERMS = [
+  PermissionFlagsBits.Administrator, PermissionFlagsBits.ManageGuild, PermissionFlagsBits.ManageRoles,
+  PermissionFlagsBits.ManageChannels, PermissionFlagsBits.BanMembers, PermissionFlagsBits.KickMembers,
+  PermissionFlagsBits.ManageWebhooks,
+];
+
+const recentlyPunished = new Map(); // Map<`${guildId}:${userId}`, timestamp> - avoids punishing twice per burst
+const seenAuditEntries = new Set(); // audit log entry IDs already counted (webhooksUpdate can fire repeatedly)
+
+/**
+ * Resolved anti-nuke thresholds and detection window for a guild (config over defaults).
+ */
+function getNukeSettings(gid) {
+  const antinuke = config[gid]?.antinuke || {};
+  return {
+    thresholds: { ...DEFAULT_NUKE_THRESHOLDS, ...antinuke.thresholds },
+    windowMs: antinuke.windowMs || DEFAULT_NUKE_WINDOW_MS,
+  };
+}
+
+/**
+ * Map user input such as `channel_delete`, `bans` or `roleEscalations` to an event bucket key.
+ */
+function resolveNukeEventType(input) {
+  if (!input) return null;
+  const norm = String(input).toLowerCase().replace(/[_\s-]+/g, '').replace(/s$/, '');
+  return Object.keys(DEFAULT_NUKE_THRESHOLDS).find(k => k.toLowerCase().replace(/s$/, '') === norm) || null;
+}
+
 /**
  * recordEvent: push event and prune old ones
  */
@@ -427,24 +1784,240 @@ function recordEvent(type, payload) {
   const now = Date.now();
   if (!recentEvents[type]) recentEvents[type] = [];
   recentEvents[type].push({ ...payload, time: now });
-  // prune older than window
-  const cutoff = now - NukeDetectionWindowMs;
-  recentEvents[type] = recentEvents[type].filter(e => e.time >= cutoff);
+  // prune older than each guild's window
+  recentEvents[type] = recentEvents[type].filter(e => e.time >= now - getNukeSettings(e.guildId).windowMs);
+}
+
+/**
+ * checkForNuke: checks thresholds and returns the offending event type, or null.
+ * Events are counted per executor; pass executorId = null to count events
+ * whose executor could not be resolved from the audit log.
+ */
+function checkForNuke(guildId, executorId = null) {
+  const { thresholds, windowMs } = getNukeSettings(guildId);
+  const cutoff = Date.now() - windowMs;
+  for (const type of Object.keys(recentEvents)) {
+    const limit = thresholds[type];
+    if (!limit) continue;
+    const count = recentEvents[type].filter(e => e.guildId === guildId && e.time >= cutoff && (e.executorId || null) === executorId).length;
+    if (count >= limit) return type;
+  }
+  return null;
+}
+
+/**
+ * Get the trusted user/role lists for one protection category, creating them if missing.
+ * @returns {{ users: string[], roles: string[] }}
+ */
+function getAntiNukeWhitelist(gid, category) {
+  const antinuke = ensureGuildConfig(gid).antinuke;
+  antinuke.whitelist = antinuke.whitelist || {};
+  const entry = antinuke.whitelist[category] = antinuke.whitelist[category] || { users: [], roles: [] };
+  entry.users = entry.users || [];
+  entry.roles = entry.roles || [];
+  return entry;
+}
+
+/**
+ * Whether an executor is trusted for a protection category. The guild owner
+ * is always trusted; otherwise the user ID or any of their roles must be listed.
+ */
+async function isAntiNukeWhitelisted(guild, category, executorId) {
+  if (!executorId) return false;
+  if (executorId === guild.ownerId) return true;
+  const { users: trustedUsers, roles: trustedRoles } = getAntiNukeWhitelist(guild.id, category);
+  if (trustedUsers.includes(executorId)) return true;
+  if (trustedRoles.length === 0) return false;
+  const member = await guild.members.fetch(executorId).catch(() => null);
+  return !!member && member.roles.cache.some(r => trustedRoles.includes(r.id));
+}
+
+function isAntiNukeProtectionEnabled(gid, category) {
+  return ensureGuildConfig(gid).antinuke.protections?.[category] !== false;
+}
+
+/**
+ * Find the audit log entry for an action.
+ * Audit log entries can lag slightly behind gateway events, so we wait briefly
+ * and only accept a matching entry created in the last few seconds.
+ * @param {string|function} match Target ID, or a predicate over audit log entries.
+ * @returns {Promise<GuildAuditLogsEntry|null>}
+ */
+async function fetchAuditEntry(guild, auditType, match) {
+  try {
+    const me = guild.members.me;
+    if (!me?.permissions.has(PermissionFlagsBits.ViewAuditLog)) return null;
+    await new Promise(r => setTimeout(r, 1000));
+    const logs = await guild.fetchAuditLogs({ type: auditType, limit: 5 });
+    const matches = typeof match === 'function' ? match : (e) => e.target?.id === match;
+    return logs.entries.find(e => matches(e) && Date.now() - e.createdTimestamp < 10 * 1000) || null;
+  } catch (e) {
+    console.error('fetchAuditEntry err', e);
+    return null;
+  }
+}
+
+/**
+ * Look up who performed an action via the guild audit log.
+ * @returns {Promise<string|null>} The executor's user ID, or null if unknown.
+ */
+async function fetchAuditExecutor(guild, auditType, match) {
+  const entry = await fetchAuditEntry(guild, auditType, match);
+  return entry?.executor?.id || entry?.executorId || null;
+}
+
+/**
+ * Stop an executor that crossed a nuke threshold: strip their roles or ban them
+ * (per antinuke.punishment), falling back to ban and finally to safe mode.
+ */
+async function punishNukeOffender(guild, executorId, type) {
+  const gid = guild.id;
+  const key = `${gid}:${executorId}`;
+  const { thresholds, windowMs } = getNukeSettings(gid);
+  if (Date.now() - (recentlyPunished.get(key) || 0) < windowMs) return;
+  recentlyPunished.set(key, Date.now());
+
+  ensureGuildConfig(gid);
+  const punishment = config[gid].antinuke.punishment;
+  const reason = `Anti-nuke: ${NUKE_EVENT_LABELS[type]} threshold exceeded`;
+  let action = null;
+
+  if (executorId === guild.ownerId) {
+    action = 'None (server owner cannot be punished)';
+  } else {
+    const member = await guild.members.fetch(executorId).catch(() => null);
+
+    // Rogue bots get banned outright; their managed role cannot be removed anyway
+    if (member && punishment === 'strip' && !member.user.bot) {
+      const removable = member.roles.cache.filter(r => r.id !== gid && !r.managed && r.editable);
+      // Managed roles (booster, integrations) can never be removed by anyone, so they
+      // don't count against a complete strip; other leftovers sit above the bot
+      const remaining = member.roles.cache.filter(r => r.id !== gid && !r.managed && !removable.has(r.id));
+      try {
+        if (removable.size) await member.roles.remove([...removable.keys()], reason);
+        if (remaining.size === 0) action = `Stripped ${removable.size} role(s)`;
+      } catch (e) {
+        console.error('punishNukeOffender strip err', e);
+      }
+    }
+
+    if (!action && (!member || member.bannable)) {
+      try {
+        await guild.members.ban(executorId, { reason });
+        action = 'Banned';
+      } catch (e) {
+        console.error('punishNukeOffender ban err', e);
+      }
+    }
+  }
+
+  if (!action) {
+    action = 'Could not punish (hierarchy) - safe mode activated';
+    if (config[gid].nukemode !== true) await activateSafeMode(guild);
+  }
+
+  log(`Anti-nuke stopped ${executorId} in guild ${gid}: ${action}`);
+
+  const logEmbed = new EmbedBuilder()
+      .setTitle('🛡️ Anti-Nuke: Offender Stopped')
+      .addFields(
+          { name: 'Offender', value: `<@${executorId}> (\`${executorId}\`)`, inline: true },
+          { name: 'Trigger', value: `${thresholds[type]}+ ${NUKE_EVENT_LABELS[type]} within ${windowMs / 1000}s`, inline: true },
+          { name: 'Action Taken', value: action, inline: false }
+      )
+      .setTimestamp();
+  logModerationAction(guild, logEmbed);
+}
+
+/**
+ * Shared entry point for the anti-nuke gateway listeners: attribute the event
+ * to an executor, record it, then punish the executor (or lock the whole guild
+ * down if the audit log could not tell us who it was).
+ */
+async function handleAntiNukeEvent(guild, type, target, payload) {
+  const category = NUKE_EVENT_CATEGORIES[type];
+  if (!isAntiNukeProtectionEnabled(guild.id, category)) return;
+  if (!getNukeSettings(guild.id).thresholds[type]) return; // detector turned off (threshold 0)
+
+  const entry = await fetchAuditEntry(guild, NUKE_AUDIT_LOG_TYPES[type], target);
+  if (!entry && NUKE_AUDIT_REQUIRED.has(type)) return;
+  if (entry) {
+    if (seenAuditEntries.has(entry.id)) return;
+    seenAuditEntries.add(entry.id);
+    if (seenAuditEntries.size > 1000) seenAuditEntries.delete(seenAuditEntries.values().next().value);
+  }
+
+  const executorId = entry?.executor?.id || entry?.executorId || null;
+  // Our own actions (bot ban/tempban commands, safe mode) never count
+  if (executorId && executorId === client.user.id) return;
+  if (await isAntiNukeWhitelisted(guild, category, executorId)) return;
+
+  recordEvent(type, { guildId: guild.id, executorId, ...payload });
+
+  const triggered = checkForNuke(guild.id, executorId);
+  if (!triggered) return;
+
+  if (executorId) {
+    await punishNukeOffender(guild, executorId, triggered);
+  } else if (config[guild.id]?.nukemode !== true) {
+    await activateSafeMode(guild);
+  }
 }
 
 /**
- * checkForNuke: checks thresholds and returns true if a nuke is likely
+ * Anti-bot-add: when the "Adding Bots" protection is on, kick any bot account
+ * that was invited by someone not whitelisted for the `bots` category.
+ * The inviter comes from the BotAdd audit log entry (GuildIntegrations intent
+ * plus View Audit Log); an unknown inviter is treated as untrusted.
  */
-function checkForNuke(guildId) {
-  const chDel = recentEvents.channelDeletes.filter(e => e.guildId === guildId).length;
-  const rlDel = recentEvents.roleDeletes.filter(e => e.guildId === guildId).length;
-  const bans = recentEvents.bans.filter(e => e.guildId === guildId).length;
-  if (chDel >= NukeThresholdChannelDeletes || rlDel >= NukeThresholdRoleDeletes || bans >= NukeThresholdBans) {
-    return true;
+async function handleBotAdd(member) {
+  const guild = member.guild;
+  if (!isAntiNukeProtectionEnabled(guild.id, 'bots')) return;
+
+  const inviterId = await fetchAuditExecutor(guild, AuditLogEvent.BotAdd, member.id);
+  if (await isAntiNukeWhitelisted(guild, 'bots', inviterId)) return;
+
+  let action;
+  if (member.kickable) {
+    try {
+      await member.kick(`Anti-nuke: bot added by ${inviterId ? `non-whitelisted user ${inviterId}` : 'unknown user'}`);
+      action = 'Bot kicked';
+    } catch (e) {
+      console.error('handleBotAdd kick err', e);
+      action = `Kick failed: ${e.message.substring(0, 100)}`;
+    }
+  } else {
+    action = 'Could not kick (role hierarchy or permissions)';
   }
-  return false;
+
+  log(`Anti-bot-add in guild ${guild.id}: bot ${member.id} added by ${inviterId || 'unknown'} - ${action}`);
+
+  const logEmbed = new EmbedBuilder()
+      .setTitle('🤖 Anti-Nuke: Unauthorized Bot Added')
+      .addFields(
+          { name: 'Bot', value: `${member.user.tag} (\`${member.id}\`)`, inline: true },
+          { name: 'Added By', value: inviterId ? `<@${inviterId}> (\`${inviterId}\`)` : 'Unknown (audit log unavailable)', inline: true },
+          { name: 'Action Taken', value: action, inline: false }
+      )
+      .setTimestamp();
+  logModerationAction(guild, logEmbed);
+}
+
+/**
+ * Safe-mode backups: before lockdown we snapshot each role's permission
+ * bitfield and each channel's slowmode so `nukemode off` can restore them.
+ * Shape: { [guildId]: { createdAt, roles: { [roleId]: { name, permissions } }, channels: { [channelId]: { name, rateLimitPerUser } } } }
+ * Permission bitfields are stored as strings because JSON cannot hold BigInt.
+ */
+const safeModeBackups = safeReadJSON(FILES.BACKUPS, {});
+
+function saveSafeModeBackups() {
+  safeWriteJSON(FILES.BACKUPS, safeModeBackups);
 }
 
+const SAFE_MODE_STRIPPED_PERMS = [PermissionFlagsBits.ManageChannels, PermissionFlagsBits.ManageRoles, PermissionFlagsBits.BanMembers, PermissionFlagsBits.KickMembers];
+const SAFE_MODE_SLOWMODE_SEC = 10;
+
 /**
  * activateSafeMode: when we think a nuke is happening, attempt to lock down
  */
@@ -456,15 +2029,29 @@ async function activateSafeMode(guild) {
     saveConfig();
     // attempt to remove dangerous permissions from roles that are not managed by bot
     // caution: do not remove from administrators (we will log)
-    const roles = guild.roles.cache.filter(r => !r.managed && r.editable);
+    const roles = guild.roles.cache.filter(r => !r.managed && r.editable && !r.permissions.has(PermissionFlagsBits.Administrator));
+    const channels = guild.channels.cache.filter(ch => ch.isTextBased() && ch.viewable && ch.manageable && typeof ch.rateLimitPerUser === 'number');
+
+    // Snapshot to disk BEFORE touching anything. If a backup already exists
+    // (e.g. an earlier lockdown was never lifted) keep its original values.
+    const backup = safeModeBackups[gid] || { createdAt: Date.now(), roles: {}, channels: {} };
+    for (const role of roles.values()) {
+      if (!backup.roles[role.id]) backup.roles[role.id] = { name: role.name, permissions: role.permissions.bitfield.toString() };
+    }
+    for (const ch of channels.values()) {
+      if (!backup.channels[ch.id]) backup.channels[ch.id] = { name: ch.name, rateLimitPerUser: ch.rateLimitPerUser };
+    }
+    safeModeBackups[gid] = backup;
+    saveSafeModeBackups();
+
     let locked = 0;
     for (const role of roles.values()) {
-      // skip @everyone role change - but adjust sendMessages at channel level instead
-      if (role.permissions.has(PermissionFlagsBits.Administrator)) continue;
       // remove dangerous perms: ManageChannels, ManageRoles, BanMembers, KickMembers
-      const newPerms = role.permissions.remove([PermissionFlagsBits.ManageChannels, PermissionFlagsBits.ManageRoles, PermissionFlagsBits.BanMembers, PermissionFlagsBits.KickMembers]);
+      const newPerms = new PermissionsBitField(role.permissions.bitfield).remove(SAFE_MODE_STRIPPED_PERMS);
+      if (newPerms.bitfield === role.permissions.bitfield) continue;
       try {
-        await role.setPermissions(newPerms);
+        await takeRestToken();
+        await role.setPermissions(newPerms, 'Safe mode lockdown');
         locked++;
       } catch (e) {
         // ignore failures to set permissions
@@ -472,604 +2059,1880 @@ async function activateSafeMode(guild) {
     }
     log(`Activated safe mode for guild ${gid}, roles locked: ${locked}`);
     // set slowmode server-wide (per-channel) as last resort - reduced rate
-    guild.channels.cache.forEach(ch => {
-      if (ch.isTextBased() && ch.viewable && ch.editable) {
-        ch.setRateLimitPerUser(10).catch(()=>{});
-      }
-    });
+    for (const ch of channels.values()) {
+      await takeRestToken();
+      await ch.setRateLimitPerUser(SAFE_MODE_SLOWMODE_SEC, 'Safe mode lockdown').catch(()=>{});
+    }
   } catch (e) {
     console.error('activateSafeMode err', e);
   }
 }
 
 /**
- * deactivateSafeMode: revert safe mode
+ * deactivateSafeMode: revert safe mode and restore the on-disk backup.
+ * @returns {Promise<{ restoredRoles: number, restoredChannels: number, failed: Array<{ kind: string, id: string, name: string, reason: string }>, hadBackup: boolean }>}
  */
 async function deactivateSafeMode(guild) {
+  const report = { restoredRoles: 0, restoredChannels: 0, failed: [], hadBackup: false };
   try {
     const gid = guild.id;
-    if (!config[gid]) return;
+    if (!config[gid]) return report;
     config[gid].nukemode = false;
     saveConfig();
-    // Note: re-applying original perms is non-trivial unless tracked.
-    // For now we leave roles; operator should restore manually or via backup.
-    log(`Deactivated safe mode for guild ${gid}`);
-  } catch (e) {
-    console.error('deactivateSafeMode err', e);
-  }
-}
 
-/* ============================================================
-   Automod implementations (antilink, antispam, wordfilter)
-   ============================================================ */
+    const backup = safeModeBackups[gid];
+    if (backup) {
+      report.hadBackup = true;
 
-const spamTracker = {}; // { guildId: { userId: [timestamps] } }
+      for (const [roleId, saved] of Object.entries(backup.roles || {})) {
+        const role = guild.roles.cache.get(roleId);
+        if (!role) {
+          report.failed.push({ kind: 'role', id: roleId, name: saved.name, reason: 'deleted' });
+          continue;
+        }
+        if (role.permissions.bitfield === BigInt(saved.permissions)) {
+          report.restoredRoles++;
+          continue;
+        }
+        if (!role.editable) {
+          report.failed.push({ kind: 'role', id: roleId, name: saved.name, reason: 'above my highest role' });
+          continue;
+        }
+        try {
+          await role.setPermissions(BigInt(saved.permissions), 'Safe mode restore');
+          report.restoredRoles++;
+        } catch (e) {
+          report.failed.push({ kind: 'role', id: roleId, name: saved.name, reason: e.message.substring(0, 60) });
+        }
+      }
 
-function recordMessageForSpam(gid, userId) {
-  const now = Date.now();
-  spamTracker[gid] = spamTracker[gid] || {};
-  spamTracker[gid][userId] = spamTracker[gid][userId] || [];
-  spamTracker[gid][userId].push(now);
-  // prune older than window
-  const window = config[gid]?.automod?.antispam?.window || MAX_ANTISPAM_WINDOW;
-  spamTracker[gid][userId] = spamTracker[gid][userId].filter(ts => ts > now - window);
-  return spamTracker[gid][userId].length;
+      for (const [channelId, saved] of Object.entries(backup.channels || {})) {
+        const ch = guild.channels.cache.get(channelId);
+        if (!ch) {
+          report.failed.push({ kind: 'channel', id: channelId, name: saved.name, reason: 'deleted' });
+          continue;
+        }
+        if (ch.rateLimitPerUser === saved.rateLimitPerUser) {
+          report.restoredChannels++;
+          continue;
+        }
+        if (!ch.manageable) {
+          report.failed.push({ kind: 'channel', id: channelId, name: saved.name, reason: 'missing Manage Channels' });
+          continue;
+        }
+        try {
+          await ch.setRateLimitPerUser(saved.rateLimitPerUser, 'Safe mode restore');
+          report.restoredChannels++;
+        } catch (e) {
+          report.failed.push({ kind: 'channel', id: channelId, name: saved.name, reason: e.message.substring(0, 60) });
+        }
+      }
+
+      delete safeModeBackups[gid];
+      saveSafeModeBackups();
+    }
+
+    log(`Deactivated safe mode for guild ${gid}, restored roles: ${report.restoredRoles}, channels: ${report.restoredChannels}, failed: ${report.failed.length}`);
+  } catch (e) {
+    console.error('deactivateSafeMode err', e);
+  }
+  return report;
+}
+
+/**
+ * Build the embed shown after `nukemode off`, listing anything that could not be restored.
+ */
+function buildSafeModeRestoreEmbed(report) {
+  if (!report.hadBackup) {
+    return embedWarn('✅ Nuke Mode Deactivated', 'Emergency Safe Mode deactivated. No permission backup was found, so roles and slowmode were left as they are.');
+  }
+  const embed = (report.failed.length ? embedWarn : embedSuccess)(
+    '✅ Nuke Mode Deactivated',
+    `Emergency Safe Mode deactivated.\n**Roles restored**: ${report.restoredRoles}\n**Channels restored**: ${report.restoredChannels}`
+  );
+  if (report.failed.length) {
+    const lines = report.failed.map(f => `${f.kind === 'role' ? '🔖' : '💬'} **${f.name}** (\`${f.id}\`) - ${f.reason}`);
+    let value = '';
+    for (const line of lines) {
+      if ((value + line).length > 1000) { value += '\n...'; break; }
+      value += (value ? '\n' : '') + line;
+    }
+    embed.addFields({ name: `⚠️ Could not restore (${report.failed.length})`, value, inline: false });
+  }
+  return embed;
 }
 
 /* ============================================================
-   Commands: Core (Aesthetic Improvement)
+   Anti-raid: join-rate & new-account cluster detection, lockdown
    ============================================================ */
+/**
+ * Joins are tracked in memory per guild. A raid triggers when either
+ *   - `joins` members join within `windowSec`, or
+ *   - `clusterSize` accounts younger than `accountAgeDays` join within
+ *     RAID_CLUSTER_WINDOW_MS and share a trait (default avatar, similar
+ *     name, or creation times within RAID_CREATION_SPAN_MS of each other).
+ * Lockdown raises the verification level, pauses invites and times out or kicks
+ * the join wave (and anyone joining until `raid end`). What was changed is
+ * persisted in raids.json so `raid end` can revert it after a restart:
+ * { [guildId]: { startedAt, trigger, startedBy, previousVerificationLevel,
+ *   raisedVerification, pausedInvites, affected: [{ id, tag, action, ok }] } }
+ */
+const raidStates = safeReadJSON(FILES.RAIDS, {});
+const raidJoinTracker = {}; // { guildId: [{ id, tag, joinedAt, createdAt, defaultAvatar, nameKey }] }
 
-commandsMap['help'] = async (ctx) => {
-  try {
-    const prefix = config[ctx.guild?.id]?.prefix || DEFAULT_PREFIX;
-
-    const modCommands = [
-      `\`${prefix}clear <amount>\` - Bulk delete messages.`,
-      `\`${prefix}kick @user [reason]\` - Kick a member.`,
-      `\`${prefix}ban @user [reason]\` - Ban a member.`,
-      `\`${prefix}tempban @user <dur>\` - Temporarily ban a member.`,
-      `\`${prefix}softban @user\` - Ban, clear msgs, then unban.`,
-      `\`${prefix}unban <user_id>\` - Unban a user by ID.`,
-      `\`${prefix}mute @user [dur] [reason]\` - Timeout a member.`,
-      `\`${prefix}unmute @user\` - Remove a member's timeout.`,
-      `\`${prefix}warn @user [reason]\` - Issue a warning.`,
-      `\`${prefix}warnings @user\` - View user's warnings.`,
-    ].join('\n');
-
-    const configCommands = [
-      `\`${prefix}prefix [new_prefix]\` - View or change the command prefix.`,
-      `\`${prefix}setmodlog <#channel>\` - Set the moderation logging channel.`,
-      `\`${prefix}antilink on|off\` - Toggle link blocking (whitelist active).`,
-      `\`${prefix}antispam set <max> <sec>\` - Configure anti-spam rules.`,
-      `\`${prefix}wordfilter ...\` - Manage the banned words list.`,
-      `\`${prefix}nukemode on|off\` - Toggle emergency safe mode.`,
-      `\`${prefix}enable\` - Interactive security settings menu.`,
-    ].join('\n');
-
-    const utilCommands = [
-      `\`${prefix}ping\` - Check bot latency/heartbeat.`,
-      `\`${prefix}uptime\` - Show bot uptime.`,
-      `\`${prefix}userinfo @user\` - Get user details.`,
-      `\`${prefix}serverinfo\` - Get server details.`,
-      `\`${prefix}avatar @user\` - Get user's avatar.`,
-      `\`${prefix}roleinfo @role\` - Get role details.`,
-      `\`${prefix}channelinfo\` - Get channel details.`,
-    ].join('\n');
-
-    const levelingCommands = [
-        `\`${prefix}level [@user]\` - Check XP and level status.`,
-        `\`${prefix}leaderboard\` - Show the top 10 leveled members.`,
-    ].join('\n');
+function saveRaidStates() {
+  safeWriteJSON(FILES.RAIDS, raidStates);
+}
 
+function getRaidSettings(gid) {
+  return { ...DEFAULT_ANTIRAID, ...(config[gid]?.antiraid || {}) };
+}
 
-    const embed = new EmbedBuilder()
-      .setTitle('📚 Rexo Help Menu')
-      .setDescription(`Hello! I'm your secure moderation and utility bot.
-My current **prefix** is: \`${prefix}\`
-You can also use **slash commands** for all functions (e.g. \`/help\`).`)
-      .setThumbnail(client.user.displayAvatarURL({ size: 128 }))
-      .setColor(EMBED_COLOR_INFO)
+function isRaidActive(gid) {
+  return !!raidStates[gid];
+}
+
+// 'Raider_123' and 'raider77' both become 'raide'
+function raidNameKey(username) {
+  const key = (username || '').toLowerCase().replace(/[^a-z]/g, '').slice(0, 5);
+  return key.length >= 3 ? key : null;
+}
+
+/**
+ * How long joins are remembered: long enough for both the join-rate window
+ * (up to 300s) and cluster detection.
+ */
+function getRaidTrackingMs(settings) {
+  return Math.max(settings.windowSec * 1000, RAID_CLUSTER_WINDOW_MS);
+}
+
+function recordRaidJoin(member) {
+  const gid = member.guild.id;
+  const now = Date.now();
+  const trackingMs = getRaidTrackingMs(getRaidSettings(gid));
+  const joins = (raidJoinTracker[gid] || []).filter(j => now - j.joinedAt < trackingMs);
+  joins.push({
+    id: member.id,
+    tag: member.user.tag,
+    joinedAt: now,
+    createdAt: member.user.createdTimestamp,
+    defaultAvatar: !member.user.avatar,
+    nameKey: raidNameKey(member.user.username),
+  });
+  raidJoinTracker[gid] = joins;
+  return joins;
+}
+
+/**
+ * Find the largest group of new accounts sharing a trait.
+ * @returns {{ trait: string, joins: Array }|null}
+ */
+function findJoinCluster(joins, settings) {
+  if (!settings.clusterSize) return null;
+  const now = Date.now();
+  const fresh = joins.filter(j => now - j.joinedAt < RAID_CLUSTER_WINDOW_MS && now - j.createdAt < settings.accountAgeDays * 24 * 60 * 60 * 1000);
+  if (fresh.length < settings.clusterSize) return null;
+
+  const groups = [{ trait: 'default avatars', joins: fresh.filter(j => j.defaultAvatar) }];
+  const byName = {};
+  for (const j of fresh) if (j.nameKey) (byName[j.nameKey] = byName[j.nameKey] || []).push(j);
+  for (const [key, list] of Object.entries(byName)) groups.push({ trait: `similar names (\`${key}…\`)`, joins: list });
+  // Sliding window over creation time
+  const byCreation = fresh.slice().sort((a, b) => a.createdAt - b.createdAt);
+  for (let start = 0, end = 0; end < byCreation.length; end++) {
+    while (byCreation[end].createdAt - byCreation[start].createdAt > RAID_CREATION_SPAN_MS) start++;
+    groups.push({ trait: 'accounts created at the same time', joins: byCreation.slice(start, end + 1) });
+  }
+
+  const best = groups.sort((a, b) => b.joins.length - a.joins.length)[0];
+  return best.joins.length >= settings.clusterSize ? best : null;
+}
+
+/**
+ * Time out or kick one member of the join wave according to the guild's raid action.
+ */
+async function actionRaidMember(guild, memberId, state) {
+  const settings = getRaidSettings(guild.id);
+  const member = await guild.members.fetch(memberId).catch(() => null);
+  const entry = { id: memberId, tag: member?.user.tag || memberId, action: settings.action, ok: false };
+  if (member) {
+    await takeRestToken();
+    const reason = `Raid lockdown: ${state.trigger}`;
+    if (settings.action === 'kick') entry.ok = member.kickable && await member.kick(reason).then(() => true, () => false);
+    else entry.ok = member.moderatable && await member.timeout(settings.timeoutMs, reason).then(() => true, () => false);
+  }
+  state.affected.push(entry);
+  return entry;
+}
+
+/**
+ * Lock the guild down and action the join wave. No-op if a lockdown is already active.
+ * @param {string[]} waveIds Members to time out or kick.
+ * @returns {Promise<object|null>} The raid state, or null if a raid was already active.
+ */
+async function startRaidLockdown(guild, trigger, waveIds, startedBy = null) {
+  const gid = guild.id;
+  if (isRaidActive(gid)) return null;
+  const state = {
+    startedAt: Date.now(),
+    trigger,
+    startedBy,
+    previousVerificationLevel: guild.verificationLevel,
+    raisedVerification: false,
+    pausedInvites: false,
+    affected: [],
+  };
+  raidStates[gid] = state;
+  saveRaidStates();
+
+  if (guild.verificationLevel < GuildVerificationLevel.High) {
+    state.raisedVerification = await guild.setVerificationLevel(GuildVerificationLevel.High, `Raid lockdown: ${trigger}`).then(() => true, () => false);
+  }
+  if (!guild.features.includes(GuildFeature.InvitesDisabled)) {
+    state.pausedInvites = await guild.disableInvites(true).then(() => true, () => false);
+  }
+  saveRaidStates();
+
+  for (const id of waveIds) await actionRaidMember(guild, id, state);
+  saveRaidStates();
+
+  const actioned = state.affected.filter(a => a.ok).length;
+  const logEmbed = new EmbedBuilder()
+      .setTitle('🚨 Raid Detected: Lockdown Active')
       .addFields(
-        { name: '🛡️ Moderation Commands', value: modCommands, inline: false },
-        { name: '⚙️ Configuration & Security', value: configCommands, inline: false },
-        { name: '📈 Leveling System (NEW)', value: levelingCommands, inline: false },
-        { name: '🔍 Utility & Info', value: utilCommands, inline: false }
+          { name: 'Trigger', value: trigger, inline: false },
+          { name: 'Verification Level', value: state.raisedVerification ? 'Raised to High' : 'Unchanged', inline: true },
+          { name: 'Invites', value: state.pausedInvites ? 'Paused' : 'Unchanged', inline: true },
+          { name: 'Join Wave', value: `${actioned}/${waveIds.length} ${getRaidSettings(gid).action === 'kick' ? 'kicked' : 'timed out'}`, inline: true },
+          { name: 'Next Step', value: 'New joins are actioned until a moderator runs `raid end`.', inline: false }
       )
-      .setFooter({ text: `Type ${prefix}help or /help for this menu. | Developed by Rexo` })
       .setTimestamp();
+  logModerationAction(guild, logEmbed);
+  log(`Raid lockdown started in guild ${gid}: ${trigger}`);
+  return state;
+}
 
-    return respond(ctx, { embeds: [embed] });
-  } catch (e) {
-    console.error('help cmd err', e);
-    return respond(ctx, { embeds: [embedError("Help Error", "Could not build help menu")] });
-  }
-};
+/**
+ * Revert a lockdown: restore the verification level, resume invites and lift
+ * the timeouts given to the join wave. Kicks cannot be undone and are only reported.
+ * @returns {Promise<{ state: object, restoredVerification: boolean, resumedInvites: boolean, liftedTimeouts: number }|null>}
+ */
+async function endRaidLockdown(guild) {
+  const gid = guild.id;
+  const state = raidStates[gid];
+  if (!state) return null;
+  const report = { state, restoredVerification: false, resumedInvites: false, liftedTimeouts: 0 };
 
+  if (state.raisedVerification) {
+    report.restoredVerification = await guild.setVerificationLevel(state.previousVerificationLevel, 'Raid lockdown ended').then(() => true, () => false);
+  }
+  if (state.pausedInvites) {
+    report.resumedInvites = await guild.disableInvites(false).then(() => true, () => false);
+  }
+  for (const entry of state.affected.filter(a => a.ok && a.action === 'timeout')) {
+    const member = await guild.members.fetch(entry.id).catch(() => null);
+    if (!member?.isCommunicationDisabled()) continue;
+    await takeRestToken();
+    if (await member.timeout(null, 'Raid lockdown ended').then(() => true, () => false)) report.liftedTimeouts++;
+  }
 
+  delete raidStates[gid];
+  saveRaidStates();
+  delete raidJoinTracker[gid];
+  log(`Raid lockdown ended in guild ${gid}`);
+  return report;
+}
 
-commandsMap['ping'] = async (ctx) => {
-  const start = Date.now();
-  try {
-    let replyMessage = null;
-    if (ctx.channel) {
-      replyMessage = await respond(ctx, { content: '🏓 Pinging...' });
-    } else {
-      if (ctx.isCommand?.() && !ctx.deferred && !ctx.replied) {
-         await ctx.deferReply({ ephemeral: false }).catch(()=>{});
-      }
+function buildRaidSummaryEmbed(report) {
+  const { state } = report;
+  const timedOut = state.affected.filter(a => a.ok && a.action === 'timeout').length;
+  const kicked = state.affected.filter(a => a.ok && a.action === 'kick').length;
+  const failed = state.affected.filter(a => !a.ok).length;
+  const embed = embedSuccess('✅ Raid Lockdown Ended', [
+    `**Trigger**: ${state.trigger}`,
+    `**Started**: <t:${Math.floor(state.startedAt / 1000)}:R>`,
+    `**Verification level**: ${state.raisedVerification ? (report.restoredVerification ? 'restored' : '⚠️ could not be restored') : 'unchanged'}`,
+    `**Invites**: ${state.pausedInvites ? (report.resumedInvites ? 'resumed' : '⚠️ could not be resumed') : 'unchanged'}`,
+    `**Accounts**: ${timedOut} timed out (${report.liftedTimeouts} lifted), ${kicked} kicked, ${failed} failed`,
+  ].join('\n'));
+
+  if (state.affected.length) {
+    const icons = { timeout: '🔇', kick: '👟' };
+    let value = '';
+    for (const a of state.affected) {
+      const line = `${a.ok ? icons[a.action] : '⚠️'} ${a.tag} (\`${a.id}\`)`;
+      if ((value + line).length > 1000) { value += '\n...'; break; }
+      value += (value ? '\n' : '') + line;
     }
+    embed.addFields({ name: `Affected Accounts (${state.affected.length})`, value, inline: false });
+  }
+  return embed;
+}
 
-    const latency = Date.now() - start;
-    const apiLatency = client.ws.ping.toFixed(0);
+async function handleRaidJoin(member) {
+  const gid = member.guild.id;
+  ensureGuildConfig(gid);
+  // During a lockdown every new join is part of the wave
+  if (isRaidActive(gid)) {
+    await actionRaidMember(member.guild, member.id, raidStates[gid]);
+    saveRaidStates();
+    return;
+  }
+  const settings = getRaidSettings(gid);
+  if (!settings.enabled) return;
 
-    const embed = new EmbedBuilder()
-        .setTitle('🛰️ Pong!')
-        .setDescription(`**Latency**: ${latency}ms (Message Edit/Reply)
-**API Heartbeat**: ${apiLatency}ms (Discord API)`)
-        .setThumbnail(client.user.displayAvatarURL({ size: 512 }))
-        .setColor(EMBED_COLOR_INFO);
+  const joins = recordRaidJoin(member);
+  const now = Date.now();
+  const burst = joins.filter(j => now - j.joinedAt < settings.windowSec * 1000);
+  if (burst.length >= settings.joins) {
+    await startRaidLockdown(member.guild, `${burst.length} joins in ${settings.windowSec}s`, burst.map(j => j.id));
+    return;
+  }
+  const cluster = findJoinCluster(joins, settings);
+  if (cluster) {
+    await startRaidLockdown(member.guild, `${cluster.joins.length} new accounts with ${cluster.trait}`, cluster.joins.map(j => j.id));
+  }
+}
 
-    if (replyMessage && replyMessage.edit) {
-      return replyMessage.edit({ content: null, embeds: [embed] }).catch(()=>{});
-    } else if (ctx.isCommand?.()) {
-      return ctx.editReply({ embeds: [embed], content: null }).catch(()=>{});
-    }
-    return respond(ctx, { embeds: [embed] });
+/* ============================================================
+   Verification gate (button + modal challenge)
+   ============================================================ */
+/**
+ * Settings live in config[gid].verification:
+ *   enabled, channelId (where the Verify panel is posted), roleId (granted on success),
+ *   challenge: 'captcha' | 'math', timeoutMs (kick unverified members after this; 0 = never),
+ *   minAccountAgeDays (younger accounts are kicked on join; 0 = off)
+ * Pending kicks are `verify_kick` jobs in the persistent scheduler, so they survive restarts.
+ * Open challenges are kept in memory and expire after VERIFY_CHALLENGE_TTL_MS.
+ */
+const VERIFY_CHALLENGE_TTL_MS = 5 * 60 * 1000;
+const VERIFY_MAX_ATTEMPTS = 3;
+const CAPTCHA_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // no 0/O or 1/I look-alikes
+const verifyChallenges = new Map(); // Map<'gid:userId', { answer, prompt, expiresAt, attempts }>
 
-  } catch (e) {
-    console.error('Ping command error:', e);
-    return respond(ctx, { embeds: [embedError('Ping Error', 'Could not measure latency')] });
+function getVerificationSettings(gid) {
+  return { ...DEFAULT_VERIFICATION, ...(config[gid]?.verification || {}) };
+}
+
+/**
+ * @returns {{ prompt: string, answer: string }}
+ */
+function generateChallenge(type) {
+  if (type === 'math') {
+    const a = 2 + Math.floor(Math.random() * 12);
+    const b = 2 + Math.floor(Math.random() * 12);
+    const op = ['+', '-', '×'][Math.floor(Math.random() * 3)];
+    const answer = op === '+' ? a + b : op === '-' ? a - b : a * b;
+    return { prompt: `What is ${a} ${op} ${b}?`, answer: String(answer) };
   }
-};
+  let code = '';
+  for (let i = 0; i < 6; i++) code += CAPTCHA_ALPHABET[Math.floor(Math.random() * CAPTCHA_ALPHABET.length)];
+  // Spaced out so the label can't be pasted back verbatim; spaces are ignored when checking
+  return { prompt: `Type this code: ${code.split('').join(' ')}`, answer: code };
+}
 
+function normalizeChallengeAnswer(text) {
+  return String(text || '').replace(/\s+/g, '').toUpperCase();
+}
 
-commandsMap['uptime'] = async (ctx) => {
-  const uptimeMs = process.uptime() * 1000;
-  const s = Math.floor(uptimeMs / 1000) % 60;
-  const m = Math.floor(uptimeMs / (60 * 1000)) % 60;
-  const h = Math.floor(uptimeMs / (60 * 60 * 1000)) % 24;
-  const d = Math.floor(uptimeMs / (24 * 60 * 60 * 1000));
-  const str = `**${d}** Days, **${h}** Hours, **${m}** Minutes, **${s}** Seconds`;
-  const embed = new EmbedBuilder()
-    .setTitle('⏱️ Uptime')
-    .setDescription(str)
-    .setColor(EMBED_COLOR_INFO)
-    .setThumbnail(client.user.displayAvatarURL({ size: 512 }));
-  return respond(ctx, { embeds: [embed] });
-};
+function logVerificationEvent(guild, title, user, fields = []) {
+  const logEmbed = new EmbedBuilder()
+      .setTitle(title)
+      .addFields({ name: 'User', value: `${user.tag} (\`${user.id}\`)`, inline: true }, ...fields)
+      .setTimestamp();
+  return logModerationAction(guild, logEmbed);
+}
 
+function buildVerificationPanel(guild) {
+  const embed = embedInfo('🔐 Verification Required', `Welcome to **${guild.name}**! Press **Verify** below and answer the short challenge to get access to the server.`);
+  const row = {
+    type: 1, // ActionRow
+    components: [{ type: 2, style: 3, custom_id: 'verify:start', label: 'Verify', emoji: { name: '✅' } }], // Success button
+  };
+  return { embeds: [embed], components: [row] };
+}
 
-commandsMap['avatar'] = async (ctx) => {
-  const target = ctx?.isCommand?.()
-    ? (ctx.options.getUser('user') || ctx.user)
-    : (ctx.mentions?.users?.first?.() || ctx.author);
+/**
+ * guildMemberAdd hook: enforce the minimum account age and arm the unverified kick.
+ * @returns {Promise<boolean>} false if the member was turned away for being too new.
+ */
+async function handleVerificationJoin(member) {
+  const gid = member.guild.id;
+  const settings = getVerificationSettings(gid);
+  if (!settings.enabled || !settings.roleId) return true;
+
+  const ageDays = (Date.now() - member.user.createdTimestamp) / (24 * 60 * 60 * 1000);
+  if (settings.minAccountAgeDays && ageDays < settings.minAccountAgeDays) {
+    await member.send({ embeds: [embedWarn('🔐 Account Too New', `Accounts must be at least **${settings.minAccountAgeDays}** days old to join **${member.guild.name}**.`)] }).catch(()=>{});
+    const kicked = member.kickable && await member.kick(`Verification: account younger than ${settings.minAccountAgeDays}d`).then(() => true, () => false);
+    logVerificationEvent(member.guild, '🔐 Verification: Account Too New', member.user, [
+      { name: 'Account Age', value: `${ageDays.toFixed(1)} days`, inline: true },
+      { name: 'Action', value: kicked ? 'Kicked' : 'Kick failed', inline: true },
+    ]);
+    return false;
+  }
 
-  const embed = new EmbedBuilder()
-    .setTitle(`🖼️ ${target.tag}'s Avatar`)
-    .setDescription(`[Click here for Avatar URL (${target.displayAvatarURL({ size: 1024, extension: 'png' })})]`)
-    .setImage(target.displayAvatarURL({ size: 1024, extension: 'png' }))
-    .setColor(EMBED_COLOR_INFO)
-    .setFooter({ text: `User ID: ${target.id}` })
-    .setTimestamp();
+  if (settings.timeoutMs) {
+    getGuildJobs(gid, 'verify_kick').filter(j => j.userId === member.id).forEach(j => cancelJob(j.id));
+    scheduleJob({ type: 'verify_kick', guildId: gid, userId: member.id, runAt: Date.now() + settings.timeoutMs });
+  }
+  return true;
+}
 
-  return respond(ctx, { embeds: [embed] });
-};
+/**
+ * `verify_kick` job: kick the member if they still lack the verified role.
+ */
+async function runVerifyKickJob(guild, job) {
+  const settings = getVerificationSettings(guild.id);
+  const member = await guild.members.fetch(job.userId).catch(() => null);
+  if (!member || !settings.enabled || !settings.roleId || member.roles.cache.has(settings.roleId)) return;
+  verifyChallenges.delete(`${guild.id}:${member.id}`);
+  const kicked = member.kickable && await member.kick('Verification: not verified in time').then(() => true, () => false);
+  logVerificationEvent(guild, '🔐 Verification: Timed Out', member.user, [
+    { name: 'Time Allowed', value: formatDuration(settings.timeoutMs), inline: true },
+    { name: 'Action', value: kicked ? 'Kicked' : 'Kick failed', inline: true },
+  ]);
+}
 
+/**
+ * `verify:start` button: open a modal with a fresh challenge.
+ */
+async function handleVerifyButton(interaction) {
+  const gid = interaction.guild.id;
+  const settings = getVerificationSettings(gid);
+  if (!settings.enabled || !settings.roleId) {
+    return interaction.reply({ embeds: [embedError('Verification', 'Verification is not enabled in this server.')], ephemeral: true });
+  }
+  if (interaction.member.roles.cache.has(settings.roleId)) {
+    return interaction.reply({ embeds: [embedInfo('Verification', 'You are already verified.')], ephemeral: true });
+  }
 
-commandsMap['userinfo'] = async (ctx) => {
-  try {
-    const target = ctx.isCommand?.()
-      ? (ctx.options.getUser('user') || ctx.user)
-      : (ctx.mentions?.users?.first() || ctx.author);
+  const key = `${gid}:${interaction.user.id}`;
+  const { prompt, answer } = generateChallenge(settings.challenge);
+  const attempts = verifyChallenges.get(key)?.attempts || 0;
+  verifyChallenges.set(key, { answer, prompt, expiresAt: Date.now() + VERIFY_CHALLENGE_TTL_MS, attempts });
 
-    const member = await ctx.guild.members.fetch(target.id).catch(() => null);
+  return interaction.showModal({
+    custom_id: 'verify:answer',
+    title: 'Verification',
+    components: [{
+      type: 1, // ActionRow
+      components: [{ type: 4, custom_id: 'answer', label: prompt, style: 1, min_length: 1, max_length: 20, required: true }], // Short text input
+    }],
+  });
+}
 
-    const roles = member ? member.roles.cache.filter(r => r.id !== ctx.guild.id).map(r => r.toString()).join(', ') || 'None' : 'N/A';
+/**
+ * `verify:answer` modal: check the answer and grant the role, or count a failed attempt.
+ */
+async function handleVerifyModal(interaction) {
+  const guild = interaction.guild;
+  const settings = getVerificationSettings(guild.id);
+  const key = `${guild.id}:${interaction.user.id}`;
+  const challenge = verifyChallenges.get(key);
+  if (!settings.enabled || !settings.roleId) {
+    return interaction.reply({ embeds: [embedError('Verification', 'Verification is not enabled in this server.')], ephemeral: true });
+  }
+  if (!challenge || challenge.expiresAt < Date.now()) {
+    return interaction.reply({ embeds: [embedWarn('Verification', 'This challenge expired. Press **Verify** to get a new one.')], ephemeral: true });
+  }
 
-    const embed = new EmbedBuilder()
-      .setTitle(`👤 User Info: ${target.tag}`)
-      .setThumbnail(target.displayAvatarURL({ size: 512 }))
-      .addFields(
-        { name: 'ID', value: `\`${target.id}\``, inline: true },
-        { name: 'Bot', value: target.bot ? '✅ Yes' : '❌ No', inline: true },
-        { name: 'Nickname', value: member?.nickname || 'None', inline: true },
-        { name: 'Account Created', value: `<t:${Math.floor(target.createdTimestamp / 1000)}:R>`, inline: false },
-        { name: 'Joined Server', value: member ? `<t:${Math.floor(member.joinedTimestamp / 1000)}:R>` : 'N/A', inline: false },
-        { name: `Roles (${member?.roles?.cache?.size - 1 || 0})`, value: roles.length > 1024 ? 'Too many to display' : roles, inline: false }
-      )
-      .setColor(EMBED_COLOR_INFO)
-      .setTimestamp();
+  const given = interaction.fields.getTextInputValue('answer');
+  if (normalizeChallengeAnswer(given) === normalizeChallengeAnswer(challenge.answer)) {
+    verifyChallenges.delete(key);
+    const added = await interaction.member.roles.add(settings.roleId, 'Verification passed').then(() => true, () => false);
+    if (!added) {
+      return interaction.reply({ embeds: [embedError('Verification', 'Correct, but I could not give you the verified role. Please contact a moderator.')], ephemeral: true });
+    }
+    getGuildJobs(guild.id, 'verify_kick').filter(j => j.userId === interaction.user.id).forEach(j => cancelJob(j.id));
+    const level = peekUserData(guild.id, interaction.user.id).level;
+    if (level > 0) applyLevelRoles(interaction.member, level).catch(e => console.error('Level role restore failed:', e));
+    welcomeVerifiedMember(interaction.member).catch(e => console.error('Welcome message failed:', e));
+    return interaction.reply({ embeds: [embedSuccess('✅ Verified', `Welcome to **${guild.name}**!`)], ephemeral: true });
+  }
 
-    return respond(ctx, { embeds: [embed] });
-  } catch (e) {
-    return respond(ctx, { embeds: [embedError('Userinfo Error', 'Could not fetch user info')] });
+  challenge.attempts++;
+  challenge.expiresAt = 0; // each challenge can only be answered once
+  const outOfAttempts = challenge.attempts >= VERIFY_MAX_ATTEMPTS;
+  let action = `Attempt ${challenge.attempts}/${VERIFY_MAX_ATTEMPTS}`;
+  if (outOfAttempts) {
+    verifyChallenges.delete(key);
+    await interaction.reply({ embeds: [embedError('❌ Verification Failed', 'Too many wrong answers. You have been removed from the server.')], ephemeral: true }).catch(()=>{});
+    const kicked = interaction.member.kickable && await interaction.member.kick('Verification: too many failed attempts').then(() => true, () => false);
+    action += kicked ? ' (kicked)' : ' (kick failed)';
   }
+  logVerificationEvent(guild, '🔐 Verification Failed', interaction.user, [
+    { name: 'Result', value: action, inline: true },
+    { name: 'Challenge', value: `${challenge.prompt}\nExpected \`${challenge.answer}\`, got \`${clip(given, 100)}\``, inline: false },
+  ]);
+  if (outOfAttempts) return;
+  const left = VERIFY_MAX_ATTEMPTS - challenge.attempts;
+  return interaction.reply({ embeds: [embedError('❌ Wrong Answer', `That was not correct. Press **Verify** to try again (**${left}** attempt${left === 1 ? '' : 's'} left).`)], ephemeral: true });
+}
+
+/* ============================================================
+   Welcome & goodbye messages
+   ============================================================ */
+/**
+ * config[gid].greetings: { welcome, goodbye, dm }, each { enabled, message, embed, channelId }
+ * (dm has no channel). Templates support {user}, {server}, {memberCount} and {inviter}.
+ * {inviter} is found by diffing invite use counts, cached per guild in inviteUses.
+ */
+const GREETING_TYPES = {
+  welcome: { title: '👋 Welcome!', color: EMBED_COLOR_SUCCESS },
+  goodbye: { title: '👋 Goodbye', color: EMBED_COLOR_WARN },
+  dm: { title: '👋 Welcome!', color: EMBED_COLOR_INFO },
 };
+const MAX_GREETING_LENGTH = 1500;
+const inviteUses = new Map(); // Map<guildId, Map<code, { uses, inviterId }>>
+// Members who joined but were not welcomed (yet): `${guildId}:${userId}` -> { inviterId, rejected }.
+// They get no goodbye when they leave.
+const ungreetedMembers = new Map();
+
+function getGreeting(gid, type) {
+  return { ...DEFAULT_GREETING, ...(config[gid]?.greetings?.[type] || {}) };
+}
 
+function usesInviter(gid) {
+  return ['welcome', 'dm'].some(type => {
+    const greeting = getGreeting(gid, type);
+    return greeting.enabled && greeting.message.includes('{inviter}');
+  });
+}
 
-commandsMap['serverinfo'] = async (ctx) => {
-  try {
-    const guild = ctx.guild;
+/**
+ * Snapshot invite use counts so the next join can be matched to an invite.
+ * Needs Manage Server; without it {inviter} renders as "Unknown".
+ */
+async function cacheGuildInvites(guild) {
+  const invites = await guild.invites.fetch().catch(() => null);
+  if (!invites) return;
+  inviteUses.set(guild.id, new Map(invites.map(inv => [inv.code, { uses: inv.uses || 0, inviterId: inv.inviter?.id || null }])));
+}
 
-    const embed = new EmbedBuilder()
-      .setTitle(`🏢 Server Info: ${guild.name}`)
-      .setThumbnail(guild.iconURL({ size: 512 }))
-      .addFields(
-        { name: 'Server ID', value: `\`${guild.id}\``, inline: true },
-        { name: 'Owner', value: `<@${guild.ownerId}>`, inline: true },
-        { name: 'Verification Level', value: `${guild.verificationLevel}`, inline: true },
-        { name: 'Created On', value: `<t:${Math.floor(guild.createdTimestamp / 1000)}:R>`, inline: false },
-        { name: 'Members', value: `Total: ${guild.memberCount}\nHumans: ${guild.members.cache.filter(m => !m.user.bot).size}\nBots: ${guild.members.cache.filter(m => m.user.bot).size}`, inline: true },
-        { name: 'Channels', value: `Text: ${guild.channels.cache.filter(c => c.type === ChannelType.GuildText).size}\nVoice: ${guild.channels.cache.filter(c => c.type === ChannelType.GuildVoice).size}`, inline: true },
-        { name: 'Roles', value: `${guild.roles.cache.size}`, inline: true },
-        { name: 'Boost Level', value: `Tier ${guild.premiumTier}`, inline: true },
-        { name: 'Boost Count', value: `${guild.premiumSubscriptionCount || 0}`, inline: true }
-      )
-      .setColor(EMBED_COLOR_INFO)
-      .setTimestamp();
+/**
+ * @returns {Promise<string|null>} The inviter's id, 'vanity' for the vanity URL, or null if unknown.
+ */
+async function findInviter(guild) {
+  const before = inviteUses.get(guild.id);
+  const invites = await guild.invites.fetch().catch(() => null);
+  if (!invites) return null;
+  inviteUses.set(guild.id, new Map(invites.map(inv => [inv.code, { uses: inv.uses || 0, inviterId: inv.inviter?.id || null }])));
+  if (!before) return null;
+  const used = invites.find(inv => (inv.uses || 0) > (before.get(inv.code)?.uses || 0));
+  if (used) return used.inviter?.id || null;
+  // Single-use invites disappear once used
+  const gone = [...before.entries()].filter(([code]) => !invites.has(code));
+  if (gone.length === 1) return gone[0][1].inviterId;
+  return guild.vanityURLCode ? 'vanity' : null;
+}
 
-    return respond(ctx, { embeds: [embed] });
-  } catch (e) {
-    return respond(ctx, { embeds: [embedError('ServerInfo Error', 'Could not fetch server info')] });
+function renderGreeting(template, member, type, inviterId) {
+  const values = {
+    // Mentions of departed members don't resolve, so goodbyes use the tag
+    user: type === 'goodbye' ? `**${member.user.tag}**` : `<@${member.id}>`,
+    server: member.guild.name,
+    memberCount: `${member.guild.memberCount}`,
+    inviter: inviterId === 'vanity' ? 'the vanity URL' : inviterId ? `<@${inviterId}>` : 'Unknown',
+  };
+  // One pass with a replacer function: `$&` in a server name stays literal, and
+  // placeholders inside substituted values (a server named "{inviter}") are left alone
+  return template.replace(/\{(user|server|memberCount|inviter)\}/g, (_, key) => values[key]);
+}
+
+/**
+ * Build the message payload for a greeting.
+ */
+function buildGreetingPayload(greeting, member, type, inviterId) {
+  const text = renderGreeting(greeting.message, member, type, inviterId);
+  if (!greeting.embed) return { content: text, allowedMentions: { users: [member.id] } };
+  const embed = mkEmbed(GREETING_TYPES[type].title, text, GREETING_TYPES[type].color)
+    .setThumbnail(member.user.displayAvatarURL());
+  // Embeds don't ping, so welcomes mention the member above the embed
+  return type === 'welcome' ? { content: `<@${member.id}>`, embeds: [embed], allowedMentions: { users: [member.id] } } : { embeds: [embed] };
+}
+
+async function sendGreeting(member, type, inviterId = null) {
+  const greeting = getGreeting(member.guild.id, type);
+  if (!greeting.enabled || !greeting.message) return null;
+  const payload = buildGreetingPayload(greeting, member, type, inviterId);
+  if (type === 'dm') return member.send(payload).catch(() => null);
+
+  const channel = greeting.channelId && await member.guild.channels.fetch(greeting.channelId).catch(() => null);
+  if (!channel?.isTextBased()) return null;
+  return channel.send(payload).catch(() => null);
+}
+
+/**
+ * Greet a new member once the join checks have run. Nobody is welcomed while a
+ * raid lockdown is active or after the verification gate removed them; behind
+ * the gate the welcome waits in ungreetedMembers until they verify.
+ * @param {boolean} admitted Whether handleVerificationJoin let the member stay.
+ * @param {Promise<string|null>|null} inviterLookup findInviter(), started when the member joined.
+ */
+async function handleWelcomeJoin(member, admitted, inviterLookup) {
+  const gid = member.guild.id;
+  const key = `${gid}:${member.id}`;
+  const inviterId = await inviterLookup;
+  if (!admitted || isRaidActive(gid)) {
+    ungreetedMembers.set(key, { inviterId: null, rejected: true });
+    return;
   }
-};
+  const verification = getVerificationSettings(gid);
+  if (verification.enabled && verification.roleId) {
+    ungreetedMembers.set(key, { inviterId, rejected: false });
+    return;
+  }
+  await sendGreeting(member, 'welcome', inviterId);
+  await sendGreeting(member, 'dm', inviterId);
+}
 
+/**
+ * Send the welcome held back by the verification gate.
+ */
+async function welcomeVerifiedMember(member) {
+  const key = `${member.guild.id}:${member.id}`;
+  const held = ungreetedMembers.get(key);
+  ungreetedMembers.delete(key);
+  if (held?.rejected || isRaidActive(member.guild.id)) return;
+  await sendGreeting(member, 'welcome', held?.inviterId || null);
+  await sendGreeting(member, 'dm', held?.inviterId || null);
+}
 
-commandsMap['roleinfo'] = async (ctx) => {
-  try {
-    let role;
-    if (ctx.isCommand?.()) role = ctx.options.getRole('role');
-    else role = ctx.mentions?.roles?.first();
-    if (!role) return respond(ctx, { embeds: [embedInfo('Role Info', 'No role specified.')] });
+/* ============================================================
+   Automod implementations (antilink, antispam, wordfilter)
+   ============================================================ */
 
-    const embed = new EmbedBuilder()
-      .setTitle(`🔖 Role Info: ${role.name}`)
-      .setColor(role.color || EMBED_COLOR_INFO)
-      .addFields(
-        { name: 'ID', value: `\`${role.id}\``, inline: true },
-        { name: 'Color', value: `\`${role.hexColor}\``, inline: true },
-        { name: 'Hoisted', value: role.hoist ? '✅ Yes' : '❌ No', inline: true },
-        { name: 'Created On', value: `<t:${Math.floor(role.createdTimestamp / 1000)}:R>`, inline: false },
-        { name: 'Members', value: `${role.members.size}`, inline: true },
-        { name: 'Position', value: `${role.position}`, inline: true },
-        { name: 'Mentionable', value: role.mentionable ? '✅ Yes' : '❌ No', inline: true }
-      )
-      .setFooter({ text: `Guild: ${ctx.guild.name}` })
-      .setTimestamp();
+const spamTracker = {}; // { guildId: { userId: [timestamps] } }
 
-    return respond(ctx, { embeds: [embed] });
-  } catch (e) {
-    return respond(ctx, { embeds: [embedError('RoleInfo Error', 'Could not fetch role info')] });
+function recordMessageForSpam(gid, userId) {
+  const now = Date.now();
+  spamTracker[gid] = spamTracker[gid] || {};
+  spamTracker[gid][userId] = spamTracker[gid][userId] || [];
+  spamTracker[gid][userId].push(now);
+  // prune older than window
+  const window = config[gid]?.automod?.antispam?.window || MAX_ANTISPAM_WINDOW;
+  spamTracker[gid][userId] = spamTracker[gid][userId].filter(ts => ts > now - window);
+  return spamTracker[gid][userId].length;
+}
+
+/**
+ * Whether a message author/channel is exempt from every automod check
+ * (antilink, wordfilter, antispam) via the automod whitelists.
+ */
+function isAutomodExempt(message) {
+  const automod = config[message.guild.id].automod;
+  if ((automod.whitelistChannels || []).includes(message.channel.id)) return true;
+  // Threads inherit their parent channel's exemption
+  if (message.channel.isThread?.() && (automod.whitelistChannels || []).includes(message.channel.parentId)) return true;
+  if ((automod.whitelistUsers || []).includes(message.author.id)) return true;
+  const member = message.member;
+  if (!member) return false;
+  if (automod.exemptModerators !== false && member.permissions.has(PermissionFlagsBits.ManageMessages)) return true;
+  return member.roles.cache.some(r => (automod.whitelistRoles || []).includes(r.id));
+}
+
+const duplicateTracker = {}; // { guildId: { userId: [{ content, time }] } }
+const spamStrikes = {}; // { guildId: { userId: { count, last } } }
+
+function getAntispamDetectors(gid) {
+  return { ...DEFAULT_ANTISPAM_DETECTORS, ...config[gid]?.automod?.antispam?.detectors };
+}
+
+function getAntispamEscalation(gid) {
+  const ladder = config[gid]?.automod?.antispam?.escalation;
+  return Array.isArray(ladder) && ladder.length ? ladder : DEFAULT_ANTISPAM_ESCALATION;
+}
+
+/**
+ * Parse one escalation step such as `delete`, `timeout:10m`, `kick` or `ban`.
+ * @returns {{ action: string, durationMs?: number }|null}
+ */
+function parseSpamStep(step) {
+  const parts = String(step).toLowerCase().split(':');
+  const [action, dur] = parts;
+  if (action === 'timeout') {
+    if (parts.length > 2 || (dur !== undefined && !DURATION_PATTERN.test(dur))) return null;
+    const durationMs = parseDuration(dur || '5m');
+    return durationMs > 0 ? { action, durationMs: Math.min(durationMs, 28 * 24 * 60 * 60 * 1000) } : null;
   }
-};
+  if (parts.length === 1 && ['delete', 'kick', 'ban'].includes(action)) return { action };
+  return null;
+}
 
+function countEmoji(text) {
+  const custom = (text.match(/<a?:\w+:\d+>/g) || []).length;
+  const unicode = (text.match(/\p{Extended_Pictographic}/gu) || []).length;
+  return custom + unicode;
+}
 
-commandsMap['channelinfo'] = async (ctx) => {
-  try {
-    const channel = ctx.isCommand?.() ? ctx.options.getChannel('channel') : ctx.channel;
-    if (!channel) return respond(ctx, { embeds: [embedInfo('Channel Info', 'No channel context.')] });
+/**
+ * Run every spam detector against a message.
+ * @returns {{ reason: string, flood: boolean }|null} A human-readable reason if the message is spam.
+ */
+function detectSpam(message) {
+  const gid = message.guild.id;
+  const antispam = config[gid].automod.antispam;
+  const detectors = getAntispamDetectors(gid);
+  const content = message.content || '';
+  const userId = message.author.id;
+
+  // 1. Message flood
+  if (recordMessageForSpam(gid, userId) > antispam.max) {
+    return { reason: `Sent more than ${antispam.max} messages in ${Math.round(antispam.window / 1000)}s`, flood: true };
+  }
+  const spam = reason => ({ reason, flood: false });
 
-    let type;
-    switch (channel.type) {
-        case ChannelType.GuildText: type = 'Text'; break;
-        case ChannelType.GuildVoice: type = 'Voice'; break;
-        case ChannelType.GuildCategory: type = 'Category'; break;
-        case ChannelType.GuildNews: type = 'News'; break;
-        case ChannelType.GuildPublicThread: type = 'Public Thread'; break;
-        default: type = 'Other';
+  // 2. Duplicate-message flood
+  if (detectors.duplicates && content) {
+    const now = Date.now();
+    const window = Math.max(antispam.window || MAX_ANTISPAM_WINDOW, 30 * 1000);
+    duplicateTracker[gid] = duplicateTracker[gid] || {};
+    const recent = (duplicateTracker[gid][userId] || []).filter(m => m.time > now - window);
+    const normalized = content.toLowerCase().replace(/\s+/g, ' ').trim();
+    recent.push({ content: normalized, time: now });
+    duplicateTracker[gid][userId] = recent;
+    if (recent.filter(m => m.content === normalized).length >= detectors.duplicates) {
+      return spam(`Repeated the same message ${detectors.duplicates} times`);
     }
+  }
 
-    const embed = new EmbedBuilder()
-        .setTitle(`💬 Channel Info: #${channel.name || channel.id}`)
-        .setColor(EMBED_COLOR_INFO)
-        .addFields(
-            { name: 'ID', value: `\`${channel.id}\``, inline: true },
-            { name: 'Type', value: type, inline: true },
-            { name: 'Created On', value: `<t:${Math.floor(channel.createdTimestamp / 1000)}:R>`, inline: false },
-            { name: 'Topic', value: channel.topic ? channel.topic.substring(0, 100) + (channel.topic.length > 100 ? '...' : '') : 'None', inline: false }
-        )
-        .setThumbnail(ctx.guild?.iconURL ? ctx.guild.iconURL({ size: 512 }) : null);
+  // 3. Mass mentions
+  if (detectors.mentions) {
+    const mentionCount = message.mentions.users.size + message.mentions.roles.size + (message.mentions.everyone ? 1 : 0);
+    if (mentionCount >= detectors.mentions) return spam(`Mass mention (${mentionCount} mentions)`);
+  }
 
-    return respond(ctx, { embeds: [embed] });
-  } catch (e) {
-    return respond(ctx, { embeds: [embedError('ChannelInfo Error', 'Could not fetch channel info')] });
+  // 4. Caps spam (only for messages long enough to judge)
+  if (detectors.caps) {
+    const letters = content.replace(/[^\p{L}]/gu, '');
+    const upper = letters.replace(/[^\p{Lu}]/gu, '').length;
+    if (letters.length >= 10 && (upper / letters.length) * 100 >= detectors.caps) {
+      return spam(`Excessive caps (${Math.round((upper / letters.length) * 100)}%)`);
+    }
   }
-};
 
+  // 5. Emoji spam
+  if (detectors.emoji) {
+    const emojiCount = countEmoji(content);
+    if (emojiCount >= detectors.emoji) return spam(`Emoji spam (${emojiCount} emoji)`);
+  }
 
-commandsMap['enable'] = async (ctx) => {
-  if (!hasManageGuild(ctx)) return respond(ctx, { embeds: [embedError('Permission Denied', 'Need Manage Guild')] });
+  // 6. Newline walls
+  if (detectors.newlines) {
+    const lines = content.split('\n').length;
+    if (lines >= detectors.newlines) return spam(`Newline wall (${lines} lines)`);
+  }
 
-  const embed = mkEmbed('🔒 Security & Feature Toggle Menu','Select a setting to **toggle its status** (ON/OFF).');
+  return null;
+}
 
-  const gid = ctx.guild.id;
-  ensureGuildConfig(gid);
+/**
+ * Punish a spam offence according to the guild's escalation ladder.
+ * Every strike deletes the message; the step picks the extra action.
+ * A flood counts as one strike per antispam window, however many messages it has.
+ */
+async function applySpamPunishment(message, { reason, flood }) {
+  const gid = message.guild.id;
+  const userId = message.author.id;
+  const now = Date.now();
 
-  const options = [
-    // Core anti-nuke toggles (handled by config flag here, actual logic in events)
-    { label: `Anti Link (${config[gid].automod.antilink ? '✅ ON' : '❌ OFF'}) (Whitelist active)`, value: 'anti_link' },
-    { label: `Word Filter (${config[gid].automod.wordfilter.enabled ? '✅ ON' : '❌ OFF'})`, value: 'word_filter' },
-    { label: `Nuke Mode (${config[gid].nukemode ? '⚠️ ACTIVE' : '❌ OFF'})`, value: 'nuke_mode' },
-    { label: `Raid Mode (${config[gid].automod.antispam.enabled ? '✅ ON' : '❌ OFF'})`, value: 'raid_mode' },
-    { label: `Leveling System (${config[gid].levelingEnabled ? '✅ ON' : '❌ OFF'})`, value: 'leveling_system' },
-
-    // Placeholder settings (require more config/commands)
-    { label: 'Banning/Kicking Members (Needs Whitelist)', value: 'banning_members' },
-    { label: 'Deleting/Creating Roles (Needs Whitelist)', value: 'deleting_roles' },
-    { label: 'Deleting/Creating Channels (Needs Whitelist)', value: 'deleting_channels' },
-    { label: 'Adding Bots (Needs Whitelist)', value: 'adding_bots' },
-  ];
-  const selectOptions = options.map(o => ({ label: o.label, value: o.value }));
-
-  // Discord.js v14 expects components in a specific format
-  const row = {
-    type: 1, // ActionRow
-    components: [{
-      type: 3, // StringSelectMenu
-      custom_id: 'enable_menu',
-      placeholder: 'Choose a security feature to toggle...',
-      options: selectOptions
-    }]
-  };
-  return respond(ctx, { embeds:[embed], components:[row] , ephemeral: true });
-};
+  spamStrikes[gid] = spamStrikes[gid] || {};
+  const strike = spamStrikes[gid][userId] && now - spamStrikes[gid][userId].last < ANTISPAM_STRIKE_RESET_MS
+    ? spamStrikes[gid][userId]
+    : { count: 0, last: now };
+  spamStrikes[gid][userId] = strike;
+  if (flood) {
+    const window = config[gid].automod.antispam.window || MAX_ANTISPAM_WINDOW;
+    if (strike.floodAt && now - strike.floodAt < window) {
+      strike.last = now;
+      await message.delete().catch(()=>{});
+      return;
+    }
+    strike.floodAt = now;
+  }
+  strike.count++;
+  strike.last = now;
+
+  const ladder = getAntispamEscalation(gid);
+  const step = parseSpamStep(ladder[Math.min(strike.count - 1, ladder.length - 1)]) || { action: 'delete' };
+
+  await message.delete().catch(()=>{});
+
+  const member = message.member;
+  let outcome = 'Message deleted';
+  if (step.action === 'timeout' && member?.moderatable && !member.isCommunicationDisabled()) {
+    await member.timeout(step.durationMs, `Automatic antispam: ${reason}`).catch(()=>{});
+    outcome = `Timed out for ${formatDuration(step.durationMs)}`;
+  } else if (step.action === 'kick' && member?.kickable) {
+    await member.kick(`Automatic antispam: ${reason}`).catch(()=>{});
+    outcome = 'Kicked';
+  } else if (step.action === 'ban' && member?.bannable) {
+    await member.ban({ reason: `Automatic antispam: ${reason}` }).catch(()=>{});
+    outcome = 'Banned';
+  }
 
+  const notice = await message.channel.send({ embeds: [embedWarn('🚫 Spam Detected', `<@${userId}>: ${reason}. **${outcome}** (strike ${strike.count}).`)] }).catch(()=>{});
+  if (notice) setTimeout(() => notice.delete().catch(()=>{}), 5000);
+
+  if (step.action !== 'delete') {
+    const logEmbed = new EmbedBuilder()
+        .setTitle('🚫 Antispam Action')
+        .addFields(
+            { name: 'User', value: `${message.author.tag} (\`${userId}\`)`, inline: true },
+            { name: 'Channel', value: `<#${message.channel.id}>`, inline: true },
+            { name: 'Strike', value: `${strike.count}`, inline: true },
+            { name: 'Reason', value: reason, inline: false },
+            { name: 'Action', value: outcome, inline: false }
+        )
+        .setTimestamp();
+    logModerationAction(message.guild, logEmbed);
+  }
+}
 
 /* ============================================================
-   Commands: Moderation (Aesthetic Improvement)
+   Automod: Anti-link domain rules
    ============================================================ */
 
+// Basic regex to find URLs (http/https not required for parsing later)
+const URL_REGEX = /(https?:\/\/(?:www\.|(?!www))[a-zA-Z0-9][a-zA-Z0-9-]+[a-zA-Z0-9]\.[^\s]{2,}|www\.[a-zA-Z0-9][a-zA-Z0-9-]+[a-zA-Z0-9]\.[^\s]{2,}|https?:\/\/(?:www\.|(?!www))[a-zA-Z0-9]+\.[^\s]{2,}|www\.[a-zA-Z0-9]+\.[^\s]{2,})/gi;
+// Discord invite links: discord.gg/<code>, discord(app).com/invite/<code>
+const INVITE_REGEX = /(?:https?:\/\/)?(?:www\.)?(?:discord\.gg|discord(?:app)?\.com\/invite)\/([a-zA-Z0-9-]+)/gi;
+const DOMAIN_RULE_REGEX = /^(\*\.)?([a-z0-9-]+\.)+[a-z0-9-]{2,}$/;
+
+function getLinkRules(gid) {
+  const automod = config[gid].automod;
+  automod.linkRules = { allow: [], block: [], blockInvites: false, ...automod.linkRules };
+  return automod.linkRules;
+}
+
 /**
- * internal helper to fetch target user for both contexts
+ * Normalize user input (`https://www.Example.com/path`, `*.example.com`) to a domain rule,
+ * or return null if it is not a valid hostname pattern.
  */
-async function resolveTargetFromCtx(ctx) {
-  if (ctx.isCommand?.()) {
-    const u = ctx.options.getUser('user');
-    return u || ctx.user;
-  } else {
-    return ctx.mentions?.users?.first() || ctx.author;
+function normalizeDomainRule(input) {
+  if (!input) return null;
+  let rule = String(input).trim().toLowerCase().replace(/^[a-z]+:\/\//, '').split(/[/?#]/)[0];
+  if (rule.startsWith('www.')) rule = rule.substring(4);
+  return DOMAIN_RULE_REGEX.test(rule) ? rule : null;
+}
+
+/**
+ * Does a hostname match a domain rule? `*.x.com` matches x.com and any subdomain;
+ * a plain rule matches that exact host only.
+ */
+function matchesDomainRule(hostname, rule) {
+  if (rule.startsWith('*.')) {
+    const base = rule.substring(2);
+    return hostname === base || hostname.endsWith('.' + base);
   }
+  return hostname === rule;
+}
+
+/**
+ * Decide whether a hostname is allowed: guild block list first, then the
+ * guild allow list, then the built-in SAFE_DOMAINS (which include subdomains).
+ */
+function isDomainAllowed(gid, hostname) {
+  const rules = getLinkRules(gid);
+  if (rules.block.some(rule => matchesDomainRule(hostname, rule))) return false;
+  if (rules.allow.some(rule => matchesDomainRule(hostname, rule))) return true;
+  return SAFE_DOMAINS.some(safeDomain => hostname === safeDomain || hostname.endsWith('.' + safeDomain));
 }
 
-commandsMap['clear'] = async (ctx) => {
-  // Check permission for Manage Messages
-  const memberPermissions = ctx.isCommand?.() ? ctx.member.permissions : ctx.member.permissions;
-  if (!memberPermissions?.has(PermissionFlagsBits.ManageMessages)) {
-      return respond(ctx, { embeds: [embedError('Permission Denied', 'Need Manage Messages')] });
+/**
+ * Check a message against the guild's link rules.
+ * @returns {Promise<string|null>} Why the message should be blocked, or null.
+ */
+async function findBlockedLink(message) {
+  const gid = message.guild.id;
+  const rules = getLinkRules(gid);
+  const content = message.content;
+
+  // Invites to other servers (discord.com itself stays allowed)
+  if (rules.blockInvites) {
+    for (const match of content.matchAll(INVITE_REGEX)) {
+      const invite = await client.fetchInvite(match[1]).catch(() => null);
+      if (invite?.guild?.id !== gid) return 'Invite links to other servers are not allowed.';
+    }
   }
-  try {
-    let amount = 10;
-    if (ctx.isCommand?.()) amount = ctx.options.getInteger('amount') || 10;
-    else amount = Number(ctx.args?.[0]) || 10;
-    amount = Math.min(100, Math.max(1, amount));
 
-    // Defer reply for slash command if not already done, important for long operations like bulkDelete
-    if (ctx.isCommand?.() && !ctx.deferred && !ctx.replied) await ctx.deferReply({ ephemeral: true }).catch(()=>{});
+  if (!config[gid].automod.antilink) return null;
+
+  const links = content.match(URL_REGEX) || [];
+  for (const link of links) {
+    try {
+      // Prepend http:// for parsing if protocol is missing
+      const url = new URL(link.startsWith('http') ? link : 'http://' + link);
+      let hostname = url.hostname.toLowerCase();
+      // Remove www. prefix if present
+      if (hostname.startsWith('www.')) hostname = hostname.substring(4);
+      if (!isDomainAllowed(gid, hostname)) return 'Only links from approved services are allowed. Suspicious link blocked.';
+    } catch (e) {
+      // If link cannot be parsed (e.g., highly obfuscated/malformed), treat as suspicious
+      return 'Only links from approved services are allowed. Suspicious link blocked.';
+    }
+  }
+  return null;
+}
+
+/* ============================================================
+   Automod: Phishing / scam link detection
+   ============================================================ */
 
-    // Bulk delete only works for messages under 14 days old
-    const messages = await ctx.channel.bulkDelete(amount, true);
+// Well-known brands and their official domains; lookalikes of these are flagged, and treated as scams next to bait words
+const PHISHING_BRANDS = {
+  discord: ['discord.com', 'discord.gg', 'discordapp.com', 'discordapp.net', 'discord.gift', 'discord.media', 'discordstatus.com'],
+  nitro: ['discord.com', 'discord.gift'],
+  steamcommunity: ['steamcommunity.com'],
+  steampowered: ['steampowered.com'],
+  steam: ['steamcommunity.com', 'steampowered.com', 'steamstatic.com'],
+  paypal: ['paypal.com', 'paypal.me'],
+  roblox: ['roblox.com'],
+  epicgames: ['epicgames.com'],
+  twitch: ['twitch.tv'],
+  github: ['github.com', 'github.io'],
+  google: ['google.com', 'forms.gle', 'goo.gl'],
+  microsoft: ['microsoft.com', 'live.com'],
+  apple: ['apple.com'],
+  instagram: ['instagram.com'],
+  youtube: ['youtube.com', 'youtu.be'],
+};
+
+// Words that scam domains pair with a brand name ("discord-nitro-gift.com")
+const PHISHING_BAIT_WORDS = ['nitro', 'gift', 'gifts', 'free', 'airdrop', 'giveaway', 'verify', 'login', 'claim', 'promo', 'drop', 'trade', 'app'];
 
-    const embed = embedSuccess('🗑️ Messages Cleared', `Successfully deleted **${messages.size}** messages in <#${ctx.channel.id}>.`);
+// Brands this long or shorter are only matched exactly, never by edit distance
+const PHISHING_MIN_FUZZY_BRAND = 6;
+
+// Link shorteners and IP loggers that hide the real destination
+const REDIRECT_SHORTENERS = [
+  'bit.ly', 'tinyurl.com', 'goo.gl', 'is.gd', 'cutt.ly', 'rebrand.ly', 'shorturl.at', 'ow.ly', 'rb.gy',
+  'tiny.cc', 'v.gd', 't.ly', 'bl.ink', 'grabify.link', 'iplogger.org', 'iplogger.com', '2no.co', 'yip.su',
+];
 
-    if (ctx.isCommand?.() && (ctx.deferred || ctx.replied)) {
-      return ctx.editReply({ embeds: [embed] }).catch(()=>{});
+/**
+ * Phishing blocklist: a plain JSON array of domains in data/phishing_domains.json.
+ * Operators can replace the file with a community list and run `phishing reload`.
+ */
+let phishingDomains = new Set();
+
+function loadPhishingDomains() {
+  if (!fs.existsSync(FILES.PHISHING)) safeWriteJSON(FILES.PHISHING, []);
+  const raw = safeReadJSON(FILES.PHISHING, []);
+  const list = Array.isArray(raw) ? raw : (raw.domains || []);
+  phishingDomains = new Set(list.map(d => normalizeDomainRule(d)).filter(Boolean));
+  return phishingDomains.size;
+}
+loadPhishingDomains();
+
+function savePhishingDomains() {
+  safeWriteJSON(FILES.PHISHING, [...phishingDomains].sort());
+}
+
+/**
+ * Edit distance where swapping two adjacent letters counts as one edit
+ * (optimal string alignment), so "discrod" is 1 away from "discord".
+ */
+function editDistance(a, b) {
+  if (a === b) return 0;
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
     }
-    // For prefix commands, send normally and then delete the confirmation message after a short delay
-    const confirmation = await respond(ctx, { embeds: [embed] });
-    if (confirmation && confirmation.delete) setTimeout(() => confirmation.delete().catch(()=>{}), 5000); // 5 seconds to view
-    return;
+  }
+  return d[a.length][b.length];
+}
 
-  } catch (e) {
-    const errorEmbed = embedError('Clear Error', `Failed to delete messages. Error: ${e.message.substring(0, 100)}`);
-    if (ctx.isCommand?.() && (ctx.deferred || ctx.replied)) {
-      return ctx.editReply({ embeds: [errorEmbed] }).catch(()=>{});
+function isOfficialBrandHost(hostname) {
+  return Object.values(PHISHING_BRANDS).flat().some(d => hostname === d || hostname.endsWith('.' + d));
+}
+
+/**
+ * Classify a hostname.
+ * @returns {{ verdict: 'confirmed'|'suspicious', reason: string }|null}
+ */
+function classifyPhishingHost(hostname) {
+  if (!hostname) return null;
+  hostname = hostname.toLowerCase().replace(/^www\./, '');
+
+  // 1. Local blocklist (domain or any subdomain)
+  for (const domain of phishingDomains) {
+    if (hostname === domain || hostname.endsWith('.' + domain)) return { verdict: 'confirmed', reason: `Known scam domain (${domain})` };
+  }
+
+  if (isOfficialBrandHost(hostname)) return null;
+
+  // 2. Punycode / homoglyph hosts: fold to ASCII and compare against brands
+  const hasPunycode = hostname.split('.').some(label => label.startsWith('xn--'));
+  const unicodeHost = hasPunycode ? domainToUnicode(hostname) : hostname;
+  const folded = normalizeFilterText(unicodeHost);
+
+  // 3. Brand lookalikes: compare every label token against the brand names
+  const labels = folded.split('.');
+  const tokens = labels.slice(0, -1).flatMap(label => label.split('-')).filter(Boolean);
+  const hasBait = tokens.some(t => PHISHING_BAIT_WORDS.includes(t)) || PHISHING_BAIT_WORDS.includes(labels[labels.length - 1]);
+  let lookalike = null;
+  for (const token of tokens) {
+    // Multi-letter homoglyphs: "rn" reads as "m", "vv" as "w"
+    const squashed = token.replace(/rn/g, 'm').replace(/vv/g, 'w');
+    for (const brand of Object.keys(PHISHING_BRANDS)) {
+      if (brand.length < 5) continue;
+      // Short brands are ordinary words too (apple, steam, twitch), so they are
+      // only matched exactly; typos of them hit real sites like ample.com or switch.com
+      const fuzzy = brand.length > PHISHING_MIN_FUZZY_BRAND;
+      // Brand glued to bait words: "discordnitro" (but not steamgifts.com, a real site)
+      if (fuzzy && token !== brand && token.includes(brand) && PHISHING_BAIT_WORDS.includes(token.replace(brand, ''))) {
+        return { verdict: 'confirmed', reason: `Impersonates ${brand} (${hostname})` };
+      }
+      const distance = Math.min(editDistance(token, brand), editDistance(squashed, brand));
+      if (distance === 0 && (hasPunycode || hasBait)) {
+        return { verdict: 'confirmed', reason: hasPunycode ? `Homoglyph imitation of ${brand}` : `Impersonates ${brand} (${hostname})` };
+      }
+      // "stearn" reads as "steam" but may just as well be a surname: log it only
+      if (distance === 0 && squashed !== token && !lookalike) {
+        lookalike = { verdict: 'suspicious', reason: `Possible homoglyph imitation of ${brand} (${hostname})` };
+      }
+      if (!fuzzy || distance === 0) continue;
+      // A typo next to bait words or punycode is a scam; a bare same-length typo
+      // (dlscord.com) only gets logged. Added or dropped letters need bait words.
+      const maxDistance = brand.length >= 8 ? 2 : 1;
+      if (distance > maxDistance) continue;
+      if (hasPunycode || hasBait) return { verdict: 'confirmed', reason: `Lookalike of ${brand} (${hostname})` };
+      if (!lookalike && (token.length === brand.length || squashed.length === brand.length)) {
+        lookalike = { verdict: 'suspicious', reason: `Possible lookalike of ${brand} (${hostname})` };
+      }
+    }
+  }
+  if (lookalike) return lookalike;
+
+  // 4. Leftover signals that are worth a moderator's look but not an automatic punishment
+  if (hasPunycode) return { verdict: 'suspicious', reason: `Internationalized (punycode) domain ${unicodeHost}` };
+  if (REDIRECT_SHORTENERS.some(d => hostname === d || hostname.endsWith('.' + d))) {
+    return { verdict: 'suspicious', reason: `Link shortener / redirect (${hostname}) hides the destination` };
+  }
+  return null;
+}
+
+/**
+ * Scan every link in a message; confirmed scams win over suspicious links.
+ * @returns {{ verdict, reason, link }|null}
+ */
+// Broader than URL_REGEX: also catches hosts written with non-Latin look-alike letters
+const PHISHING_URL_REGEX = /(?:https?:\/\/|www\.)[^\s<>"'`]+/giu;
+
+function scanMessageForPhishing(content) {
+  let suspicious = null;
+  for (const link of content.match(PHISHING_URL_REGEX) || []) {
+    let hostname;
+    try {
+      hostname = new URL(link.startsWith('http') ? link : 'http://' + link).hostname;
+    } catch (e) {
+      continue;
+    }
+    const result = classifyPhishingHost(hostname);
+    if (result?.verdict === 'confirmed') return { ...result, link };
+    if (result && !suspicious) suspicious = { ...result, link };
+  }
+  return suspicious;
+}
+
+/**
+ * Act on a phishing verdict: confirmed scams are deleted, the author timed out
+ * and the mod log notified; suspicious links are only flagged in the mod log.
+ * @returns {Promise<boolean>} true if the message was removed.
+ */
+async function handlePhishingMessage(message, result) {
+  const gid = message.guild.id;
+  const phishing = config[gid].automod.phishing;
+  const confirmed = result.verdict === 'confirmed';
+  let action = 'Flagged for review (message left in place)';
+
+  if (confirmed) {
+    await message.delete().catch(()=>{});
+    action = 'Message deleted';
+    const member = message.member;
+    if (member?.moderatable && phishing.timeoutMs > 0) {
+      const timedOut = await member.timeout(phishing.timeoutMs, `Phishing link: ${result.reason}`).then(() => true, () => false);
+      action += timedOut ? `, timed out for ${formatDuration(phishing.timeoutMs)}` : ', timeout failed';
     }
-    return respond(ctx, { embeds: [errorEmbed] });
+    const warning = await message.channel.send({ embeds: [embedError('🎣 Scam Link Removed', `<@${message.author.id}> posted a scam link. Do not click links promising free Nitro or gifts.`)] }).catch(()=>{});
+    if (warning) setTimeout(() => warning.delete().catch(()=>{}), 10000);
   }
+
+  const logEmbed = new EmbedBuilder()
+      .setTitle(confirmed ? '🎣 Phishing Link Blocked' : '🔍 Suspicious Link Flagged')
+      .addFields(
+          { name: 'User', value: `${message.author.tag} (\`${message.author.id}\`)`, inline: true },
+          { name: 'Channel', value: `<#${message.channel.id}>`, inline: true },
+          { name: 'Link', value: `\`${result.link.substring(0, 200)}\``, inline: false },
+          { name: 'Reason', value: result.reason.substring(0, 1024), inline: false },
+          { name: 'Action', value: action, inline: false }
+      )
+      .setTimestamp();
+  if (!confirmed) logEmbed.addFields({ name: 'Jump', value: `[Go to message](${message.url})`, inline: false });
+  logModerationAction(message.guild, logEmbed);
+
+  return confirmed;
+}
+
+/* ============================================================
+   Automod: Word filter matching
+   ============================================================ */
+
+const WORDFILTER_MODES = ['exact', 'substring', 'wildcard', 'regex'];
+const WORDFILTER_MAX_ENTRIES = 200;
+const WORDFILTER_MAX_PATTERN = 200;
+
+// Common look-alike characters (Cyrillic/Greek/etc.) mapped to their Latin counterpart.
+// Fullwidth and accented forms are already handled by NFKD normalization.
+const CONFUSABLES = {
+  'а': 'a', 'е': 'e', 'о': 'o', 'р': 'p', 'с': 'c', 'у': 'y', 'х': 'x', 'і': 'i', 'ј': 'j', 'ѕ': 's',
+  'ԁ': 'd', 'һ': 'h', 'ӏ': 'l', 'к': 'k', 'м': 'm', 'т': 't', 'в': 'b', 'н': 'h', 'ԛ': 'q', 'ԝ': 'w',
+  'α': 'a', 'β': 'b', 'ε': 'e', 'ι': 'i', 'κ': 'k', 'ν': 'v', 'ο': 'o', 'ρ': 'p', 'τ': 't', 'υ': 'u', 'χ': 'x',
+  'ɡ': 'g', 'ɑ': 'a', 'ı': 'i', 'ȷ': 'j', 'ℓ': 'l',
 };
 
-commandsMap['kick'] = async (ctx) => {
-  // Check permission for Kick Members
-  const memberPermissions = ctx.isCommand?.() ? ctx.member.permissions : ctx.member.permissions;
-  if (!memberPermissions?.has(PermissionFlagsBits.KickMembers)) {
-    return respond(ctx, { embeds: [embedError('Permission Denied', 'Need Kick Members')] });
+// Leetspeak substitutions applied after confusables. Symbols only count as
+// letters when another letter/digit follows, so "bad!" stays "bad!".
+const LEETSPEAK_DIGITS = { '0': 'o', '1': 'i', '3': 'e', '4': 'a', '5': 's', '7': 't', '8': 'b', '9': 'g' };
+const LEETSPEAK_SYMBOLS = { '@': 'a', '$': 's', '!': 'i', '|': 'i', '+': 't', '€': 'e' };
+
+/**
+ * Normalize text for filtering: strip zero-width characters and diacritics,
+ * fold confusables and leetspeak, and lowercase.
+ */
+function normalizeFilterText(text) {
+  return String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '') // combining marks (diacritics)
+    .replace(/[\u200b-\u200f\u2060\ufeff\u00ad]/g, '') // zero-width / soft hyphen
+    .toLowerCase()
+    .replace(/./gu, ch => CONFUSABLES[ch] || LEETSPEAK_DIGITS[ch] || ch)
+    .replace(/[@$!|+€](?=[\p{L}\p{N}])/gu, ch => LEETSPEAK_SYMBOLS[ch]);
+}
+
+function escapeRegex(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Legacy configs stored bannedWords as plain strings; treat those as substring matches.
+ */
+function getWordFilterEntries(gid) {
+  const wf = config[gid].automod.wordfilter;
+  wf.bannedWords = (wf.bannedWords || []).map(w => typeof w === 'string' ? { word: w, mode: 'substring' } : w);
+  wf.exemptChannels = wf.exemptChannels || [];
+  return wf.bannedWords;
+}
+
+// Regex entries only see this much of a message. This keeps polynomial patterns
+// ("\s*\s*$") cheap; exponential ones are stopped by the time limit below.
+const WORDFILTER_MAX_REGEX_INPUT = 1000;
+// Regex entries run in a vm context so that a pattern findUnsafeRegex() misses
+// is interrupted after this long and switched off instead of freezing the bot
+const WORDFILTER_REGEX_TIMEOUT_MS = 50;
+const regexSandbox = vm.createContext({});
+const regexTestScript = new vm.Script('re.test(input)');
+
+/**
+ * Regex entries run on every message in a single thread, so reject patterns that
+ * can backtrack catastrophically: quantified groups that contain a quantifier
+ * ("(a+)+", "(\w*\s?)*") or an alternation ("(a|ab)*c", "(\w|\d)+x"), and
+ * backreferences.
+ * @returns {string|null} Why the pattern was rejected, or null if it is allowed.
+ */
+function findUnsafeRegex(pattern) {
+  if (/\\(?:[1-9]|k<)/.test(pattern)) return 'Backreferences are not allowed.';
+  const groups = []; // per open group: { quantified, alternation } seen inside it
+  let inClass = false;
+  for (let i = 0; i < pattern.length; i++) {
+    const ch = pattern[i];
+    if (ch === '\\') { i++; continue; }
+    if (inClass) { if (ch === ']') inClass = false; continue; }
+    if (ch === '[') { inClass = true; continue; }
+    if (ch === '(') { groups.push({ quantified: false, alternation: false }); continue; }
+    const group = groups[groups.length - 1];
+    if (ch === '|') { if (group) group.alternation = true; continue; }
+    const isQuantifier = ch === '*' || ch === '+' || (ch === '{' && /^\{\d*,?\d*\}/.test(pattern.slice(i)));
+    if (ch === ')') {
+      const closed = groups.pop();
+      const next = pattern[i + 1];
+      if (next === '*' || next === '+' || /^\{\d*,?\d*\}/.test(pattern.slice(i + 1))) {
+        if (closed?.quantified) return 'Nested quantifiers such as `(a+)+` are not allowed.';
+        if (closed?.alternation) return 'Repeated alternations such as `(a|ab)*` are not allowed.';
+      }
+      if (closed?.quantified && groups.length) groups[groups.length - 1].quantified = true;
+      continue;
+    }
+    if (isQuantifier && group) group.quantified = true;
   }
+  return null;
+}
+
+const wordFilterRegexCache = new Map(); // Map<`${mode}:${word}`, RegExp|null>
+
+/**
+ * Build (and cache) the regex for a filter entry. Exact and wildcard entries
+ * are matched against whole words of the normalized text.
+ */
+function getWordFilterRegex(entry) {
+  const key = `${entry.mode}:${entry.word}`;
+  if (wordFilterRegexCache.has(key)) return wordFilterRegexCache.get(key);
+  let re = null;
   try {
-    const target = await resolveTargetFromCtx(ctx);
-    if (!target) return respond(ctx, { embeds: [embedInfo('Kick', 'No target')] });
+    if (entry.mode === 'regex') {
+      // Entries saved before the safety check are skipped rather than run
+      re = findUnsafeRegex(entry.word) ? null : new RegExp(entry.word, 'iu');
+    } else if (entry.mode === 'exact') {
+      re = new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegex(normalizeFilterText(entry.word))}($|[^\\p{L}\\p{N}])`, 'u');
+    } else if (entry.mode === 'wildcard') {
+      const body = normalizeFilterText(entry.word).split('').map(ch => ch === '*' ? '[^\\s]*' : ch === '?' ? '[^\\s]' : escapeRegex(ch)).join('');
+      re = new RegExp(`(^|[^\\p{L}\\p{N}])${body}($|[^\\p{L}\\p{N}])`, 'u');
+    }
+  } catch (e) {
+    re = null;
+  }
+  wordFilterRegexCache.set(key, re);
+  return re;
+}
 
-    if (ctx.isCommand?.() && !ctx.deferred && !ctx.replied) await ctx.deferReply({ ephemeral: false }).catch(()=>{});
+// Two or more lone letters/digits split by separators: "b a d", "b.a.d"
+const SPACED_LETTERS_REGEX = /(?<![\p{L}\p{N}])[\p{L}\p{N}](?:[^\p{L}\p{N}]+[\p{L}\p{N}](?![\p{L}\p{N}]))+/gu;
 
-    const member = await ctx.guild.members.fetch(target.id).catch(()=>null);
-    if (!member) return respond(ctx, { embeds: [embedInfo('Kick', 'User not found or not in guild')] });
-    if (!member.kickable) return respond(ctx, { embeds: [embedError('Kick Error', 'Cannot kick this member (role hierarchy or permissions)')] });
+/**
+ * Test a regex entry under WORDFILTER_REGEX_TIMEOUT_MS. An entry that runs out of
+ * time is switched off (cached as null) until the bot restarts.
+ */
+function testFilterRegex(entry, re, text) {
+  const key = `${entry.mode}:${entry.word}`;
+  if (wordFilterRegexCache.get(key) !== re) return false; // disabled by an earlier timeout
+  regexSandbox.re = re;
+  regexSandbox.input = text.slice(0, WORDFILTER_MAX_REGEX_INPUT);
+  try {
+    return regexTestScript.runInContext(regexSandbox, { timeout: WORDFILTER_REGEX_TIMEOUT_MS });
+  } catch (e) {
+    console.error(`Word filter regex /${entry.word}/ timed out and was disabled:`, e.message);
+    wordFilterRegexCache.set(key, null);
+    return false;
+  }
+}
 
-    await member.kick(`Kicked by ${ctx.user?.tag || ctx.author?.tag || 'moderator'}`);
+/**
+ * Return the first filter entry matching the message content, or null.
+ */
+function findBannedWord(gid, content) {
+  const entries = getWordFilterEntries(gid);
+  if (entries.length === 0) return null;
+
+  const normalized = normalizeFilterText(content);
+  // Copy with spaced-out letters joined, so that "b.a.d" or "b a d" still hits
+  // substring entries. Only runs of single characters are joined: collapsing
+  // everything would match across words ("this hit" -> "thishit").
+  const compact = normalized.replace(SPACED_LETTERS_REGEX, run => run.replace(/[^\p{L}\p{N}]/gu, ''));
+
+  for (const entry of entries) {
+    if (entry.mode === 'substring') {
+      const word = normalizeFilterText(entry.word);
+      const compactWord = word.replace(/[^\p{L}\p{N}]/gu, '');
+      if (normalized.includes(word) || (compactWord && compact.includes(compactWord))) return entry;
+      continue;
+    }
+    const re = getWordFilterRegex(entry);
+    if (!re) continue;
+    if (entry.mode === 'regex') {
+      if (testFilterRegex(entry, re, normalized) || testFilterRegex(entry, re, content)) return entry;
+      continue;
+    }
+    if (re.test(normalized)) return entry;
+  }
+  return null;
+}
 
-    // Log the action (NEW)
-    const logEmbed = new EmbedBuilder()
-        .setTitle('👟 Member Kicked')
-        .addFields(
-            { name: 'User', value: `${target.tag} (\`${target.id}\`)`, inline: true },
-            { name: 'Moderator', value: `${ctx.user?.tag || ctx.author?.tag} (\`${ctx.user?.id || ctx.author?.id}\`)`, inline: true }
-        )
-        .setColor(EMBED_COLOR_MOD)
+/* ============================================================
+   Commands: Core (Aesthetic Improvement)
+   ============================================================ */
+
+defineCommand({
+  name: 'help',
+  aliases: ['commands'],
+  category: 'utility',
+  description: 'Shows the bot\'s help menu and command list.',
+  cooldown: 5,
+  args: [
+    { name: 'command', type: 'string', description: 'Show details for one command.' },
+  ],
+  run: async (ctx) => {
+    try {
+      const prefix = config[ctx.guild?.id]?.prefix || DEFAULT_PREFIX;
+      const formatLine = (def) => {
+        const usage = getCommandUsage(def);
+        return `\`${prefix}${def.name}${usage ? ` ${usage}` : ''}\` - ${def.description}`;
+      };
+
+      // Details for a single command
+      const query = ctx.params.command;
+      if (query) {
+        const def = getCommand(query);
+        if (!def) return respond(ctx, { embeds: [embedError('Help', `Unknown command \`${query}\`.`)] });
+        const embed = embedInfo(`📚 ${def.name}`, formatLine(def))
+          .addFields(
+            { name: 'Category', value: COMMAND_CATEGORIES[def.category] || def.category, inline: true },
+            { name: 'Permissions', value: def.permissions?.length ? def.permissions.map(formatPermission).join(' or ') : 'Everyone', inline: true },
+            { name: 'Cooldown', value: formatCooldown(getCommandCooldown(ctx.guild.id, def)), inline: true },
+            { name: 'Aliases', value: def.aliases?.length ? def.aliases.map(a => `\`${a}\``).join(', ') : 'None', inline: true }
+          );
+        return respond(ctx, { embeds: [embed] });
+      }
+
+      const embed = new EmbedBuilder()
+        .setTitle('📚 Rexo Help Menu')
+        .setDescription(`Hello! I'm your secure moderation and utility bot.
+My current **prefix** is: \`${prefix}\`
+You can also use **slash commands** for all functions (e.g. \`/help\`).`)
+        .setThumbnail(client.user.displayAvatarURL({ size: 128 }))
+        .setColor(EMBED_COLOR_INFO)
+        .setFooter({ text: `Type ${prefix}help <command> for details. | Developed by Rexo` })
         .setTimestamp();
-    logModerationAction(ctx.guild, logEmbed);
 
-    const embed = embedSuccess('👟 Kicked', `**${target.tag}** has been kicked from the server.`);
-    if (ctx.isCommand?.() && (ctx.deferred || ctx.replied)) {
-      return ctx.editReply({ embeds: [embed] }).catch(()=>{});
+      // One section per category, split across fields because field values cap at 1024 chars
+      for (const [category, title] of Object.entries(COMMAND_CATEGORIES)) {
+        const lines = Object.values(commandMeta)
+          .filter(def => def.category === category && !isCommandDisabled(ctx.guild?.id, def))
+          .map(formatLine);
+        let chunk = [];
+        let part = 0;
+        const flush = () => {
+          if (!chunk.length) return;
+          embed.addFields({ name: part++ === 0 ? title : `${title} (cont.)`, value: chunk.join('\n'), inline: false });
+          chunk = [];
+        };
+        for (const line of lines) {
+          if ([...chunk, line].join('\n').length > 1024) flush();
+          chunk.push(line.substring(0, 1024));
+        }
+        flush();
+      }
+
+      return respond(ctx, { embeds: [embed] });
+    } catch (e) {
+      console.error('help cmd err', e);
+      return respond(ctx, { embeds: [embedError("Help Error", "Could not build help menu")] });
+    }
+  },
+});
+
+
+
+defineCommand({
+  name: 'ping',
+  category: 'utility',
+  description: 'Checks the bot\'s latency.',
+  cooldown: 5,
+  run: async (ctx) => {
+    const start = Date.now();
+    try {
+      let replyMessage = null;
+      if (ctx.channel) {
+        replyMessage = await respond(ctx, { content: '🏓 Pinging...' });
+      } else {
+        if (ctx.isCommand?.() && !ctx.deferred && !ctx.replied) {
+           await ctx.deferReply({ ephemeral: false }).catch(()=>{});
+        }
+      }
+
+      const latency = Date.now() - start;
+      const apiLatency = client.ws.ping.toFixed(0);
+
+      const embed = new EmbedBuilder()
+          .setTitle('🛰️ Pong!')
+          .setDescription(`**Latency**: ${latency}ms (Message Edit/Reply)
+  **API Heartbeat**: ${apiLatency}ms (Discord API)`)
+          .setThumbnail(client.user.displayAvatarURL({ size: 512 }))
+          .setColor(EMBED_COLOR_INFO);
+
+      if (replyMessage && replyMessage.edit) {
+        return replyMessage.edit({ content: null, embeds: [embed] }).catch(()=>{});
+      } else if (ctx.isCommand?.()) {
+        return ctx.editReply({ embeds: [embed], content: null }).catch(()=>{});
+      }
+      return respond(ctx, { embeds: [embed] });
+
+    } catch (e) {
+      console.error('Ping command error:', e);
+      return respond(ctx, { embeds: [embedError('Ping Error', 'Could not measure latency')] });
     }
+  },
+});
+
+
+defineCommand({
+  name: 'uptime',
+  category: 'utility',
+  description: 'Shows the bot\'s uptime.',
+  cooldown: 5,
+  run: async (ctx) => {
+    const uptimeMs = process.uptime() * 1000;
+    const s = Math.floor(uptimeMs / 1000) % 60;
+    const m = Math.floor(uptimeMs / (60 * 1000)) % 60;
+    const h = Math.floor(uptimeMs / (60 * 60 * 1000)) % 24;
+    const d = Math.floor(uptimeMs / (24 * 60 * 60 * 1000));
+    const str = `**${d}** Days, **${h}** Hours, **${m}** Minutes, **${s}** Seconds`;
+    const embed = new EmbedBuilder()
+      .setTitle('⏱️ Uptime')
+      .setDescription(str)
+      .setColor(EMBED_COLOR_INFO)
+      .setThumbnail(client.user.displayAvatarURL({ size: 512 }));
     return respond(ctx, { embeds: [embed] });
+  },
+});
 
-  } catch (e) {
-    console.error('kick err', e);
-    const errorEmbed = embedError('Kick Error', `Failed to kick user. Error: ${e.message.substring(0, 100)}`);
-    if (ctx.isCommand?.() && (ctx.deferred || ctx.replied)) {
-      return ctx.editReply({ embeds: [errorEmbed] }).catch(()=>{});
+
+defineCommand({
+  name: 'avatar',
+  aliases: ['av', 'pfp'],
+  category: 'utility',
+  description: 'Shows a user\'s avatar.',
+  cooldown: 3,
+  args: [
+    { name: 'user', type: 'user', description: 'The user whose avatar to show.' },
+  ],
+  run: async (ctx) => {
+    const target = ctx.params.user || ctx.user || ctx.author;
+
+    const embed = new EmbedBuilder()
+      .setTitle(`🖼️ ${target.tag}'s Avatar`)
+      .setDescription(`[Click here for Avatar URL (${target.displayAvatarURL({ size: 1024, extension: 'png' })})]`)
+      .setImage(target.displayAvatarURL({ size: 1024, extension: 'png' }))
+      .setColor(EMBED_COLOR_INFO)
+      .setFooter({ text: `User ID: ${target.id}` })
+      .setTimestamp();
+
+    return respond(ctx, { embeds: [embed] });
+  },
+});
+
+
+defineCommand({
+  name: 'userinfo',
+  aliases: ['ui', 'whois'],
+  category: 'utility',
+  description: 'Shows information about a user.',
+  cooldown: 3,
+  args: [
+    { name: 'user', type: 'user', description: 'The user to look up.' },
+  ],
+  run: async (ctx) => {
+    try {
+      const target = ctx.params.user || ctx.user || ctx.author;
+
+      const member = await ctx.guild.members.fetch(target.id).catch(() => null);
+
+      const roles = member ? member.roles.cache.filter(r => r.id !== ctx.guild.id).map(r => r.toString()).join(', ') || 'None' : 'N/A';
+
+      const embed = new EmbedBuilder()
+        .setTitle(`👤 User Info: ${target.tag}`)
+        .setThumbnail(target.displayAvatarURL({ size: 512 }))
+        .addFields(
+          { name: 'ID', value: `\`${target.id}\``, inline: true },
+          { name: 'Bot', value: target.bot ? '✅ Yes' : '❌ No', inline: true },
+          { name: 'Nickname', value: member?.nickname || 'None', inline: true },
+          { name: 'Account Created', value: `<t:${Math.floor(target.createdTimestamp / 1000)}:R>`, inline: false },
+          { name: 'Joined Server', value: member ? `<t:${Math.floor(member.joinedTimestamp / 1000)}:R>` : 'N/A', inline: false },
+          { name: `Roles (${member?.roles?.cache?.size - 1 || 0})`, value: roles.length > 1024 ? 'Too many to display' : roles, inline: false }
+        )
+        .setColor(EMBED_COLOR_INFO)
+        .setTimestamp();
+
+      return respond(ctx, { embeds: [embed] });
+    } catch (e) {
+      return respond(ctx, { embeds: [embedError('Userinfo Error', 'Could not fetch user info')] });
     }
-    return respond(ctx, { embeds: [errorEmbed] });
-  }
-};
+  },
+});
 
-commandsMap['ban'] = async (ctx) => {
-  // Check permission for Ban Members
-  const memberPermissions = ctx.isCommand?.() ? ctx.member.permissions : ctx.member.permissions;
-  if (!memberPermissions?.has(PermissionFlagsBits.BanMembers)) {
-    return respond(ctx, { embeds: [embedError('Permission Denied', 'Need Ban Members')] });
-  }
-  try {
-    let reason = 'No reason provided';
-    if (ctx.isCommand?.()) reason = ctx.options.getString('reason') || reason;
-    else reason = ctx.args?.slice(1).join(' ') || reason;
 
-    const target = await resolveTargetFromCtx(ctx);
-    if (!target) return respond(ctx, { embeds: [embedInfo('Ban', 'No target')] });
+defineCommand({
+  name: 'serverinfo',
+  aliases: ['si'],
+  category: 'utility',
+  description: 'Shows information about this server.',
+  cooldown: 5,
+  run: async (ctx) => {
+    try {
+      const guild = ctx.guild;
 
-    if (ctx.isCommand?.() && !ctx.deferred && !ctx.replied) await ctx.deferReply({ ephemeral: false }).catch(()=>{});
+      const embed = new EmbedBuilder()
+        .setTitle(`🏢 Server Info: ${guild.name}`)
+        .setThumbnail(guild.iconURL({ size: 512 }))
+        .addFields(
+          { name: 'Server ID', value: `\`${guild.id}\``, inline: true },
+          { name: 'Owner', value: `<@${guild.ownerId}>`, inline: true },
+          { name: 'Verification Level', value: `${guild.verificationLevel}`, inline: true },
+          { name: 'Created On', value: `<t:${Math.floor(guild.createdTimestamp / 1000)}:R>`, inline: false },
+          { name: 'Members', value: `Total: ${guild.memberCount}\nHumans: ${guild.members.cache.filter(m => !m.user.bot).size}\nBots: ${guild.members.cache.filter(m => m.user.bot).size}`, inline: true },
+          { name: 'Channels', value: `Text: ${guild.channels.cache.filter(c => c.type === ChannelType.GuildText).size}\nVoice: ${guild.channels.cache.filter(c => c.type === ChannelType.GuildVoice).size}`, inline: true },
+          { name: 'Roles', value: `${guild.roles.cache.size}`, inline: true },
+          { name: 'Boost Level', value: `Tier ${guild.premiumTier}`, inline: true },
+          { name: 'Boost Count', value: `${guild.premiumSubscriptionCount || 0}`, inline: true }
+        )
+        .setColor(EMBED_COLOR_INFO)
+        .setTimestamp();
 
-    const member = await ctx.guild.members.fetch(target.id).catch(()=>null);
-    if (member && !member.bannable) return respond(ctx, { embeds: [embedError('Ban Error', 'Cannot ban this member (role hierarchy or permissions)')] });
+      return respond(ctx, { embeds: [embed] });
+    } catch (e) {
+      return respond(ctx, { embeds: [embedError('ServerInfo Error', 'Could not fetch server info')] });
+    }
+  },
+});
 
-    await ctx.guild.members.ban(target.id, { reason }).catch(()=>{});
 
-    // Log the action (NEW)
-    const logEmbed = new EmbedBuilder()
-        .setTitle('🔨 Member Banned')
+defineCommand({
+  name: 'roleinfo',
+  category: 'utility',
+  description: 'Shows information about a role.',
+  cooldown: 3,
+  args: [
+    { name: 'role', type: 'role', description: 'The role to look up.', required: true },
+  ],
+  run: async (ctx) => {
+    try {
+      const role = ctx.params.role;
+      if (!role) return respond(ctx, { embeds: [embedInfo('Role Info', 'No role specified.')] });
+
+      const embed = new EmbedBuilder()
+        .setTitle(`🔖 Role Info: ${role.name}`)
+        .setColor(role.color || EMBED_COLOR_INFO)
         .addFields(
-            { name: 'User', value: `${target.tag} (\`${target.id}\`)`, inline: true },
-            { name: 'Moderator', value: `${ctx.user?.tag || ctx.author?.tag} (\`${ctx.user?.id || ctx.author?.id}\`)`, inline: true },
-            { name: 'Reason', value: reason.substring(0, 1024), inline: false }
+          { name: 'ID', value: `\`${role.id}\``, inline: true },
+          { name: 'Color', value: `\`${role.hexColor}\``, inline: true },
+          { name: 'Hoisted', value: role.hoist ? '✅ Yes' : '❌ No', inline: true },
+          { name: 'Created On', value: `<t:${Math.floor(role.createdTimestamp / 1000)}:R>`, inline: false },
+          { name: 'Members', value: `${role.members.size}`, inline: true },
+          { name: 'Position', value: `${role.position}`, inline: true },
+          { name: 'Mentionable', value: role.mentionable ? '✅ Yes' : '❌ No', inline: true }
         )
-        .setColor(EMBED_COLOR_ERROR)
+        .setFooter({ text: `Guild: ${ctx.guild.name}` })
         .setTimestamp();
-    logModerationAction(ctx.guild, logEmbed);
 
-    const embed = embedSuccess('🔨 Banned', `**${target.tag}** has been banned. **Reason**: ${reason}`);
-    if (ctx.isCommand?.() && (ctx.deferred || ctx.replied)) {
-      return ctx.editReply({ embeds: [embed] }).catch(()=>{});
+      return respond(ctx, { embeds: [embed] });
+    } catch (e) {
+      return respond(ctx, { embeds: [embedError('RoleInfo Error', 'Could not fetch role info')] });
     }
-    return respond(ctx, { embeds: [embed] });
+  },
+});
+
+
+defineCommand({
+  name: 'channelinfo',
+  category: 'utility',
+  description: 'Shows information about a channel.',
+  cooldown: 3,
+  args: [
+    { name: 'channel', type: 'channel', description: 'The channel to look up (defaults to this one).' },
+  ],
+  run: async (ctx) => {
+    try {
+      const channel = ctx.params.channel || ctx.channel;
+      if (!channel) return respond(ctx, { embeds: [embedInfo('Channel Info', 'No channel context.')] });
+
+      let type;
+      switch (channel.type) {
+          case ChannelType.GuildText: type = 'Text'; break;
+          case ChannelType.GuildVoice: type = 'Voice'; break;
+          case ChannelType.GuildCategory: type = 'Category'; break;
+          case ChannelType.GuildNews: type = 'News'; break;
+          case ChannelType.GuildPublicThread: type = 'Public Thread'; break;
+          default: type = 'Other';
+      }
+
+      const embed = new EmbedBuilder()
+          .setTitle(`💬 Channel Info: #${channel.name || channel.id}`)
+          .setColor(EMBED_COLOR_INFO)
+          .addFields(
+              { name: 'ID', value: `\`${channel.id}\``, inline: true },
+              { name: 'Type', value: type, inline: true },
+              { name: 'Created On', value: `<t:${Math.floor(channel.createdTimestamp / 1000)}:R>`, inline: false },
+              { name: 'Topic', value: channel.topic ? channel.topic.substring(0, 100) + (channel.topic.length > 100 ? '...' : '') : 'None', inline: false }
+          )
+          .setThumbnail(ctx.guild?.iconURL ? ctx.guild.iconURL({ size: 512 }) : null);
+
+      return respond(ctx, { embeds: [embed] });
+    } catch (e) {
+      return respond(ctx, { embeds: [embedError('ChannelInfo Error', 'Could not fetch channel info')] });
+    }
+  },
+});
+
+
+// `enable` menu values for the anti-nuke protection categories
+const ENABLE_MENU_ANTINUKE_VALUES = {
+  banning_members: 'members',
+  deleting_roles: 'roles',
+  deleting_channels: 'channels',
+  adding_bots: 'bots',
+};
+
+defineCommand({
+  name: 'enable',
+  category: 'config',
+  description: 'View or toggle various security settings.',
+  permissions: [PermissionFlagsBits.ManageGuild],
+  cooldown: 5,
+  run: async (ctx) => {
+    const embed = mkEmbed('🔒 Security & Feature Toggle Menu','Select a setting to **toggle its status** (ON/OFF).');
+
+    const gid = ctx.guild.id;
+    ensureGuildConfig(gid);
+
+    const options = [
+      // Core anti-nuke toggles (handled by config flag here, actual logic in events)
+      { label: `Anti Link (${config[gid].automod.antilink ? '✅ ON' : '❌ OFF'}) (Whitelist active)`, value: 'anti_link' },
+      { label: `Word Filter (${config[gid].automod.wordfilter.enabled ? '✅ ON' : '❌ OFF'})`, value: 'word_filter' },
+      { label: `Nuke Mode (${config[gid].nukemode ? '⚠️ ACTIVE' : '❌ OFF'})`, value: 'nuke_mode' },
+      { label: `Raid Detection (${isRaidActive(gid) ? '🚨 LOCKDOWN' : config[gid].antiraid.enabled ? '✅ ON' : '❌ OFF'})`, value: 'raid_mode' },
+      { label: `Leveling System (${config[gid].levelingEnabled ? '✅ ON' : '❌ OFF'})`, value: 'leveling_system' },
+
+      // Anti-nuke protection categories (trusted actors managed via `antinuke whitelist`)
+      ...Object.entries(ENABLE_MENU_ANTINUKE_VALUES).map(([value, category]) => ({
+        label: `${ANTINUKE_CATEGORIES[category]} (${config[gid].antinuke.protections[category] !== false ? '✅ ON' : '❌ OFF'}) (Whitelist)`,
+        value,
+      })),
+    ];
+    const selectOptions = options.map(o => ({ label: o.label, value: o.value }));
+
+    // Discord.js v14 expects components in a specific format
+    const row = {
+      type: 1, // ActionRow
+      components: [{
+        type: 3, // StringSelectMenu
+        custom_id: 'enable_menu',
+        placeholder: 'Choose a security feature to toggle...',
+        options: selectOptions
+      }]
+    };
+    return respond(ctx, { embeds:[embed], components:[row] , ephemeral: true });
+  },
+});
+
+
+/* ============================================================
+   Commands: Moderation (Aesthetic Improvement)
+   ============================================================ */
+
+/**
+ * internal helper to get the target User from the resolved `user` arg (both contexts).
+ * Never falls back to the invoker; required targets are enforced as usage errors by runCommand().
+ */
+function resolveTargetFromCtx(ctx) {
+  const target = ctx.params?.user;
+  return target?.user || target || null; // 'member' args resolve to a GuildMember
+}
+
+defineCommand({
+  name: 'clear',
+  aliases: ['purge'],
+  category: 'moderation',
+  description: 'Bulk delete messages in the channel.',
+  permissions: [PermissionFlagsBits.ManageMessages],
+  cooldown: 5,
+  cooldownScope: 'channel',
+  defer: 'ephemeral',
+  args: [
+    { name: 'amount', type: 'integer', description: 'Number of messages to delete (1-100).', min: 1, max: 100 },
+  ],
+  run: async (ctx) => {
+    try {
+      const amount = ctx.params.amount ?? 10;
+
+      // Bulk delete only works for messages under 14 days old
+      await takeRestToken();
+      const messages = await ctx.channel.bulkDelete(amount, true);
+
+      const embed = embedSuccess('🗑️ Messages Cleared', `Successfully deleted **${messages.size}** messages in <#${ctx.channel.id}>.`);
+
+      if (ctx.isCommand?.()) return respond(ctx, { embeds: [embed] });
+      // For prefix commands, send normally and then delete the confirmation message after a short delay
+      const confirmation = await respond(ctx, { embeds: [embed] });
+      if (confirmation && confirmation.delete) setTimeout(() => confirmation.delete().catch(()=>{}), 5000); // 5 seconds to view
+      return;
 
-  } catch (e) {
-    console.error('ban err', e);
-    const errorEmbed = embedError('Ban Error', `Failed to ban user. Error: ${e.message.substring(0, 100)}`);
-    if (ctx.isCommand?.() && (ctx.deferred || ctx.replied)) {
-      return ctx.editReply({ embeds: [errorEmbed] }).catch(()=>{});
+    } catch (e) {
+      const errorEmbed = embedError('Clear Error', `Failed to delete messages. Error: ${e.message.substring(0, 100)}`);
+      return respond(ctx, { embeds: [errorEmbed] });
     }
-    return respond(ctx, { embeds: [errorEmbed] });
-  }
-};
+  },
+});
 
-commandsMap['softban'] = async (ctx) => {
-  // Check permission for Ban Members
-  const memberPermissions = ctx.isCommand?.() ? ctx.member.permissions : ctx.member.permissions;
-  if (!memberPermissions?.has(PermissionFlagsBits.BanMembers)) {
-    return respond(ctx, { embeds: [embedError('Permission Denied', 'Need Ban Members')] });
-  }
-  try {
-    const target = await resolveTargetFromCtx(ctx);
-    if (!target) return respond(ctx, { embeds: [embedInfo('Softban', 'No target')] });
+defineCommand({
+  name: 'kick',
+  category: 'moderation',
+  description: 'Kicks a member from the server.',
+  permissions: [PermissionFlagsBits.KickMembers],
+  defer: true,
+  args: [
+    { name: 'user', type: 'member', description: 'The member to kick.', required: true },
+    { name: 'reason', type: 'string', description: 'Reason for the kick.' },
+  ],
+  run: async (ctx) => {
+    try {
+      const reason = ctx.params.reason || 'No reason provided';
 
-    if (ctx.isCommand?.() && !ctx.deferred && !ctx.replied) await ctx.deferReply({ ephemeral: false }).catch(()=>{});
+      const member = ctx.params.user;
+      const target = member.user;
+      if (!member.kickable) return respond(ctx, { embeds: [embedError('Kick Error', 'Cannot kick this member (role hierarchy or permissions)')] });
 
-    const member = await ctx.guild.members.fetch(target.id).catch(()=>null);
-    if (member && !member.bannable) return respond(ctx, { embeds: [embedError('Softban Error', 'Cannot softban this member (role hierarchy or permissions)')] });
+      await member.kick(`Kicked by ${ctx.user?.tag || ctx.author?.tag || 'moderator'}: ${reason}`);
 
-    await ctx.guild.members.ban(target.id, { deleteMessageDays: 7, reason: 'Softban: Deleted messages' }).catch(()=>{});
-    await ctx.guild.members.unban(target.id, 'Softban: Immediate unban after message purge').catch(()=>{});
+      const modCase = createCase(ctx.guild, { type: 'kick', targetId: target.id, targetTag: target.tag, ...caseModeratorFromCtx(ctx), reason });
 
-    // Log the action (NEW)
-    const logEmbed = new EmbedBuilder()
-        .setTitle('💨 Member Softbanned')
-        .addFields(
-            { name: 'User', value: `${target.tag} (\`${target.id}\`)`, inline: true },
-            { name: 'Moderator', value: `${ctx.user?.tag || ctx.author?.tag} (\`${ctx.user?.id || ctx.author?.id}\`)`, inline: true },
-            { name: 'Action', value: 'Messages purged, user unbanned.', inline: false }
-        )
-        .setColor(EMBED_COLOR_MOD)
-        .setTimestamp();
-    logModerationAction(ctx.guild, logEmbed);
+      const embed = embedSuccess('👟 Kicked', `**${target.tag}** has been kicked from the server. **Reason**: ${reason}`).setFooter({ text: `Case #${modCase.id}` });
+      return respond(ctx, { embeds: [embed] });
 
-    const embed = embedSuccess('💨 Softbanned', `**${target.tag}** softbanned (messages removed, user unbanned)`);
-    if (ctx.isCommand?.() && (ctx.deferred || ctx.replied)) {
-      return ctx.editReply({ embeds: [embed] }).catch(()=>{});
+    } catch (e) {
+      console.error('kick err', e);
+      const errorEmbed = embedError('Kick Error', `Failed to kick user. Error: ${e.message.substring(0, 100)}`);
+      return respond(ctx, { embeds: [errorEmbed] });
     }
-    return respond(ctx, { embeds: [embed] });
-  } catch (e) {
-    console.error('softban err', e);
-    const errorEmbed = embedError('Softban Error', `Failed to softban user. Error: ${e.message.substring(0, 100)}`);
-    if (ctx.isCommand?.() && (ctx.deferred || ctx.replied)) {
-      return ctx.editReply({ embeds: [errorEmbed] }).catch(()=>{});
-    }
-    return respond(ctx, { embeds: [errorEmbed] });
-  }
-};
+  },
+});
 
-commandsMap['tempban'] = async (ctx) => {
-  // Check permission for Ban Members
-  const memberPermissions = ctx.isCommand?.() ? ctx.member.permissions : ctx.member.permissions;
-  if (!memberPermissions?.has(PermissionFlagsBits.BanMembers)) {
-    return respond(ctx, { embeds: [embedError('Permission Denied', 'Need Ban Members')] });
-  }
-  try {
-    const target = await resolveTargetFromCtx(ctx);
-    if (!target) return respond(ctx, { embeds: [embedInfo('Tempban', 'No target')] });
+defineCommand({
+  name: 'ban',
+  category: 'moderation',
+  description: 'Bans a member from the server.',
+  permissions: [PermissionFlagsBits.BanMembers],
+  defer: true,
+  args: [
+    { name: 'user', type: 'user', description: 'The member to ban.', required: true },
+    { name: 'reason', type: 'string', description: 'Reason for the ban.' },
+  ],
+  run: async (ctx) => {
+    try {
+      const reason = ctx.params.reason || 'No reason provided';
 
-    const durationStr = ctx.isCommand?.() ? ctx.options.getString('duration') : ctx.args?.[1];
-    const durationMs = parseDuration(durationStr || '1h'); // default 1 hour
-    const reason = `Tempban for ${durationStr || '1h'} by ${ctx.user?.tag || ctx.author?.tag || 'moderator'}`;
+      const target = resolveTargetFromCtx(ctx);
 
-    if (ctx.isCommand?.() && !ctx.deferred && !ctx.replied) await ctx.deferReply({ ephemeral: false }).catch(()=>{});
+      const member = await ctx.guild.members.fetch(target.id).catch(()=>null);
+      if (member && !member.bannable) return respond(ctx, { embeds: [embedError('Ban Error', 'Cannot ban this member (role hierarchy or permissions)')] });
 
-    const member = await ctx.guild.members.fetch(target.id).catch(()=>null);
-    if (member && !member.bannable) return respond(ctx, { embeds: [embedError('Tempban Error', 'Cannot tempban this member (role hierarchy or permissions)')] });
+      // A failed ban throws into the error reply below: no case, no success message
+      await ctx.guild.members.ban(target.id, { reason });
 
-    await ctx.guild.members.ban(target.id, { reason }).catch(()=>{});
+      const modCase = createCase(ctx.guild, { type: 'ban', targetId: target.id, targetTag: target.tag, ...caseModeratorFromCtx(ctx), reason });
 
-    // schedule unban using a simple setTimeout (note: server restart loses schedule)
-    setTimeout(async () => {
-      try {
-        await ctx.guild.members.unban(target.id, 'Automatic unban').catch(()=>{});
-        log(`Auto-unbanned user ${target.id} in guild ${ctx.guild.id}`);
-      } catch(e){
-        console.error(`Error during auto-unban for ${target.id}:`, e);
-      }
-    }, durationMs);
+      const embed = embedSuccess('🔨 Banned', `**${target.tag}** has been banned. **Reason**: ${reason}`).setFooter({ text: `Case #${modCase.id}` });
+      return respond(ctx, { embeds: [embed] });
 
-    // Log the action (NEW)
-    const logEmbed = new EmbedBuilder()
-        .setTitle('🕒 Member Tempbanned')
-        .addFields(
-            { name: 'User', value: `${target.tag} (\`${target.id}\`)`, inline: true },
-            { name: 'Moderator', value: `${ctx.user?.tag || ctx.author?.tag} (\`${ctx.user?.id || ctx.author?.id}\`)`, inline: true },
-            { name: 'Duration', value: durationStr || '1h', inline: true },
-            { name: 'Reason', value: reason.substring(0, 1024), inline: false }
-        )
-        .setColor(EMBED_COLOR_WARN)
-        .setTimestamp();
-    logModerationAction(ctx.guild, logEmbed);
+    } catch (e) {
+      console.error('ban err', e);
+      const errorEmbed = embedError('Ban Error', `Failed to ban user. Error: ${e.message.substring(0, 100)}`);
+      return respond(ctx, { embeds: [errorEmbed] });
+    }
+  },
+});
 
-    const embed = embedSuccess('🕒 Tempbanned', `**${target.tag}** temporarily banned for **${durationStr || '1h'}**.`);
-    if (ctx.isCommand?.() && (ctx.deferred || ctx.replied)) {
-      return ctx.editReply({ embeds: [embed] }).catch(()=>{});
+defineCommand({
+  name: 'softban',
+  category: 'moderation',
+  description: 'Bans, deletes messages, then unbans a user.',
+  permissions: [PermissionFlagsBits.BanMembers],
+  defer: true,
+  args: [
+    { name: 'user', type: 'user', description: 'The member to softban.', required: true },
+    { name: 'reason', type: 'string', description: 'Reason for the softban.' },
+  ],
+  run: async (ctx) => {
+    try {
+      const reason = ctx.params.reason || 'No reason provided';
+
+      const target = resolveTargetFromCtx(ctx);
+
+      const member = await ctx.guild.members.fetch(target.id).catch(()=>null);
+      if (member && !member.bannable) return respond(ctx, { embeds: [embedError('Softban Error', 'Cannot softban this member (role hierarchy or permissions)')] });
+
+      await ctx.guild.members.ban(target.id, { deleteMessageDays: 7, reason: `Softban: ${reason}` });
+      // The ban already happened, so record it even if the unban fails, and say so
+      const unbanned = await ctx.guild.members.unban(target.id, 'Softban: Immediate unban after message purge').then(() => true, e => {
+        console.error('softban unban err', e);
+        return false;
+      });
+
+      const modCase = createCase(ctx.guild, {
+        type: 'softban', targetId: target.id, targetTag: target.tag, ...caseModeratorFromCtx(ctx), reason,
+        details: [{ name: 'Action', value: unbanned ? 'Messages purged, user unbanned.' : 'Messages purged, but the unban failed: the user is still banned.', inline: false }],
+      });
+
+      const embed = unbanned
+        ? embedSuccess('💨 Softbanned', `**${target.tag}** softbanned (messages removed, user unbanned)`)
+        : embedWarn('💨 Softban Incomplete', `**${target.tag}**'s messages were removed, but I could not unban them. Use \`unban ${target.id}\` to lift the ban.`);
+      return respond(ctx, { embeds: [embed.setFooter({ text: `Case #${modCase.id}` })] });
+    } catch (e) {
+      console.error('softban err', e);
+      const errorEmbed = embedError('Softban Error', `Failed to softban user. Error: ${e.message.substring(0, 100)}`);
+      return respond(ctx, { embeds: [errorEmbed] });
     }
-    return respond(ctx, { embeds: [embed] });
+  },
+});
 
-  } catch (e) {
-    console.error('tempban err', e);
-    const errorEmbed = embedError('Tempban Error', `Failed to tempban user. Error: ${e.message.substring(0, 100)}`);
-    if (ctx.isCommand?.() && (ctx.deferred || ctx.replied)) {
-      return ctx.editReply({ embeds: [errorEmbed] }).catch(()=>{});
+defineCommand({
+  name: 'tempban',
+  category: 'moderation',
+  description: 'Temporarily bans a user.',
+  permissions: [PermissionFlagsBits.BanMembers],
+  defer: true,
+  args: [
+    { name: 'user', type: 'user', description: 'The member to tempban.', required: true },
+    { name: 'duration', type: 'duration', description: 'Duration (e.g., 1h, 30m, 5d).', required: true },
+    { name: 'reason', type: 'string', description: 'Reason for the tempban.' },
+  ],
+  run: async (ctx) => {
+    try {
+      const target = resolveTargetFromCtx(ctx);
+      const durationMs = ctx.params.duration;
+      const durationStr = formatDuration(durationMs);
+      const reason = ctx.params.reason || 'No reason provided';
+
+      const member = await ctx.guild.members.fetch(target.id).catch(()=>null);
+      if (member && !member.bannable) return respond(ctx, { embeds: [embedError('Tempban Error', 'Cannot tempban this member (role hierarchy or permissions)')] });
+
+      // A failed ban throws before any unban job or case is created
+      await ctx.guild.members.ban(target.id, { reason: `Tempban for ${durationStr} by ${ctx.user?.tag || ctx.author?.tag || 'moderator'}: ${reason}` });
+
+      // schedule unban through the persistent job store so it survives restarts
+      // (replace any pending unban for the same user so the latest duration wins)
+      getGuildJobs(ctx.guild.id, 'unban').filter(j => j.userId === target.id).forEach(j => cancelJob(j.id));
+      const job = scheduleJob({
+        type: 'unban',
+        guildId: ctx.guild.id,
+        userId: target.id,
+        runAt: Date.now() + durationMs,
+        moderatorId: ctx.user?.id || ctx.author?.id,
+        reason,
+      });
+
+      const modCase = createCase(ctx.guild, {
+        type: 'tempban', targetId: target.id, targetTag: target.tag, ...caseModeratorFromCtx(ctx), reason, durationMs,
+        details: [{ name: 'Unban', value: `<t:${Math.floor(job.runAt / 1000)}:R> (job #${job.id})`, inline: true }],
+      });
+
+      const embed = embedSuccess('🕒 Tempbanned', `**${target.tag}** temporarily banned for **${durationStr}**. Unban <t:${Math.floor(job.runAt / 1000)}:R>.`).setFooter({ text: `Case #${modCase.id}` });
+      return respond(ctx, { embeds: [embed] });
+
+    } catch (e) {
+      console.error('tempban err', e);
+      const errorEmbed = embedError('Tempban Error', `Failed to tempban user. Error: ${e.message.substring(0, 100)}`);
+      return respond(ctx, { embeds: [errorEmbed] });
     }
-    return respond(ctx, { embeds: [errorEmbed] });
-  }
-};
+  },
+});
 
 function parseDuration(input) {
-  // Parses things like '1h', '30m', '10s', '2d'
+  // Parses things like '1h', '30m', '10s', '2d', '1w'
   if (!input) return 60 * 60 * 1000;
   const numMatch = input.match(/(\d+)/);
   const unitMatch = input.match(/[a-z]+/i);
@@ -1077,6 +3940,7 @@ function parseDuration(input) {
   const num = numMatch ? Number(numMatch[0]) : 1;
   const unit = unitMatch ? unitMatch[0].toLowerCase() : 'm'; // default to minutes if only a number is passed
 
+  if (unit.startsWith('w')) return num * 7 * 24 * 60 * 60 * 1000;
   if (unit.startsWith('d')) return num * 24 * 60 * 60 * 1000;
   if (unit.startsWith('h')) return num * 60 * 60 * 1000;
   if (unit.startsWith('m')) return num * 60 * 1000;
@@ -1085,455 +3949,1502 @@ function parseDuration(input) {
   return num * 1000; // Fallback to seconds if no unit is clear
 }
 
-commandsMap['unban'] = async (ctx) => {
-  // Check permission for Ban Members
-  const memberPermissions = ctx.isCommand?.() ? ctx.member.permissions : ctx.member.permissions;
-  if (!memberPermissions?.has(PermissionFlagsBits.BanMembers)) {
-    return respond(ctx, { embeds: [embedError('Permission Denied', 'Need Ban Members')] });
+function formatDuration(ms) {
+  // Inverse of parseDuration for display: 90000 -> '1m 30s'
+  const parts = [];
+  const units = [['d', 86400000], ['h', 3600000], ['m', 60000], ['s', 1000]];
+  for (const [label, size] of units) {
+    if (ms >= size) {
+      parts.push(`${Math.floor(ms / size)}${label}`);
+      ms %= size;
+    }
   }
-  try {
-    let targetId;
-    if (ctx.isCommand?.()) targetId = ctx.options.getString('user_id');
-    else targetId = ctx.args?.[0];
-
-    if (!targetId) return respond(ctx, { embeds: [embedInfo('Unban', 'No user id provided')] });
-    if (!/^\d{17,19}$/.test(targetId)) return respond(ctx, { embeds: [embedError('Unban Error', 'Invalid user ID format')] });
+  return parts.join(' ') || '0s';
+}
 
-    if (ctx.isCommand?.() && !ctx.deferred && !ctx.replied) await ctx.deferReply({ ephemeral: false }).catch(()=>{});
+defineCommand({
+  name: 'unban',
+  category: 'moderation',
+  description: 'Unbans a user using their ID.',
+  usage: '<user_id> [reason]',
+  permissions: [PermissionFlagsBits.BanMembers],
+  defer: true,
+  args: [
+    { name: 'user_id', type: 'string', description: 'The ID of the user to unban.', required: true },
+    { name: 'reason', type: 'string', description: 'Reason for the unban.' },
+  ],
+  run: async (ctx) => {
+    try {
+      // Banned users are not members, so only mentions and raw IDs can identify them
+      const targetId = matchSnowflake('user', ctx.params.user_id);
+      const reason = ctx.params.reason || 'No reason provided';
+      if (!targetId) return respond(ctx, { embeds: [embedError('Unban Error', 'Invalid user ID format')] });
+
+      await ctx.guild.members.unban(targetId, reason).catch(e => {
+          if (e.code === 10026) throw new Error("User not found in ban list."); // Unknown Ban
+          throw e;
+      });
+
+      // Drop any pending tempban unban for this user; it is no longer needed
+      getGuildJobs(ctx.guild.id, 'unban').filter(j => j.userId === targetId).forEach(j => cancelJob(j.id));
+
+      const user = await client.users.fetch(targetId).catch(() => null);
+      const modCase = createCase(ctx.guild, { type: 'unban', targetId, targetTag: user?.tag, ...caseModeratorFromCtx(ctx), reason });
+
+      const embed = embedSuccess('🔓 Unbanned', `User ID: \`${targetId}\` has been unbanned successfully.`).setFooter({ text: `Case #${modCase.id}` });
+      return respond(ctx, { embeds: [embed] });
+
+    } catch (e) {
+      console.error('unban err', e);
+      const errorEmbed = embedError('Unban Error', `Failed to unban user. Error: ${e.message.substring(0, 100)}`);
+      return respond(ctx, { embeds: [errorEmbed] });
+    }
+  },
+});
 
-    await ctx.guild.members.unban(targetId).catch(e => {
-        if (e.code === 10026) throw new Error("User not found in ban list."); // Unknown Ban
-        throw e;
-    });
+defineCommand({
+  name: 'tempbans',
+  category: 'moderation',
+  description: 'List or cancel pending tempban unbans.',
+  usage: '[list|cancel <id>]',
+  permissions: [PermissionFlagsBits.BanMembers],
+  args: [
+    { name: 'action', type: 'string', description: 'list or cancel', choices: ['list', 'cancel'] },
+    { name: 'id', type: 'integer', description: 'The job ID to cancel.' },
+  ],
+  run: async (ctx) => {
+    try {
+      const action = ctx.params.action || 'list';
+      const gid = ctx.guild.id;
+
+      if (action === 'list') {
+        const pending = getGuildJobs(gid, 'unban').sort((a, b) => a.runAt - b.runAt);
+        if (pending.length === 0) {
+          return respond(ctx, { embeds: [embedInfo('🕒 Pending Tempbans', 'There are no pending tempbans in this server.')] });
+        }
+        const lines = pending.slice(0, 20).map(j =>
+          `\`#${j.id}\` <@${j.userId}> (\`${j.userId}\`) - unban <t:${Math.floor(j.runAt / 1000)}:R>${j.moderatorId ? ` by <@${j.moderatorId}>` : ''}`
+        );
+        if (pending.length > 20) lines.push(`...and **${pending.length - 20}** more.`);
+        return respond(ctx, { embeds: [embedInfo('🕒 Pending Tempbans', lines.join('\n'))] });
+      }
 
-    // Log the action (NEW)
-    const logEmbed = new EmbedBuilder()
-        .setTitle('🔓 Member Unbanned')
-        .addFields(
-            { name: 'User ID', value: `\`${targetId}\``, inline: true },
-            { name: 'Moderator', value: `${ctx.user?.tag || ctx.author?.tag} (\`${ctx.user?.id || ctx.author?.id}\`)`, inline: true }
-        )
-        .setColor(EMBED_COLOR_SUCCESS)
-        .setTimestamp();
-    logModerationAction(ctx.guild, logEmbed);
+      if (action === 'cancel') {
+        const id = ctx.params.id;
+        if (!id) return respond(ctx, { embeds: [embedError('Tempbans Error', 'Usage: `..tempbans cancel <job_id>`')] });
+
+        const job = getGuildJobs(gid, 'unban').find(j => j.id === id);
+        if (!job) return respond(ctx, { embeds: [embedError('Tempbans Error', `No pending tempban with id \`#${id}\`.`)] });
+        cancelJob(job.id);
+
+        const logEmbed = new EmbedBuilder()
+            .setTitle('🛑 Tempban Cancelled')
+            .addFields(
+                { name: 'User ID', value: `\`${job.userId}\``, inline: true },
+                { name: 'Moderator', value: `${ctx.user?.tag || ctx.author?.tag} (\`${ctx.user?.id || ctx.author?.id}\`)`, inline: true },
+                { name: 'Note', value: 'Scheduled unban removed; the ban is now permanent until lifted manually.', inline: false }
+            )
+            .setTimestamp();
+        logModerationAction(ctx.guild, logEmbed);
+
+        return respond(ctx, { embeds: [embedSuccess('🛑 Tempban Cancelled', `Scheduled unban \`#${job.id}\` for <@${job.userId}> was cancelled. The ban stays in place until lifted with \`unban\`.`)] });
+      }
 
-    const embed = embedSuccess('🔓 Unbanned', `User ID: \`${targetId}\` has been unbanned successfully.`);
-    if (ctx.isCommand?.() && (ctx.deferred || ctx.replied)) {
-      return ctx.editReply({ embeds: [embed] }).catch(()=>{});
+      return respond(ctx, { embeds: [embedError('Invalid Action', 'Please specify `list` or `cancel <job_id>`.')] });
+    } catch (e) {
+      console.error('tempbans cmd err', e);
+      return respond(ctx, { embeds: [embedError('Tempbans Error', `Failed to manage tempbans: ${e.message.substring(0, 100)}`)] });
     }
-    return respond(ctx, { embeds: [embed] });
+  },
+});
 
-  } catch (e) {
-    console.error('unban err', e);
-    const errorEmbed = embedError('Unban Error', `Failed to unban user. Error: ${e.message.substring(0, 100)}`);
-    if (ctx.isCommand?.() && (ctx.deferred || ctx.replied)) {
-      return ctx.editReply({ embeds: [errorEmbed] }).catch(()=>{});
-    }
-    return respond(ctx, { embeds: [errorEmbed] });
-  }
-};
+defineCommand({
+  name: 'mute',
+  aliases: ['timeout'],
+  category: 'moderation',
+  description: 'Times out a member for a duration.',
+  permissions: [PermissionFlagsBits.ManageRoles],
+  defer: true,
+  args: [
+    { name: 'user', type: 'member', description: 'The member to mute.', required: true },
+    { name: 'duration', type: 'duration', description: 'Duration (e.g., 1h, 30m, 5d).' },
+    { name: 'reason', type: 'string', description: 'Reason for the mute.' },
+  ],
+  run: async (ctx) => {
+    try {
+      const member = ctx.params.user;
+      const target = member.user;
 
-commandsMap['mute'] = async (ctx) => {
-  // Check permission for Manage Roles
-  const memberPermissions = ctx.isCommand?.() ? ctx.member.permissions : ctx.member.permissions;
-  if (!memberPermissions?.has(PermissionFlagsBits.ManageRoles)) {
-    return respond(ctx, { embeds: [embedError('Permission Denied', 'Need Manage Roles')] });
-  }
-  try {
-    const target = await resolveTargetFromCtx(ctx);
-    if (!target) return respond(ctx, { embeds: [embedInfo('Mute', 'No target')] });
+      // discord.js v14 strongly prefers using timeouts instead of a 'Muted' role for muting.
+      const durationMs = ctx.params.duration ?? parseDuration('1h');
+      const durationStr = formatDuration(durationMs);
+      const reason = ctx.params.reason || 'No reason provided';
 
-    if (ctx.isCommand?.() && !ctx.deferred && !ctx.replied) await ctx.deferReply({ ephemeral: false }).catch(()=>{});
+      if (!member.moderatable) return respond(ctx, { embeds: [embedError('Mute Error', 'Cannot moderate this member (role hierarchy or bot permissions)')] });
 
-    // discord.js v14 strongly prefers using timeouts instead of a 'Muted' role for muting.
-    const durationStr = ctx.isCommand?.() ? ctx.options.getString('duration') : ctx.args?.[1];
-    const durationMs = parseDuration(durationStr || '1h');
-    const reason = ctx.isCommand?.() ? ctx.options.getString('reason') : ctx.args?.slice(2).join(' ') || 'Muted by moderator (No reason)';
+      await member.timeout(durationMs, reason).catch(e => {
+          throw new Error(`Failed to apply timeout: ${e.message.substring(0, 100)}`);
+      });
 
-    const member = await ctx.guild.members.fetch(target.id).catch(()=>null);
-    if (!member) return respond(ctx, { embeds: [embedInfo('Mute', 'Member not found')] });
-    if (!member.moderatable) return respond(ctx, { embeds: [embedError('Mute Error', 'Cannot moderate this member (role hierarchy or bot permissions)')] });
+      const modCase = createCase(ctx.guild, { type: 'mute', targetId: target.id, targetTag: target.tag, ...caseModeratorFromCtx(ctx), reason, durationMs });
 
-    await member.timeout(durationMs, reason).catch(e => {
-        throw new Error(`Failed to apply timeout: ${e.message.substring(0, 100)}`);
-    });
+      const embed = embedSuccess('🔇 Muted/Timed Out', `**${target.tag}** timed out for **${durationStr}**. **Reason**: ${reason}`).setFooter({ text: `Case #${modCase.id}` });
+      return respond(ctx, { embeds: [embed] });
 
-    // Log the action (NEW)
-    const logEmbed = new EmbedBuilder()
-        .setTitle('🔇 Member Timed Out')
-        .addFields(
-            { name: 'User', value: `${target.tag} (\`${target.id}\`)`, inline: true },
-            { name: 'Moderator', value: `${ctx.user?.tag || ctx.author?.tag} (\`${ctx.user?.id || ctx.author?.id}\`)`, inline: true },
-            { name: 'Duration', value: durationStr || '1h', inline: true },
-            { name: 'Reason', value: reason.substring(0, 1024), inline: false }
-        )
-        .setColor(EMBED_COLOR_WARN)
-        .setTimestamp();
-    logModerationAction(ctx.guild, logEmbed);
+    } catch (e) {
+      console.error('mute err', e);
+      const errorEmbed = embedError('Mute Error', `Failed to mute user. Error: ${e.message.substring(0, 100)}`);
+      return respond(ctx, { embeds: [errorEmbed] });
+    }
+  },
+});
+
+defineCommand({
+  name: 'unmute',
+  aliases: ['untimeout'],
+  category: 'moderation',
+  description: 'Removes timeout/mute from a member.',
+  permissions: [PermissionFlagsBits.ManageRoles],
+  defer: true,
+  args: [
+    { name: 'user', type: 'member', description: 'The member to unmute.', required: true },
+    { name: 'reason', type: 'string', description: 'Reason for removing the timeout.' },
+  ],
+  run: async (ctx) => {
+    try {
+      const member = ctx.params.user;
+      const target = member.user;
+      const reason = ctx.params.reason || 'No reason provided';
+
+      if (!member.moderatable) return respond(ctx, { embeds: [embedError('Unmute Error', 'Cannot moderate this member (role hierarchy or bot permissions)')] });
+      if (!member.communicationDisabledUntil) return respond(ctx, { embeds: [embedInfo('Unmute', `**${target.tag}** is not muted/timed out.`)] });
+
+      await member.timeout(null, reason).catch(e => {
+          throw new Error(`Failed to remove timeout: ${e.message.substring(0, 100)}`);
+      });
+
+      const modCase = createCase(ctx.guild, { type: 'unmute', targetId: target.id, targetTag: target.tag, ...caseModeratorFromCtx(ctx), reason });
 
-    const embed = embedSuccess('🔇 Muted/Timed Out', `**${target.tag}** timed out for **${durationStr || '1h'}**. **Reason**: ${reason}`);
-    if (ctx.isCommand?.() && (ctx.deferred || ctx.replied)) {
-      return ctx.editReply({ embeds: [embed] }).catch(()=>{});
+      const embed = embedSuccess('🔊 Unmuted', `**${target.tag}** has been removed from timeout.`).setFooter({ text: `Case #${modCase.id}` });
+      return respond(ctx, { embeds: [embed] });
+
+    } catch (e) {
+      console.error('unmute err', e);
+      const errorEmbed = embedError('Unmute Error', `Failed to unmute user. Error: ${e.message.substring(0, 100)}`);
+      return respond(ctx, { embeds: [errorEmbed] });
     }
-    return respond(ctx, { embeds: [embed] });
+  },
+});
 
-  } catch (e) {
-    console.error('mute err', e);
-    const errorEmbed = embedError('Mute Error', `Failed to mute user. Error: ${e.message.substring(0, 100)}`);
-    if (ctx.isCommand?.() && (ctx.deferred || ctx.replied)) {
-      return ctx.editReply({ embeds: [errorEmbed] }).catch(()=>{});
+defineCommand({
+  name: 'warn',
+  category: 'moderation',
+  description: 'Warns a user.',
+  permissions: [PermissionFlagsBits.ManageMessages, PermissionFlagsBits.ManageGuild],
+  defer: true,
+  args: [
+    { name: 'user', type: 'user', description: 'The member to warn.', required: true },
+    { name: 'reason', type: 'string', description: 'Reason for the warning.' },
+  ],
+  run: async (ctx) => {
+    try {
+      const target = resolveTargetFromCtx(ctx);
+      const reason = ctx.params.reason || 'No reason provided';
+
+      // store warning in users DB (scoped to this guild)
+      const userData = getUserData(ctx.guild.id, target.id);
+      const activeWarnings = getActiveWarns(ctx.guild.id, target.id).length + 1;
+      const modCase = createCase(ctx.guild, {
+        type: 'warn', targetId: target.id, targetTag: target.tag, ...caseModeratorFromCtx(ctx), reason,
+        details: [{ name: 'Active Warnings', value: `${activeWarnings}`, inline: true }],
+      });
+      userData.warns.push({ by: ctx.user?.id || ctx.author?.id, reason, time: Date.now(), caseId: modCase.id });
+      saveUsers();
+
+      const escalation = await applyWarnEscalation(ctx.guild, target, activeWarnings, modCase);
+
+      let description = `**${target.tag}** warned for: **${reason}**. Active warnings: **${activeWarnings}**`;
+      if (escalation) description += `\n\n⏫ **Escalation:** ${escalation.outcome} (case #${escalation.caseId}).`;
+      const embed = embedSuccess('⚠️ Warned', description).setFooter({ text: `Case #${modCase.id}` });
+      return respond(ctx, { embeds: [embed] });
+
+    } catch (e) {
+      console.error('warn cmd err', e);
+      const errorEmbed = embedError('Warn Error', `Failed to warn user. Error: ${e.message.substring(0, 100)}`);
+      return respond(ctx, { embeds: [errorEmbed] });
     }
-    return respond(ctx, { embeds: [errorEmbed] });
-  }
-};
+  },
+});
 
-commandsMap['unmute'] = async (ctx) => {
-  // Check permission for Manage Roles
-  const memberPermissions = ctx.isCommand?.() ? ctx.member.permissions : ctx.member.permissions;
-  if (!memberPermissions?.has(PermissionFlagsBits.ManageRoles)) {
-    return respond(ctx, { embeds: [embedError('Permission Denied', 'Need Manage Roles')] });
-  }
-  try {
-    const target = await resolveTargetFromCtx(ctx);
-    if (!target) return respond(ctx, { embeds: [embedInfo('Unmute', 'No target')] });
+const WARNINGS_PAGE_SIZE = 5;
 
-    if (ctx.isCommand?.() && !ctx.deferred && !ctx.replied) await ctx.deferReply({ ephemeral: false }).catch(()=>{});
+/**
+ * Build one page of a member's warnings (newest first) with Newer/Older buttons.
+ * Warning numbers are chronological and match the numbers used by `delwarn`.
+ * Button custom ids have the form `warnings:<userId>:<page>`.
+ */
+function buildWarningsPage(gid, user, page = 0) {
+  const warns = peekUserData(gid, user.id).warns;
+  const { expiryMs } = getWarnSettings(gid);
+  const activeCount = warns.filter(w => isWarnActive(w, expiryMs)).length;
+  const pageCount = Math.max(1, Math.ceil(warns.length / WARNINGS_PAGE_SIZE));
+  page = Math.min(Math.max(0, page), pageCount - 1);
+
+  let description = `**${user.tag}** has **${activeCount}** active warnings`;
+  description += warns.length > activeCount ? ` (${warns.length - activeCount} expired).` : '.';
+
+  const start = warns.length - page * WARNINGS_PAGE_SIZE;
+  const lines = [];
+  for (let n = start; n > Math.max(0, start - WARNINGS_PAGE_SIZE); n--) {
+    const w = warns[n - 1];
+    const date = `<t:${Math.floor(w.time / 1000)}:R>`;
+    const caseRef = w.caseId ? ` (case #${w.caseId})` : '';
+    const expired = isWarnActive(w, expiryMs) ? '' : ' *(expired)*';
+    lines.push(`\`#${n}\` by <@${w.by}> ${date}: **${w.reason}**${caseRef}${expired}`);
+  }
+  if (lines.length) description += `\n\n${lines.join('\n')}`;
 
-    const member = await ctx.guild.members.fetch(target.id).catch(()=>null);
-    if (!member) return respond(ctx, { embeds: [embedInfo('Unmute', 'Member not found')] });
-    if (!member.moderatable) return respond(ctx, { embeds: [embedError('Unmute Error', 'Cannot moderate this member (role hierarchy or bot permissions)')] });
-    if (!member.communicationDisabledUntil) return respond(ctx, { embeds: [embedInfo('Unmute', `**${target.tag}** is not muted/timed out.`)] });
+  const embed = embedInfo('📜 User Warnings', description.substring(0, 4096));
+  if (pageCount === 1) return { embeds: [embed], components: [] };
 
-    await member.timeout(null, 'Unmuted by moderator').catch(e => {
-        throw new Error(`Failed to remove timeout: ${e.message.substring(0, 100)}`);
-    });
+  embed.setFooter({ text: `Page ${page + 1}/${pageCount}` });
+  const row = {
+    type: 1, // ActionRow
+    components: [
+      { type: 2, style: 2, custom_id: `warnings:${user.id}:${page - 1}`, label: '◀ Newer', disabled: page === 0 },
+      { type: 2, style: 2, custom_id: `warnings:${user.id}:${page + 1}`, label: 'Older ▶', disabled: page >= pageCount - 1 },
+    ],
+  };
+  return { embeds: [embed], components: [row] };
+}
 
-    // Log the action (NEW)
-    const logEmbed = new EmbedBuilder()
-        .setTitle('🔊 Member Untimed Out')
-        .addFields(
-            { name: 'User', value: `${target.tag} (\`${target.id}\`)`, inline: true },
-            { name: 'Moderator', value: `${ctx.user?.tag || ctx.author?.tag} (\`${ctx.user?.id || ctx.author?.id}\`)`, inline: true }
-        )
-        .setColor(EMBED_COLOR_SUCCESS)
-        .setTimestamp();
-    logModerationAction(ctx.guild, logEmbed);
+defineCommand({
+  name: 'warnings',
+  aliases: ['warns'],
+  category: 'moderation',
+  description: 'View a user\'s warnings.',
+  permissions: [PermissionFlagsBits.ManageMessages, PermissionFlagsBits.ManageGuild],
+  defer: true,
+  args: [
+    { name: 'user', type: 'user', description: 'The member to view warnings for.' },
+  ],
+  run: async (ctx) => {
+    try {
+      const target = resolveTargetFromCtx(ctx);
+      if (!target) return respond(ctx, { embeds: [embedError('Warnings Error', 'Usage: `warnings <@user>`')] });
+
+      const page = buildWarningsPage(ctx.guild.id, target, 0);
+      return respond(ctx, page);
+
+    } catch (e) {
+      console.error('warnings cmd err', e);
+      const errorEmbed = embedError('Warnings Error', `Failed to fetch warnings. Error: ${e.message.substring(0, 100)}`);
+      return respond(ctx, { embeds: [errorEmbed] });
+    }
+  },
+});
 
-    const embed = embedSuccess('🔊 Unmuted', `**${target.tag}** has been removed from timeout.`);
-    if (ctx.isCommand?.() && (ctx.deferred || ctx.replied)) {
-      return ctx.editReply({ embeds: [embed] }).catch(()=>{});
+defineCommand({
+  name: 'delwarn',
+  category: 'moderation',
+  description: 'Remove one warning from a user.',
+  permissions: [PermissionFlagsBits.ManageMessages, PermissionFlagsBits.ManageGuild],
+  args: [
+    { name: 'user', type: 'user', description: 'The member to remove a warning from.', required: true },
+    { name: 'number', type: 'integer', description: 'The warning number shown by /warnings.', required: true, min: 1 },
+  ],
+  run: async (ctx) => {
+    try {
+      const target = resolveTargetFromCtx(ctx);
+      const n = ctx.params.number;
+
+      const entry = peekUserData(ctx.guild.id, target.id);
+      if (n < 1 || n > entry.warns.length) {
+        return respond(ctx, { embeds: [embedError('Delete Warning Error', `**${target.tag}** has no warning \`#${n}\`. They have **${entry.warns.length}** warnings.`)] });
+      }
+      const [removed] = entry.warns.splice(n - 1, 1);
+      saveUsers();
+
+      const logEmbed = new EmbedBuilder()
+          .setTitle('🧹 Warning Removed')
+          .addFields(
+              { name: 'User', value: `${target.tag} (\`${target.id}\`)`, inline: true },
+              { name: 'Moderator', value: `${ctx.user?.tag || ctx.author?.tag} (\`${ctx.user?.id || ctx.author?.id}\`)`, inline: true },
+              { name: 'Remaining', value: `${entry.warns.length}`, inline: true },
+              { name: 'Warning', value: `#${n}${removed.caseId ? ` (case #${removed.caseId})` : ''}: ${removed.reason}`.substring(0, 1024), inline: false }
+          )
+          .setTimestamp();
+      logModerationAction(ctx.guild, logEmbed);
+
+      return respond(ctx, { embeds: [embedSuccess('🧹 Warning Removed', `Removed warning \`#${n}\` from **${target.tag}**: ${removed.reason}\nThey now have **${entry.warns.length}** warnings.`)] });
+    } catch (e) {
+      console.error('delwarn cmd err', e);
+      return respond(ctx, { embeds: [embedError('Delete Warning Error', `Failed to remove warning: ${e.message.substring(0, 100)}`)] });
     }
-    return respond(ctx, { embeds: [embed] });
+  },
+});
 
-  } catch (e) {
-    console.error('unmute err', e);
-    const errorEmbed = embedError('Unmute Error', `Failed to unmute user. Error: ${e.message.substring(0, 100)}`);
-    if (ctx.isCommand?.() && (ctx.deferred || ctx.replied)) {
-      return ctx.editReply({ embeds: [errorEmbed] }).catch(()=>{});
+defineCommand({
+  name: 'clearwarns',
+  category: 'moderation',
+  description: 'Remove all warnings from a user.',
+  permissions: [PermissionFlagsBits.ManageGuild],
+  args: [
+    { name: 'user', type: 'user', description: 'The member to clear warnings for.', required: true },
+  ],
+  run: async (ctx) => {
+    try {
+      const target = resolveTargetFromCtx(ctx);
+
+      const entry = peekUserData(ctx.guild.id, target.id);
+      const count = entry.warns.length;
+      if (count === 0) return respond(ctx, { embeds: [embedInfo('🧹 Clear Warnings', `**${target.tag}** has no warnings.`)] });
+      entry.warns = [];
+      saveUsers();
+
+      const logEmbed = new EmbedBuilder()
+          .setTitle('🧹 Warnings Cleared')
+          .addFields(
+              { name: 'User', value: `${target.tag} (\`${target.id}\`)`, inline: true },
+              { name: 'Moderator', value: `${ctx.user?.tag || ctx.author?.tag} (\`${ctx.user?.id || ctx.author?.id}\`)`, inline: true },
+              { name: 'Removed', value: `${count}`, inline: true }
+          )
+          .setTimestamp();
+      logModerationAction(ctx.guild, logEmbed);
+
+      return respond(ctx, { embeds: [embedSuccess('🧹 Warnings Cleared', `Removed all **${count}** warnings from **${target.tag}**.`)] });
+    } catch (e) {
+      console.error('clearwarns cmd err', e);
+      return respond(ctx, { embeds: [embedError('Clear Warnings Error', `Failed to clear warnings: ${e.message.substring(0, 100)}`)] });
     }
-    return respond(ctx, { embeds: [errorEmbed] });
-  }
-};
+  },
+});
 
-commandsMap['warn'] = async (ctx) => {
-  // Check permission for Manage Messages or Manage Guild
-  const memberPermissions = ctx.isCommand?.() ? ctx.member.permissions : ctx.member.permissions;
-  if (!memberPermissions?.has(PermissionFlagsBits.ManageMessages) && !memberPermissions?.has(PermissionFlagsBits.ManageGuild)) {
-    return respond(ctx, { embeds: [embedError('Permission Denied', 'Need Manage Messages or Manage Guild')] });
-  }
-  try {
-    const target = await resolveTargetFromCtx(ctx);
-    const reason = ctx.isCommand?.() ? ctx.options.getString('reason') : ctx.args?.slice(1).join(' ') || 'No reason provided';
-    if (!target) return respond(ctx, { embeds: [embedInfo('Warn', 'No target')] });
 
-    if (ctx.isCommand?.() && !ctx.deferred && !ctx.replied) await ctx.deferReply({ ephemeral: false }).catch(()=>{});
+/* ============================================================
+   Commands: Moderation Cases
+   ============================================================ */
 
-    // store warning in users DB
-    users[target.id] = users[target.id] || { xp: 0, level: 0, warns: [] };
-    users[target.id].warns.push({ by: ctx.user?.id || ctx.author?.id, reason, time: Date.now() });
-    safeWriteJSON(FILES.USERS, users);
-    const totalWarnings = users[target.id].warns.length;
+function hasModPermission(ctx) {
+  const perms = ctx.member?.permissions;
+  return !!(perms?.has(PermissionFlagsBits.ManageMessages) || perms?.has(PermissionFlagsBits.ManageGuild));
+}
 
-    // Log the action (NEW)
-    const logEmbed = new EmbedBuilder()
-        .setTitle('⚠️ Member Warned')
-        .addFields(
-            { name: 'User', value: `${target.tag} (\`${target.id}\`)`, inline: true },
-            { name: 'Moderator', value: `${ctx.user?.tag || ctx.author?.tag} (\`${ctx.user?.id || ctx.author?.id}\`)`, inline: true },
-            { name: 'Total Warnings', value: `${totalWarnings}`, inline: true },
-            { name: 'Reason', value: reason.substring(0, 1024), inline: false }
-        )
-        .setColor(EMBED_COLOR_WARN)
-        .setTimestamp();
-    logModerationAction(ctx.guild, logEmbed);
+function formatCaseLine(modCase) {
+  const meta = CASE_TYPES[modCase.type] || { label: modCase.type, emoji: '📁' };
+  const by = modCase.moderatorId ? `<@${modCase.moderatorId}>` : 'Automatic';
+  const reason = modCase.reason.length > 80 ? `${modCase.reason.substring(0, 77)}...` : modCase.reason;
+  return `\`#${modCase.id}\` ${meta.emoji} **${meta.label}** by ${by} <t:${Math.floor(modCase.createdAt / 1000)}:R>: ${reason}`;
+}
 
-    const embed = embedSuccess('⚠️ Warned', `**${target.tag}** warned for: **${reason}**. Total warnings: **${totalWarnings}**`);
-    if (ctx.isCommand?.() && (ctx.deferred || ctx.replied)) {
-      return ctx.editReply({ embeds: [embed] }).catch(()=>{});
-    }
-    return respond(ctx, { embeds: [embed] });
+function parseCaseId(ctx) {
+  const id = ctx.params?.id;
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
 
-  } catch (e) {
-    console.error('warn cmd err', e);
-    const errorEmbed = embedError('Warn Error', `Failed to warn user. Error: ${e.message.substring(0, 100)}`);
-    if (ctx.isCommand?.() && (ctx.deferred || ctx.replied)) {
-      return ctx.editReply({ embeds: [errorEmbed] }).catch(()=>{});
+defineCommand({
+  name: 'case',
+  category: 'moderation',
+  description: 'View a moderation case.',
+  permissions: [PermissionFlagsBits.ManageMessages, PermissionFlagsBits.ManageGuild],
+  args: [
+    { name: 'id', type: 'integer', description: 'The case number.', required: true, min: 1 },
+  ],
+  run: async (ctx) => {
+    try {
+      const id = parseCaseId(ctx);
+      if (!id) return respond(ctx, { embeds: [embedError('Case Error', 'Usage: `case <id>`')] });
+
+      const modCase = getCase(ctx.guild.id, id);
+      if (!modCase) return respond(ctx, { embeds: [embedError('Case Error', `Case \`#${id}\` does not exist.`)] });
+
+      const embed = buildCaseEmbed(modCase).setColor(EMBED_COLOR_INFO);
+      if (modCase.logMessageId) {
+        embed.setDescription(`[Jump to mod log entry](https://discord.com/channels/${ctx.guild.id}/${modCase.logChannelId}/${modCase.logMessageId})`);
+      }
+      if (modCase.editedBy) embed.addFields({ name: 'Last Edited', value: `<@${modCase.editedBy}> <t:${Math.floor(modCase.editedAt / 1000)}:R>`, inline: false });
+      return respond(ctx, { embeds: [embed] });
+    } catch (e) {
+      console.error('case cmd err', e);
+      return respond(ctx, { embeds: [embedError('Case Error', `Failed to fetch case: ${e.message.substring(0, 100)}`)] });
     }
-    return respond(ctx, { embeds: [errorEmbed] });
-  }
-};
+  },
+});
 
-commandsMap['warnings'] = async (ctx) => {
-  // Check permission for Manage Messages or Manage Guild
-  const memberPermissions = ctx.isCommand?.() ? ctx.member.permissions : ctx.member.permissions;
-  if (!memberPermissions?.has(PermissionFlagsBits.ManageMessages) && !memberPermissions?.has(PermissionFlagsBits.ManageGuild)) {
-    return respond(ctx, { embeds: [embedError('Permission Denied', 'Need Manage Messages or Manage Guild')] });
-  }
-  try {
-    const target = await resolveTargetFromCtx(ctx);
-    if (!target) return respond(ctx, { embeds: [embedInfo('Warnings', 'No target')] });
-    if (ctx.isCommand?.() && !ctx.deferred && !ctx.replied) await ctx.deferReply({ ephemeral: false }).catch(()=>{});
-
-    const userEntry = users[target.id] || { warns: [] };
-    const warns = userEntry.warns;
-    const warnsCount = warns.length;
-
-    let description = `**${target.tag}** has **${warnsCount}** warnings.`;
-
-    if (warnsCount > 0) {
-      // Display up to the last 5 warnings
-      const lastWarns = warns.slice(-5).reverse();
-      const warnList = lastWarns.map((w, i) => {
-        const date = `<t:${Math.floor(w.time / 1000)}:R>`;
-        return `\`#${warnsCount - i}\` by <@${w.by}> ${date}: **${w.reason}**`;
-      }).join('\n');
-      description += `\n\n**Last ${lastWarns.length} Warnings:**\n${warnList}`;
+defineCommand({
+  name: 'cases',
+  category: 'moderation',
+  description: 'List moderation cases for a user, or the most recent cases.',
+  permissions: [PermissionFlagsBits.ManageMessages, PermissionFlagsBits.ManageGuild],
+  args: [
+    { name: 'user', type: 'user', description: 'The user to list cases for.' },
+  ],
+  run: async (ctx) => {
+    try {
+      // The user arg also resolves raw IDs of users who are no longer in the server
+      const targetId = resolveTargetFromCtx(ctx)?.id;
+
+      const all = getGuildCases(ctx.guild.id).cases;
+      const list = (targetId ? all.filter(c => c.targetId === targetId) : all).slice().reverse();
+      const title = targetId ? '📁 Cases for User' : '📁 Recent Cases';
+
+      if (list.length === 0) {
+        return respond(ctx, { embeds: [embedInfo(title, targetId ? `<@${targetId}> has no cases.` : 'No cases have been recorded in this server yet.')] });
+      }
+
+      const lines = list.slice(0, 15).map(formatCaseLine);
+      if (list.length > 15) lines.push(`...and **${list.length - 15}** older cases.`);
+      const header = targetId ? `<@${targetId}> (\`${targetId}\`) has **${list.length}** case(s).\n\n` : '';
+      return respond(ctx, { embeds: [embedInfo(title, (header + lines.join('\n')).substring(0, 4096))] });
+    } catch (e) {
+      console.error('cases cmd err', e);
+      return respond(ctx, { embeds: [embedError('Cases Error', `Failed to list cases: ${e.message.substring(0, 100)}`)] });
     }
+  },
+});
+
+defineCommand({
+  name: 'reason',
+  category: 'moderation',
+  description: 'Change the reason of a moderation case.',
+  permissions: [PermissionFlagsBits.ManageMessages, PermissionFlagsBits.ManageGuild],
+  args: [
+    { name: 'id', type: 'integer', description: 'The case number.', required: true, min: 1 },
+    { name: 'reason', type: 'string', description: 'The new reason.', required: true },
+  ],
+  run: async (ctx) => {
+    try {
+      const id = parseCaseId(ctx);
+      const newReason = ctx.params.reason?.trim();
+      if (!id || !newReason) return respond(ctx, { embeds: [embedError('Reason Error', 'Usage: `reason <case_id> <new reason>`')] });
+
+      const modCase = getCase(ctx.guild.id, id);
+      if (!modCase) return respond(ctx, { embeds: [embedError('Reason Error', `Case \`#${id}\` does not exist.`)] });
+
+      const oldReason = modCase.reason;
+      modCase.reason = newReason.substring(0, 1024);
+      modCase.editedAt = Date.now();
+      modCase.editedBy = ctx.user?.id || ctx.author?.id;
+      saveCases();
+
+      // Keep the linked warning in sync so `warnings` shows the same reason
+      if (modCase.type === 'warn') {
+        const warn = peekUserData(ctx.guild.id, modCase.targetId).warns.find(w => w.caseId === modCase.id);
+        if (warn) {
+          warn.reason = modCase.reason;
+          saveUsers();
+        }
+      }
 
-    const embed = embedInfo('📜 User Warnings', description);
-    if (ctx.isCommand?.() && (ctx.deferred || ctx.replied)) {
-      return ctx.editReply({ embeds: [embed] }).catch(()=>{});
+      const edited = await updateCaseLog(ctx.guild, modCase);
+      const note = edited ? 'The mod log entry was updated.' : 'The original mod log entry could not be found, so only the case record was updated.';
+      return respond(ctx, { embeds: [embedSuccess(`✏️ Case #${id} Updated`, `**Old reason:** ${oldReason.substring(0, 500)}\n**New reason:** ${modCase.reason.substring(0, 500)}\n\n${note}`)] });
+    } catch (e) {
+      console.error('reason cmd err', e);
+      return respond(ctx, { embeds: [embedError('Reason Error', `Failed to update case: ${e.message.substring(0, 100)}`)] });
     }
-    return respond(ctx, { embeds: [embed] });
+  },
+});
 
-  } catch (e) {
-    console.error('warnings cmd err', e);
-    const errorEmbed = embedError('Warnings Error', `Failed to fetch warnings. Error: ${e.message.substring(0, 100)}`);
-    if (ctx.isCommand?.() && (ctx.deferred || ctx.replied)) {
-      return ctx.editReply({ embeds: [errorEmbed] }).catch(()=>{});
+defineCommand({
+  name: 'delcase',
+  category: 'moderation',
+  description: 'Delete a moderation case.',
+  permissions: [PermissionFlagsBits.ManageGuild],
+  args: [
+    { name: 'id', type: 'integer', description: 'The case number.', required: true, min: 1 },
+  ],
+  run: async (ctx) => {
+    try {
+      const id = parseCaseId(ctx);
+      if (!id) return respond(ctx, { embeds: [embedError('Delete Case Error', 'Usage: `delcase <id>`')] });
+
+      const store = getGuildCases(ctx.guild.id);
+      const idx = store.cases.findIndex(c => c.id === id);
+      if (idx === -1) return respond(ctx, { embeds: [embedError('Delete Case Error', `Case \`#${id}\` does not exist.`)] });
+      const [modCase] = store.cases.splice(idx, 1);
+      saveCases();
+
+      // A deleted warning case no longer counts towards the user's warnings
+      if (modCase.type === 'warn') {
+        const entry = peekUserData(ctx.guild.id, modCase.targetId);
+        const before = entry.warns.length;
+        entry.warns = entry.warns.filter(w => w.caseId !== modCase.id);
+        if (entry.warns.length !== before) saveUsers();
+      }
+
+      const deletedBy = ctx.user?.tag || ctx.author?.tag;
+      await updateCaseLog(ctx.guild, modCase, buildCaseEmbed(modCase).setFooter({ text: `Case #${modCase.id} • deleted by ${deletedBy}` }));
+
+      return respond(ctx, { embeds: [embedSuccess('🗑️ Case Deleted', `Case \`#${id}\` (${CASE_TYPES[modCase.type]?.label || modCase.type} on <@${modCase.targetId}>) was deleted. Case numbers are not reused.`)] });
+    } catch (e) {
+      console.error('delcase cmd err', e);
+      return respond(ctx, { embeds: [embedError('Delete Case Error', `Failed to delete case: ${e.message.substring(0, 100)}`)] });
     }
-    return respond(ctx, { embeds: [errorEmbed] });
-  }
-};
+  },
+});
 
 
 /* ============================================================
    Commands: Utility/Config
    ============================================================ */
 
-commandsMap['prefix'] = async (ctx) => {
-  if (!hasManageGuild(ctx)) return respond(ctx, { embeds: [embedError('Permission Denied', 'Need Manage Guild')] });
-  try {
-    const newPrefix = ctx.isCommand?.() ? ctx.options.getString('new_prefix') : ctx.args?.[0];
-    const gid = ctx.guild.id;
-    ensureGuildConfig(gid);
+defineCommand({
+  name: 'prefix',
+  category: 'config',
+  description: 'View or change the server prefix.',
+  permissions: [PermissionFlagsBits.ManageGuild],
+  args: [
+    { name: 'new_prefix', type: 'string', description: 'The new prefix to set (max 5 characters).' },
+  ],
+  run: async (ctx) => {
+    try {
+      const newPrefix = ctx.params.new_prefix;
+      const gid = ctx.guild.id;
+      ensureGuildConfig(gid);
+
+      if (!newPrefix) {
+          return respond(ctx, { embeds: [embedInfo('⚙️ Current Prefix', `The current prefix is: \`${config[gid].prefix}\`. Use \`..prefix <new_prefix>\` to change it.`)] });
+      }
+
+      if (newPrefix.length > 5) return respond(ctx, { embeds: [embedError('Error', 'Prefix too long. Max 5 characters.')] });
+
+      config[gid].prefix = newPrefix;
+      saveConfig();
 
-    if (!newPrefix) {
-        return respond(ctx, { embeds: [embedInfo('⚙️ Current Prefix', `The current prefix is: \`${config[gid].prefix}\`. Use \`..prefix <new_prefix>\` to change it.`)] });
+      return respond(ctx, { embeds: [embedSuccess('✅ Prefix Updated', `New prefix set to: \`${newPrefix}\``)] });
+    } catch (e) {
+      console.error('prefix cmd err', e);
+      return respond(ctx, { embeds: [embedError('Prefix Error', 'Could not set new prefix')] });
     }
+  },
+});
 
-    if (newPrefix.length > 5) return respond(ctx, { embeds: [embedError('Error', 'Prefix too long. Max 5 characters.')] });
+defineCommand({
+  name: 'setmodlog',
+  category: 'config',
+  description: 'Set the channel for moderation action logging.',
+  permissions: [PermissionFlagsBits.ManageGuild],
+  args: [
+    { name: 'channel', type: 'channel', description: 'The channel to log mod actions to (leave blank to disable).', channelTypes: [ChannelType.GuildText] },
+  ],
+  run: async (ctx) => {
+    try {
+      let targetChannel = ctx.params.channel;
+      const gid = ctx.guild.id;
+      ensureGuildConfig(gid);
+
+      if (!targetChannel) {
+          // If no channel mentioned, disable logging
+          config[gid].modLogChannel = null;
+          saveConfig();
+          return respond(ctx, { embeds: [embedWarn('🚫 Mod Log Channel Disabled', 'Moderation logging has been disabled for this guild.')] });
+      }
 
-    config[gid].prefix = newPrefix;
-    saveConfig();
+      if (!targetChannel.isTextBased()) {
+          return respond(ctx, { embeds: [embedError('Error', 'The selected channel must be a text channel.')] });
+      }
 
-    return respond(ctx, { embeds: [embedSuccess('✅ Prefix Updated', `New prefix set to: \`${newPrefix}\``)] });
-  } catch (e) {
-    console.error('prefix cmd err', e);
-    return respond(ctx, { embeds: [embedError('Prefix Error', 'Could not set new prefix')] });
-  }
-};
+      config[gid].modLogChannel = targetChannel.id;
+      saveConfig();
 
-commandsMap['setmodlog'] = async (ctx) => {
-  if (!hasManageGuild(ctx)) return respond(ctx, { embeds: [embedError('Permission Denied', 'Need Manage Guild')] });
-  try {
-    let targetChannel = ctx.isCommand?.() ? ctx.options.getChannel('channel') : ctx.mentions.channels.first();
-    const gid = ctx.guild.id;
-    ensureGuildConfig(gid);
+      return respond(ctx, { embeds: [embedSuccess('✅ Mod Log Channel Set', `Moderation actions will now be logged in ${targetChannel}.`)] });
+    } catch (e) {
+      console.error('setmodlog cmd err', e);
+      return respond(ctx, { embeds: [embedError('Mod Log Error', 'Could not set the moderation log channel')] });
+    }
+  },
+});
+
+
+defineCommand({
+  name: 'eventlog',
+  category: 'config',
+  description: 'Configure server event log channels.',
+  usage: '[status|set <messages|members|server|all> [#channel]|ignore <add|remove> <#channel>]',
+  permissions: [PermissionFlagsBits.ManageGuild],
+  subcommands: [
+    { name: 'status', description: 'Show event log channels.' },
+    { name: 'set', description: 'Set (or clear) the log channel for an event category.', args: [
+      { name: 'category', type: 'string', description: 'Which events to log.', required: true, choices: [...Object.keys(EVENT_LOG_CATEGORIES), 'all'] },
+      { name: 'channel', type: 'channel', description: 'The log channel (leave blank to disable).', channelTypes: [ChannelType.GuildText] },
+    ] },
+    { name: 'ignore', description: 'Skip message logs for a channel.', args: [
+      { name: 'operation', type: 'string', description: 'add or remove', required: true, choices: ['add', 'remove'] },
+      { name: 'channel', type: 'channel', description: 'The channel (or category) to ignore.', required: true },
+    ] },
+  ],
+  run: async (ctx) => {
+      const gid = ctx.guild.id;
+      const eventLogs = ensureGuildConfig(gid).eventLogs;
+      if (!Array.isArray(eventLogs.ignoredChannels)) eventLogs.ignoredChannels = [];
+      const isSlash = ctx.isCommand?.();
+      const action = (isSlash ? ctx.options.getSubcommand(false) : ctx.args?.[0])?.toLowerCase() || 'status';
+      const usage = 'Usage: `..eventlog set <messages|members|server|all> [#channel]`, `..eventlog ignore <add|remove> <#channel>`';
+      const resolveChannel = async (name, index) => (isSlash
+          ? ctx.options.getChannel(name)
+          : (ctx.args?.[index] ? await resolveArgToken(ctx.guild, { type: 'channel' }, ctx.args[index]) : null));
+
+      if (action === 'status') {
+          const lines = Object.entries(EVENT_LOG_CATEGORIES).map(([category, label]) =>
+              `**${category}** (${label}): ${eventLogs[category] ? `<#${eventLogs[category]}>` : '❌ Off'}`);
+          const embed = embedInfo('📜 Event Logs', lines.join('\n'))
+              .addFields({ name: 'Ignored Channels', value: eventLogs.ignoredChannels.length ? eventLogs.ignoredChannels.map(id => `<#${id}>`).join(', ') : 'None', inline: false });
+          return respond(ctx, { embeds: [embed] });
+      }
+
+      if (action === 'set') {
+          const category = (isSlash ? ctx.options.getString('category') : ctx.args?.[1])?.toLowerCase();
+          if (!EVENT_LOG_CATEGORIES[category] && category !== 'all') return respond(ctx, { embeds: [embedError('Event Log Error', usage)] });
+          const channel = await resolveChannel('channel', 2);
+          if (!isSlash && ctx.args?.[2] && !channel) return respond(ctx, { embeds: [embedError('Event Log Error', `Could not find a channel matching \`${ctx.args[2]}\`.`)] });
+          if (channel && !channel.isTextBased()) return respond(ctx, { embeds: [embedError('Event Log Error', 'The selected channel must be a text channel.')] });
+
+          const categories = category === 'all' ? Object.keys(EVENT_LOG_CATEGORIES) : [category];
+          for (const c of categories) eventLogs[c] = channel?.id || null;
+          saveConfig();
+          const names = categories.map(c => `**${c}**`).join(', ');
+          if (!channel) return respond(ctx, { embeds: [embedWarn('📜 Event Logs Disabled', `Stopped logging ${names} events.`)] });
+          return respond(ctx, { embeds: [embedSuccess('📜 Event Logs Updated', `${names} events will be logged in ${channel}.`)] });
+      }
+
+      if (action === 'ignore') {
+          const op = (isSlash ? ctx.options.getString('operation') : ctx.args?.[1])?.toLowerCase();
+          const channel = await resolveChannel('channel', 2);
+          if (!['add', 'remove'].includes(op) || !channel) return respond(ctx, { embeds: [embedError('Event Log Error', usage)] });
+          if (op === 'add') {
+              if (eventLogs.ignoredChannels.includes(channel.id)) return respond(ctx, { embeds: [embedInfo('📜 Event Logs', `${channel} is already ignored.`)] });
+              eventLogs.ignoredChannels.push(channel.id);
+          } else {
+              if (!eventLogs.ignoredChannels.includes(channel.id)) return respond(ctx, { embeds: [embedInfo('📜 Event Logs', `${channel} is not ignored.`)] });
+              eventLogs.ignoredChannels = eventLogs.ignoredChannels.filter(id => id !== channel.id);
+          }
+          saveConfig();
+          return respond(ctx, { embeds: [embedSuccess('📜 Event Logs Updated', `Message edits and deletes in ${channel} are ${op === 'add' ? 'no longer' : 'now'} logged.`)] });
+      }
+
+      return respond(ctx, { embeds: [embedError('Invalid Action', usage)] });
+  },
+});
+
+defineCommand({
+  name: 'nukemode',
+  category: 'config',
+  description: 'Manually activate or deactivate emergency safe mode.',
+  usage: '[on|off]',
+  permissions: [PermissionFlagsBits.Administrator],
+  args: [
+    { name: 'action', type: 'string', description: 'on or off', choices: ['on', 'off'] },
+  ],
+  run: async (ctx) => {
+    try {
+      const action = ctx.params.action;
+      const gid = ctx.guild.id;
+      ensureGuildConfig(gid);
+
+      if (!action) {
+          const status = config[gid].nukemode ? '⚠️ ACTIVE' : '❌ OFF';
+          return respond(ctx, { embeds: [embedInfo('⚠️ Nuke Mode Status', `Current Emergency Safe Mode status is: **${status}**.`)] });
+      }
+
+      if (action.toLowerCase() === 'on' || action.toLowerCase() === 'true') {
+          if (config[gid].nukemode) {
+              return respond(ctx, { embeds: [embedWarn('Nuke Mode', 'Nuke Mode is already active.')] });
+          }
+          await activateSafeMode(ctx.guild);
+          return respond(ctx, { embeds: [embedSuccess('🚨 Nuke Mode Activated', 'Emergency Safe Mode manually activated. Potentially dangerous permissions have been removed from non-admin roles. A backup was saved and will be restored by `nukemode off`.')] });
+      } else if (action.toLowerCase() === 'off' || action.toLowerCase() === 'false') {
+          if (!config[gid].nukemode) {
+              return respond(ctx, { embeds: [embedWarn('Nuke Mode', 'Nuke Mode is already inactive.')] });
+          }
+          const report = await deactivateSafeMode(ctx.guild);
+          return respond(ctx, { embeds: [buildSafeModeRestoreEmbed(report)] });
+      } else {
+          return respond(ctx, { embeds: [embedError('Invalid Action', 'Please specify `on` or `off`.')] });
+      }
+
+    } catch (e) {
+      console.error('nukemode cmd err', e);
+      return respond(ctx, { embeds: [embedError('Nuke Mode Error', `Failed to toggle mode: ${e.message.substring(0, 100)}`)] });
+    }
+  },
+});
+
+defineCommand({
+  name: 'antinuke',
+  category: 'config',
+  description: 'View or configure anti-nuke protection.',
+  usage: '[status|punishment strip|ban|threshold <type> <count>|window <dur>|whitelist add|remove|list ...]',
+  permissions: [PermissionFlagsBits.Administrator],
+  subcommands: [
+    { name: 'status', description: 'Show the current anti-nuke settings.' },
+    { name: 'punishment', description: 'Choose how offenders are punished.', args: [
+      { name: 'type', type: 'string', description: 'strip roles or ban', required: true, choices: ['strip', 'ban'] },
+    ] },
+    { name: 'threshold', description: 'Set how many actions per executor trigger anti-nuke.', args: [
+      { name: 'type', type: 'string', description: 'Event type', required: true, choices: Object.keys(DEFAULT_NUKE_THRESHOLDS).map(type => ({ name: NUKE_EVENT_LABELS[type], value: type })) },
+      { name: 'count', type: 'integer', description: 'Actions within the window (0 disables)', required: true, min: 0, max: 50 },
+    ] },
+    { name: 'window', description: 'Set the anti-nuke detection window.', args: [
+      { name: 'duration', type: 'string', description: 'Duration (e.g., 10s, 1m).', required: true },
+    ] },
+    { name: 'whitelist', description: 'Manage trusted users and roles per protected action.', args: [
+      { name: 'operation', type: 'string', description: 'add, remove or list', required: true, choices: ['add', 'remove', 'list'] },
+      { name: 'category', type: 'string', description: 'Protected action category', choices: ['members', 'roles', 'channels', 'bots', 'all'] },
+      { name: 'user', type: 'user', description: 'User to trust or untrust' },
+      { name: 'role', type: 'role', description: 'Role to trust or untrust' },
+    ] },
+  ],
+  run: async (ctx) => {
+    try {
+      const action = (ctx.isCommand?.() ? ctx.options.getSubcommand(false) : ctx.args?.[0])?.toLowerCase() || 'status';
+      const gid = ctx.guild.id;
+      const antinuke = ensureGuildConfig(gid).antinuke;
+
+      if (action === 'status') {
+        const embed = embedInfo('🛡️ Anti-Nuke Settings', 'Offenders are identified from the audit log (requires **View Audit Log**).')
+          .addFields(
+            { name: 'Punishment', value: antinuke.punishment === 'ban' ? '🔨 Ban' : '🔖 Strip roles', inline: true },
+            { name: 'Safe Mode', value: config[gid].nukemode ? '⚠️ ACTIVE' : '❌ OFF', inline: true },
+            { name: 'Protections', value: Object.entries(ANTINUKE_CATEGORIES).map(([key, label]) => {
+              const wl = getAntiNukeWhitelist(gid, key);
+              return `${antinuke.protections[key] !== false ? '✅' : '❌'} ${label} (whitelist: ${wl.users.length} users, ${wl.roles.length} roles)`;
+            }).join('\n'), inline: false },
+            { name: `Thresholds (per executor, within ${getNukeSettings(gid).windowMs / 1000}s)`, value: Object.entries(getNukeSettings(gid).thresholds)
+              .map(([type, limit]) => `${NUKE_EVENT_LABELS[type]}: **${limit || 'off'}**`).join('\n'), inline: false }
+          );
+        return respond(ctx, { embeds: [embed] });
+      }
+
+      if (action === 'punishment') {
+        const value = (ctx.isCommand?.() ? ctx.options.getString('type') : ctx.args?.[1])?.toLowerCase();
+        if (!['strip', 'ban'].includes(value)) {
+          return respond(ctx, { embeds: [embedError('Invalid Punishment', 'Usage: `..antinuke punishment strip|ban`')] });
+        }
+        antinuke.punishment = value;
+        saveConfig();
+        return respond(ctx, { embeds: [embedSuccess('🛡️ Anti-Nuke Updated', `Offenders will now be **${value === 'ban' ? 'banned' : 'stripped of their roles'}**.`)] });
+      }
+
+      if (action === 'threshold') {
+        const typeArg = ctx.isCommand?.() ? ctx.options.getString('type') : ctx.args?.[1];
+        const countArg = ctx.isCommand?.() ? ctx.options.getInteger('count') : parseInt(ctx.args?.[2], 10);
+        const type = resolveNukeEventType(typeArg);
+        if (!type || isNaN(countArg) || countArg < 0 || countArg > 50) {
+          return respond(ctx, { embeds: [embedError('Invalid Threshold', `Usage: \`..antinuke threshold <type> <0-50>\` (0 disables the detector).\nTypes: ${Object.keys(DEFAULT_NUKE_THRESHOLDS).map(t => `\`${t}\``).join(', ')}`)] });
+        }
+        antinuke.thresholds = { ...getNukeSettings(gid).thresholds, [type]: countArg };
+        saveConfig();
+        return respond(ctx, { embeds: [embedSuccess('🛡️ Anti-Nuke Updated', countArg === 0
+          ? `Detection of **${NUKE_EVENT_LABELS[type]}** is now **off**.`
+          : `Threshold for **${NUKE_EVENT_LABELS[type]}** set to **${countArg}** per executor.`)] });
+      }
 
-    if (!targetChannel) {
-        // If no channel mentioned, disable logging
-        config[gid].modLogChannel = null;
+      if (action === 'window') {
+        const durationStr = ctx.isCommand?.() ? ctx.options.getString('duration') : ctx.args?.[1];
+        if (!durationStr || !DURATION_PATTERN.test(durationStr.trim())) return respond(ctx, { embeds: [embedError('Invalid Window', 'Usage: `..antinuke window <duration>` (e.g. `30s`, `2m`; 1s-10m).')] });
+        const windowMs = parseDuration(durationStr);
+        if (windowMs < 1000 || windowMs > 10 * 60 * 1000) {
+          return respond(ctx, { embeds: [embedError('Invalid Window', 'The detection window must be between 1s and 10m.')] });
+        }
+        antinuke.windowMs = windowMs;
+        saveConfig();
+        return respond(ctx, { embeds: [embedSuccess('🛡️ Anti-Nuke Updated', `Detection window set to **${windowMs / 1000}s**.`)] });
+      }
+
+      if (action === 'whitelist') {
+        const isSlash = ctx.isCommand?.();
+        const op = (isSlash ? ctx.options.getString('operation') : ctx.args?.[1])?.toLowerCase();
+        const categoryArg = (isSlash ? ctx.options.getString('category') : ctx.args?.[2])?.toLowerCase();
+        const categories = categoryArg === 'all' ? Object.keys(ANTINUKE_CATEGORIES) : [categoryArg];
+        const usage = 'Usage: `..antinuke whitelist add|remove <members|roles|channels|bots|all> @user|@role` or `..antinuke whitelist list [category]`';
+
+        if (op === 'list') {
+          const shown = categoryArg && categoryArg !== 'all' ? [categoryArg] : Object.keys(ANTINUKE_CATEGORIES);
+          if (!shown.every(c => ANTINUKE_CATEGORIES[c])) return respond(ctx, { embeds: [embedError('Invalid Category', usage)] });
+          const embed = embedInfo('🛡️ Anti-Nuke Whitelist', 'Trusted actors are ignored by anti-nuke for that category. The server owner is always trusted.');
+          for (const c of shown) {
+            const wl = getAntiNukeWhitelist(gid, c);
+            const entries = [...wl.users.map(id => `<@${id}>`), ...wl.roles.map(id => `<@&${id}>`)];
+            embed.addFields({ name: ANTINUKE_CATEGORIES[c], value: entries.join(', ').substring(0, 1024) || 'None', inline: false });
+          }
+          return respond(ctx, { embeds: [embed] });
+        }
+
+        if (op !== 'add' && op !== 'remove') return respond(ctx, { embeds: [embedError('Invalid Action', usage)] });
+        if (!categories.every(c => ANTINUKE_CATEGORIES[c])) return respond(ctx, { embeds: [embedError('Invalid Category', usage)] });
+
+        const user = isSlash ? ctx.options.getUser('user') : ctx.params.user;
+        const role = isSlash ? ctx.options.getRole('role') : ctx.params.role;
+        if (!user && !role) return respond(ctx, { embeds: [embedError('No Target', usage)] });
+
+        for (const c of categories) {
+          const wl = getAntiNukeWhitelist(gid, c);
+          if (user) wl.users = op === 'add' ? [...new Set([...wl.users, user.id])] : wl.users.filter(id => id !== user.id);
+          if (role) wl.roles = op === 'add' ? [...new Set([...wl.roles, role.id])] : wl.roles.filter(id => id !== role.id);
+        }
         saveConfig();
-        return respond(ctx, { embeds: [embedWarn('🚫 Mod Log Channel Disabled', 'Moderation logging has been disabled for this guild.')] });
+
+        const targets = [user && `${user}`, role && `${role}`].filter(Boolean).join(' and ');
+        const where = categoryArg === 'all' ? 'all categories' : `**${ANTINUKE_CATEGORIES[categoryArg]}**`;
+        return respond(ctx, { embeds: [embedSuccess('🛡️ Whitelist Updated', op === 'add' ? `${targets} is now trusted for ${where}.` : `${targets} is no longer trusted for ${where}.`)] });
+      }
+
+      return respond(ctx, { embeds: [embedError('Invalid Action', 'Please specify `status`, `punishment strip|ban`, `threshold <type> <count>`, `window <duration>` or `whitelist add|remove|list`.')] });
+    } catch (e) {
+      console.error('antinuke cmd err', e);
+      return respond(ctx, { embeds: [embedError('Anti-Nuke Error', `Failed to update anti-nuke settings: ${e.message.substring(0, 100)}`)] });
+    }
+  },
+});
+
+defineCommand({
+  name: 'raid',
+  category: 'config',
+  description: 'Configure raid detection, or start and end a raid lockdown.',
+  usage: '[status|enable|disable|threshold <joins> <seconds>|cluster <size> <days>|action <timeout [dur]|kick>|start|end]',
+  permissions: [PermissionFlagsBits.ManageGuild],
+  defer: true,
+  subcommands: [
+    { name: 'status', description: 'Show raid detection settings and lockdown state.' },
+    { name: 'enable', description: 'Enable automatic raid detection.' },
+    { name: 'disable', description: 'Disable automatic raid detection.' },
+    { name: 'threshold', description: 'Set the join-rate trigger.', args: [
+      { name: 'joins', type: 'integer', description: 'Joins that trigger a lockdown.', required: true, min: 3, max: 100 },
+      { name: 'seconds', type: 'integer', description: 'Time window in seconds.', required: true, min: 5, max: 300 },
+    ] },
+    { name: 'cluster', description: 'Set the new-account cluster trigger.', args: [
+      { name: 'size', type: 'integer', description: 'Similar new accounts that trigger a lockdown (0 = off).', required: true, min: 0, max: 50 },
+      { name: 'days', type: 'integer', description: 'Accounts younger than this count as new.', required: true, min: 1, max: 90 },
+    ] },
+    { name: 'action', description: 'Choose what happens to the join wave.', args: [
+      { name: 'type', type: 'string', description: 'timeout or kick', required: true, choices: ['timeout', 'kick'] },
+      { name: 'duration', type: 'duration', description: 'Timeout length (e.g. 1h).' },
+    ] },
+    { name: 'start', description: 'Start a lockdown now and action recent joins.' },
+    { name: 'end', description: 'End the lockdown and revert its changes.' },
+  ],
+  run: async (ctx) => {
+    try {
+      const gid = ctx.guild.id;
+      const antiraid = ensureGuildConfig(gid).antiraid;
+      const isSlash = ctx.isCommand?.();
+      const action = (isSlash ? ctx.options.getSubcommand(false) : ctx.args?.[0])?.toLowerCase() || 'status';
+      const usage = 'Usage: `..raid enable|disable`, `..raid threshold <joins> <seconds>`, `..raid cluster <size> <days>`, `..raid action <timeout [duration]|kick>`, `..raid start|end`';
+
+      if (action === 'status') {
+          const settings = getRaidSettings(gid);
+          const state = raidStates[gid];
+          const embed = embedInfo('🚨 Raid Protection', state
+              ? `**Lockdown active** since <t:${Math.floor(state.startedAt / 1000)}:R>\n**Trigger**: ${state.trigger}\n**Accounts actioned**: ${state.affected.length}\nRun \`raid end\` to lift it.`
+              : `Detection is **${settings.enabled ? 'enabled' : 'disabled'}**. No lockdown is active.`)
+              .addFields(
+                  { name: 'Join Rate', value: `${settings.joins} joins in ${settings.windowSec}s`, inline: true },
+                  { name: 'New-Account Cluster', value: settings.clusterSize ? `${settings.clusterSize} accounts < ${settings.accountAgeDays}d old` : 'Off', inline: true },
+                  { name: 'Join Wave Action', value: settings.action === 'kick' ? 'Kick' : `Timeout (${formatDuration(settings.timeoutMs)})`, inline: true }
+              );
+          return respond(ctx, { embeds: [embed] });
+      }
+
+      if (action === 'enable' || action === 'disable') {
+          antiraid.enabled = action === 'enable';
+          saveConfig();
+          return respond(ctx, { embeds: [embedSuccess('🚨 Raid Detection Updated', `Automatic raid detection is now **${antiraid.enabled ? 'enabled' : 'disabled'}**.`)] });
+      }
+
+      if (action === 'threshold') {
+          const joins = isSlash ? ctx.options.getInteger('joins') : parseInt(ctx.args?.[1], 10);
+          const seconds = isSlash ? ctx.options.getInteger('seconds') : parseInt(ctx.args?.[2], 10);
+          if (isNaN(joins) || joins < 3 || joins > 100 || isNaN(seconds) || seconds < 5 || seconds > 300) {
+              return respond(ctx, { embeds: [embedError('Raid Config Error', `${usage}\nJoins must be 3-100 and seconds 5-300.`)] });
+          }
+          antiraid.joins = joins;
+          antiraid.windowSec = seconds;
+          saveConfig();
+          return respond(ctx, { embeds: [embedSuccess('🚨 Raid Detection Updated', `A lockdown starts when **${joins}** members join within **${seconds}s**.`)] });
+      }
+
+      if (action === 'cluster') {
+          const size = isSlash ? ctx.options.getInteger('size') : parseInt(ctx.args?.[1], 10);
+          const days = isSlash ? ctx.options.getInteger('days') : parseInt(ctx.args?.[2], 10);
+          if (isNaN(size) || size < 0 || size > 50 || isNaN(days) || days < 1 || days > 90) {
+              return respond(ctx, { embeds: [embedError('Raid Config Error', `${usage}\nSize must be 0-50 (0 = off) and days 1-90.`)] });
+          }
+          antiraid.clusterSize = size;
+          antiraid.accountAgeDays = days;
+          saveConfig();
+          return respond(ctx, { embeds: [embedSuccess('🚨 Raid Detection Updated', size
+              ? `A lockdown starts when **${size}** accounts younger than **${days}d** join with a shared trait.`
+              : 'New-account cluster detection is now **off**.')] });
+      }
+
+      if (action === 'action') {
+          const type = (isSlash ? ctx.options.getString('type') : ctx.args?.[1])?.toLowerCase();
+          const durationStr = isSlash ? ctx.options.getString('duration') : ctx.args?.[2];
+          if (!['timeout', 'kick'].includes(type) || (durationStr && !DURATION_PATTERN.test(durationStr))) {
+              return respond(ctx, { embeds: [embedError('Raid Config Error', usage)] });
+          }
+          antiraid.action = type;
+          if (type === 'timeout' && durationStr) {
+              const ms = parseDuration(durationStr);
+              if (ms < 60 * 1000 || ms > 28 * 24 * 60 * 60 * 1000) {
+                  return respond(ctx, { embeds: [embedError('Raid Config Error', 'Timeouts must be between **1m** and **28d**.')] });
+              }
+              antiraid.timeoutMs = ms;
+          }
+          saveConfig();
+          const settings = getRaidSettings(gid);
+          return respond(ctx, { embeds: [embedSuccess('🚨 Raid Detection Updated', `The join wave will be **${settings.action === 'kick' ? 'kicked' : `timed out for ${formatDuration(settings.timeoutMs)}`}**.`)] });
+      }
+
+      if (action === 'start') {
+          if (isRaidActive(gid)) return respond(ctx, { embeds: [embedInfo('🚨 Raid Lockdown', 'A lockdown is already active. Use `raid end` to lift it.')] });
+          const moderator = ctx.user || ctx.author;
+          const trackingMs = getRaidTrackingMs(getRaidSettings(gid));
+          const recent = (raidJoinTracker[gid] || []).filter(j => Date.now() - j.joinedAt < trackingMs);
+          const state = await startRaidLockdown(ctx.guild, `Manual lockdown by ${moderator.tag}`, recent.map(j => j.id), moderator.id);
+          return respond(ctx, { embeds: [embedWarn('🚨 Raid Lockdown Started', [
+              `**Verification level**: ${state.raisedVerification ? 'raised to High' : 'unchanged'}`,
+              `**Invites**: ${state.pausedInvites ? 'paused' : 'unchanged'}`,
+              `**Recent joins actioned**: ${state.affected.filter(a => a.ok).length}/${recent.length}`,
+              'New joins will be actioned until you run `raid end`.',
+          ].join('\n'))] });
+      }
+
+      if (action === 'end') {
+          const report = await endRaidLockdown(ctx.guild);
+          if (!report) return respond(ctx, { embeds: [embedInfo('🚨 Raid Lockdown', 'No lockdown is active.')] });
+          const embed = buildRaidSummaryEmbed(report);
+          logModerationAction(ctx.guild, buildRaidSummaryEmbed(report)
+              .addFields({ name: 'Ended By', value: `${(ctx.user || ctx.author).tag} (\`${(ctx.user || ctx.author).id}\`)`, inline: false }));
+          return respond(ctx, { embeds: [embed] });
+      }
+
+      return respond(ctx, { embeds: [embedError('Invalid Action', usage)] });
+    } catch (e) {
+      console.error('raid cmd err', e);
+      return respond(ctx, { embeds: [embedError('Raid Error', `Failed to manage raid protection: ${e.message.substring(0, 100)}`)] });
     }
+  },
+});
+
+defineCommand({
+  name: 'verification',
+  category: 'config',
+  description: 'Set up the member verification gate.',
+  usage: '[status|setup <#channel> <@role>|disable|challenge <captcha|math>|timeout <dur|off>|minage <days>]',
+  permissions: [PermissionFlagsBits.ManageGuild],
+  subcommands: [
+    { name: 'status', description: 'Show verification settings.' },
+    { name: 'setup', description: 'Post the Verify panel and enable verification.', args: [
+      { name: 'channel', type: 'channel', description: 'Channel for the Verify panel.', required: true, channelTypes: [ChannelType.GuildText] },
+      { name: 'role', type: 'role', description: 'Role given to verified members.', required: true },
+    ] },
+    { name: 'disable', description: 'Disable verification.' },
+    { name: 'challenge', description: 'Choose the challenge type.', args: [
+      { name: 'type', type: 'string', description: 'captcha or math', required: true, choices: ['captcha', 'math'] },
+    ] },
+    { name: 'timeout', description: 'Kick members who do not verify in time.', args: [
+      { name: 'duration', type: 'string', description: 'e.g. 10m, 1h, or off', required: true },
+    ] },
+    { name: 'minage', description: 'Kick accounts younger than this on join.', args: [
+      { name: 'days', type: 'integer', description: 'Minimum account age in days (0 = off).', required: true, min: 0, max: 365 },
+    ] },
+  ],
+  run: async (ctx) => {
+    try {
+      const gid = ctx.guild.id;
+      const verification = ensureGuildConfig(gid).verification;
+      const isSlash = ctx.isCommand?.();
+      const action = (isSlash ? ctx.options.getSubcommand(false) : ctx.args?.[0])?.toLowerCase() || 'status';
+      const usage = 'Usage: `..verification setup <#channel> <@role>`, `..verification challenge <captcha|math>`, `..verification timeout <duration|off>`, `..verification minage <days>`, `..verification disable`';
+
+      if (action === 'status') {
+          const settings = getVerificationSettings(gid);
+          const embed = embedInfo('🔐 Verification', `Verification is **${settings.enabled ? 'enabled' : 'disabled'}**.`)
+              .addFields(
+                  { name: 'Panel Channel', value: settings.channelId ? `<#${settings.channelId}>` : 'Not set', inline: true },
+                  { name: 'Verified Role', value: settings.roleId ? `<@&${settings.roleId}>` : 'Not set', inline: true },
+                  { name: 'Challenge', value: settings.challenge === 'math' ? 'Math question' : 'Text captcha', inline: true },
+                  { name: 'Kick Unverified After', value: settings.timeoutMs ? formatDuration(settings.timeoutMs) : 'Never', inline: true },
+                  { name: 'Minimum Account Age', value: settings.minAccountAgeDays ? `${settings.minAccountAgeDays} days` : 'Off', inline: true },
+                  { name: 'Pending Kicks', value: `${getGuildJobs(gid, 'verify_kick').length}`, inline: true }
+              );
+          return respond(ctx, { embeds: [embed] });
+      }
+
+      if (action === 'setup') {
+          const channel = isSlash ? ctx.options.getChannel('channel') : (ctx.args?.[1] ? await resolveArgToken(ctx.guild, { type: 'channel' }, ctx.args[1]) : null);
+          const role = isSlash ? ctx.options.getRole('role') : (ctx.args?.[2] ? await resolveArgToken(ctx.guild, { type: 'role' }, ctx.args[2]) : null);
+          if (!channel || !role) return respond(ctx, { embeds: [embedError('Verification Error', usage)] });
+          if (!channel.isTextBased()) return respond(ctx, { embeds: [embedError('Verification Error', 'The panel channel must be a text channel.')] });
+          if (role.id === gid || role.managed || !role.editable) {
+              return respond(ctx, { embeds: [embedError('Verification Error', `I cannot assign ${role}. Pick a normal role below my highest role.`)] });
+          }
+
+          const panel = await channel.send(buildVerificationPanel(ctx.guild)).catch(() => null);
+          if (!panel) return respond(ctx, { embeds: [embedError('Verification Error', `I could not post the Verify panel in ${channel}. Check my permissions there.`)] });
+          verification.enabled = true;
+          verification.channelId = channel.id;
+          verification.roleId = role.id;
+          saveConfig();
+          return respond(ctx, { embeds: [embedSuccess('🔐 Verification Enabled', `The Verify panel was posted in ${channel}. Members who pass the challenge get ${role}.\nRestrict your other channels to ${role} so unverified members only see ${channel}.`)] });
+      }
+
+      if (action === 'disable') {
+          verification.enabled = false;
+          saveConfig();
+          getGuildJobs(gid, 'verify_kick').forEach(j => cancelJob(j.id));
+          return respond(ctx, { embeds: [embedWarn('🔐 Verification Disabled', 'New members are no longer asked to verify, and pending verification kicks were cancelled.')] });
+      }
+
+      if (action === 'challenge') {
+          const type = (isSlash ? ctx.options.getString('type') : ctx.args?.[1])?.toLowerCase();
+          if (!['captcha', 'math'].includes(type)) return respond(ctx, { embeds: [embedError('Verification Error', usage)] });
+          verification.challenge = type;
+          saveConfig();
+          return respond(ctx, { embeds: [embedSuccess('🔐 Verification Updated', `Members will now answer a **${type === 'math' ? 'math question' : 'text captcha'}**.`)] });
+      }
 
-    if (!targetChannel.isTextBased()) {
-        return respond(ctx, { embeds: [embedError('Error', 'The selected channel must be a text channel.')] });
+      if (action === 'timeout') {
+          const raw = (isSlash ? ctx.options.getString('duration') : ctx.args?.[1])?.toLowerCase();
+          if (['off', 'never', '0'].includes(raw)) {
+              verification.timeoutMs = 0;
+              saveConfig();
+              return respond(ctx, { embeds: [embedSuccess('🔐 Verification Updated', 'Unverified members are no longer kicked.')] });
+          }
+          if (!raw || !DURATION_PATTERN.test(raw)) return respond(ctx, { embeds: [embedError('Verification Error', usage)] });
+          const ms = parseDuration(raw);
+          if (ms < 60 * 1000 || ms > 7 * 24 * 60 * 60 * 1000) return respond(ctx, { embeds: [embedError('Verification Error', 'The timeout must be between **1m** and **7d**.')] });
+          verification.timeoutMs = ms;
+          saveConfig();
+          return respond(ctx, { embeds: [embedSuccess('🔐 Verification Updated', `Members who don't verify within **${formatDuration(ms)}** of joining will be kicked.`)] });
+      }
+
+      if (action === 'minage') {
+          const days = isSlash ? ctx.options.getInteger('days') : parseInt(ctx.args?.[1], 10);
+          if (isNaN(days) || days < 0 || days > 365) return respond(ctx, { embeds: [embedError('Verification Error', `${usage}\nDays must be between 0 and 365.`)] });
+          verification.minAccountAgeDays = days;
+          saveConfig();
+          return respond(ctx, { embeds: [embedSuccess('🔐 Verification Updated', days ? `Accounts younger than **${days}** days are kicked when they join.` : 'The minimum account age rule is now **off**.')] });
+      }
+
+      return respond(ctx, { embeds: [embedError('Invalid Action', usage)] });
+    } catch (e) {
+      console.error('verification cmd err', e);
+      return respond(ctx, { embeds: [embedError('Verification Error', `Failed to update verification: ${e.message.substring(0, 100)}`)] });
     }
+  },
+});
 
-    config[gid].modLogChannel = targetChannel.id;
-    saveConfig();
+defineCommand({
+  name: 'welcome',
+  category: 'config',
+  description: 'Configure welcome, goodbye and welcome DM messages.',
+  usage: '[status|set <welcome|goodbye|dm> [#channel] <message>|embed <type> <on|off>|test [type]|disable <type>]',
+  permissions: [PermissionFlagsBits.ManageGuild],
+  subcommands: [
+    { name: 'status', description: 'Show the greeting settings.' },
+    { name: 'set', description: 'Set and enable a greeting. Placeholders: {user} {server} {memberCount} {inviter}', args: [
+      { name: 'type', type: 'string', description: 'Which greeting to set.', required: true, choices: Object.keys(GREETING_TYPES) },
+      { name: 'message', type: 'string', description: 'Template, e.g. "Welcome {user} to {server}!"', required: true, maxLength: MAX_GREETING_LENGTH },
+      { name: 'channel', type: 'channel', description: 'Channel to post in (not used for dm).', channelTypes: [ChannelType.GuildText] },
+      { name: 'embed', type: 'boolean', description: 'Send as an embed.' },
+    ] },
+    { name: 'embed', description: 'Send a greeting as an embed or as plain text.', args: [
+      { name: 'type', type: 'string', description: 'Which greeting.', required: true, choices: Object.keys(GREETING_TYPES) },
+      { name: 'enabled', type: 'boolean', description: 'Use an embed.', required: true },
+    ] },
+    { name: 'test', description: 'Preview a greeting using yourself as the member.', args: [
+      { name: 'type', type: 'string', description: 'Which greeting (default: welcome).', choices: Object.keys(GREETING_TYPES) },
+    ] },
+    { name: 'disable', description: 'Disable a greeting.', args: [
+      { name: 'type', type: 'string', description: 'Which greeting.', required: true, choices: Object.keys(GREETING_TYPES) },
+    ] },
+  ],
+  run: async (ctx) => {
+    try {
+      const gid = ctx.guild.id;
+      const greetings = ensureGuildConfig(gid).greetings;
+      const isSlash = ctx.isCommand?.();
+      const action = (isSlash ? ctx.options.getSubcommand(false) : ctx.args?.[0])?.toLowerCase() || 'status';
+      const usage = 'Usage: `..welcome set <welcome|goodbye|dm> [#channel] <message>`, `..welcome embed <type> <on|off>`, `..welcome test [type]`, `..welcome disable <type>`\nPlaceholders: `{user}` `{server}` `{memberCount}` `{inviter}`';
+      const type = (isSlash ? ctx.options.getString('type') : ctx.args?.[1])?.toLowerCase() || (action === 'test' ? 'welcome' : null);
+      if (action !== 'status' && !GREETING_TYPES[type]) return respond(ctx, { embeds: [embedError('Welcome Error', usage)] });
+      const saveGreeting = (changes) => {
+          greetings[type] = { ...getGreeting(gid, type), ...changes };
+          saveConfig();
+      };
+
+      if (action === 'status') {
+          const embed = embedInfo('👋 Greetings', 'Placeholders: `{user}` `{server}` `{memberCount}` `{inviter}`');
+          for (const t of Object.keys(GREETING_TYPES)) {
+              const g = getGreeting(gid, t);
+              const where = t === 'dm' ? 'Direct message' : (g.channelId ? `<#${g.channelId}>` : 'No channel');
+              embed.addFields({
+                  name: `${t} (${g.enabled ? '✅ ON' : '❌ OFF'})`,
+                  value: g.message ? clip(`${where}${g.embed ? ' | embed' : ''}\n${g.message}`) : 'Not set',
+                  inline: false,
+              });
+          }
+          return respond(ctx, { embeds: [embed] });
+      }
 
-    return respond(ctx, { embeds: [embedSuccess('✅ Mod Log Channel Set', `Moderation actions will now be logged in ${targetChannel}.`)] });
-  } catch (e) {
-    console.error('setmodlog cmd err', e);
-    return respond(ctx, { embeds: [embedError('Mod Log Error', 'Could not set the moderation log channel')] });
-  }
-};
+      if (action === 'set') {
+          let channel = null;
+          let message;
+          let embed;
+          if (isSlash) {
+              channel = ctx.options.getChannel('channel');
+              message = ctx.options.getString('message');
+              embed = ctx.options.getBoolean('embed');
+          } else {
+              // The channel is optional in prefix form: `welcome set welcome #general Hi {user}`
+              const channelId = ctx.args?.[2] && matchSnowflake('channel', ctx.args[2]);
+              channel = channelId ? ctx.guild.channels.cache.get(channelId) : null;
+              if (channelId && !channel) return respond(ctx, { embeds: [embedError('Welcome Error', `Could not find the channel ${ctx.args[2]}.`)] });
+              message = ctx.args?.length > (channelId ? 3 : 2) ? getRawArgText(ctx, channelId ? 3 : 2) : '';
+          }
+          channel = channel || (type !== 'dm' && getGreeting(gid, type).channelId ? { id: getGreeting(gid, type).channelId } : null);
+          if (!message) return respond(ctx, { embeds: [embedError('Welcome Error', usage)] });
+          if (message.length > MAX_GREETING_LENGTH) return respond(ctx, { embeds: [embedError('Welcome Error', `Messages can be at most **${MAX_GREETING_LENGTH}** characters.`)] });
+          if (type !== 'dm' && !channel) return respond(ctx, { embeds: [embedError('Welcome Error', `Please give a channel for the ${type} message. ${usage}`)] });
+
+          saveGreeting({ enabled: true, message, channelId: type === 'dm' ? null : channel.id, ...(embed !== null && embed !== undefined ? { embed } : {}) });
+          if (message.includes('{inviter}')) cacheGuildInvites(ctx.guild).catch(()=>{});
+          const member = ctx.member;
+          const preview = buildGreetingPayload(getGreeting(gid, type), member, type, null);
+          const where = type === 'dm' ? 'by DM' : `in <#${channel.id}>`;
+          await respond(ctx, { embeds: [embedSuccess('👋 Greeting Saved', `The **${type}** message is enabled and will be sent ${where}. Preview below:`)] });
+          // Prefix replies can't be ephemeral, so previews never ping anyone
+          return respond(ctx, { ...preview, ephemeral: true, allowedMentions: { parse: [] } });
+      }
 
+      if (action === 'embed') {
+          const raw = isSlash ? ctx.options.getBoolean('enabled') : BOOLEAN_TOKENS[ctx.args?.[2]?.toLowerCase()];
+          if (typeof raw !== 'boolean') return respond(ctx, { embeds: [embedError('Welcome Error', usage)] });
+          saveGreeting({ embed: raw });
+          return respond(ctx, { embeds: [embedSuccess('👋 Greeting Updated', `The **${type}** message will be sent as ${raw ? 'an embed' : 'plain text'}.`)] });
+      }
 
-commandsMap['nukemode'] = async (ctx) => {
-  if (!hasAdmin(ctx)) return respond(ctx, { embeds: [embedError('Permission Denied', 'Need Administrator')] });
-  try {
-    const action = ctx.isCommand?.() ? ctx.options.getString('action') : ctx.args?.[0];
-    const gid = ctx.guild.id;
-    ensureGuildConfig(gid);
+      if (action === 'test') {
+          const greeting = getGreeting(gid, type);
+          if (!greeting.message) return respond(ctx, { embeds: [embedInfo('👋 Greeting Preview', `No **${type}** message is set. ${usage}`)] });
+          // {inviter} can't be known for a preview, so the invoker stands in
+          const preview = buildGreetingPayload(greeting, ctx.member, type, ctx.member.id);
+          const note = greeting.enabled ? '' : ' (currently disabled)';
+          await respond(ctx, { embeds: [embedInfo('👋 Greeting Preview', `Preview of the **${type}** message${note}, with you as the member and inviter:`)] });
+          // Prefix replies can't be ephemeral, so previews never ping anyone
+          return respond(ctx, { ...preview, ephemeral: true, allowedMentions: { parse: [] } });
+      }
 
-    if (!action) {
-        const status = config[gid].nukemode ? '⚠️ ACTIVE' : '❌ OFF';
-        return respond(ctx, { embeds: [embedInfo('⚠️ Nuke Mode Status', `Current Emergency Safe Mode status is: **${status}**.`)] });
-    }
+      if (action === 'disable') {
+          if (!getGreeting(gid, type).enabled) return respond(ctx, { embeds: [embedInfo('👋 Greetings', `The **${type}** message is already disabled.`)] });
+          saveGreeting({ enabled: false });
+          return respond(ctx, { embeds: [embedWarn('👋 Greeting Disabled', `The **${type}** message is disabled. Its template is kept for \`welcome test\`.`)] });
+      }
 
-    if (action.toLowerCase() === 'on' || action.toLowerCase() === 'true') {
-        if (config[gid].nukemode) {
-            return respond(ctx, { embeds: [embedWarn('Nuke Mode', 'Nuke Mode is already active.')] });
-        }
-        await activateSafeMode(ctx.guild);
-        return respond(ctx, { embeds: [embedSuccess('🚨 Nuke Mode Activated', 'Emergency Safe Mode manually activated. Potentially dangerous permissions have been removed from non-admin roles.')] });
-    } else if (action.toLowerCase() === 'off' || action.toLowerCase() === 'false') {
-        if (!config[gid].nukemode) {
-            return respond(ctx, { embeds: [embedWarn('Nuke Mode', 'Nuke Mode is already inactive.')] });
-        }
-        await deactivateSafeMode(ctx.guild);
-        return respond(ctx, { embeds: [embedSuccess('✅ Nuke Mode Deactivated', 'Emergency Safe Mode deactivated. Remember to manually restore any roles if permissions were stripped.')] });
-    } else {
-        return respond(ctx, { embeds: [embedError('Invalid Action', 'Please specify `on` or `off`.')] });
+      return respond(ctx, { embeds: [embedError('Invalid Action', usage)] });
+    } catch (e) {
+      console.error('welcome cmd err', e);
+      return respond(ctx, { embeds: [embedError('Welcome Error', `Failed to update greetings: ${e.message.substring(0, 100)}`)] });
     }
-
-  } catch (e) {
-    console.error('nukemode cmd err', e);
-    return respond(ctx, { embeds: [embedError('Nuke Mode Error', `Failed to toggle mode: ${e.message.substring(0, 100)}`)] });
-  }
-};
+  },
+});
 
 /* ============================================================
    Commands: Leveling System (Aesthetic Improvement)
    ============================================================ */
 
-commandsMap['level'] = async (ctx) => {
-    const target = ctx.isCommand?.()
-      ? (ctx.options.getUser('user') || ctx.user)
-      : (ctx.mentions?.users?.first() || ctx.author);
+defineCommand({
+  name: 'level',
+  aliases: ['rank'],
+  category: 'leveling',
+  description: 'Check your current level and XP.',
+  cooldown: 3,
+  args: [
+    { name: 'user', type: 'user', description: 'The member to check the level for.' },
+  ],
+  run: async (ctx) => {
+      const target = ctx.params.user || ctx.user || ctx.author;
 
-    if (!config[ctx.guild.id]?.levelingEnabled) {
-        return respond(ctx, { embeds: [embedInfo('Leveling System', 'Leveling is currently disabled on this server.')] });
-    }
+      if (!config[ctx.guild.id]?.levelingEnabled) {
+          return respond(ctx, { embeds: [embedInfo('Leveling System', 'Leveling is currently disabled on this server.')] });
+      }
 
-    const userData = users[target.id] || { xp: 0, level: 0, warns: [] };
-    const currentLevel = userData.level;
-    const currentXp = userData.xp;
-    const nextLevelXp = xpFormula(currentLevel);
-    const xpRemaining = nextLevelXp - currentXp;
+      const userData = peekUserData(ctx.guild.id, target.id);
+      const currentLevel = userData.level;
+      const currentXp = userData.xp;
+      const nextLevelXp = xpFormula(currentLevel);
+      const xpRemaining = nextLevelXp - currentXp;
+
+      const totalXpGained = Object.values(getGuildUsers(ctx.guild.id)).reduce((acc, user) => acc + user.xp + (user.level > 0 ? Array.from({length: user.level}, (_, i) => xpFormula(i)).reduce((a, b) => a + b, 0) : 0), 0);
+
+      const embed = new EmbedBuilder()
+          .setTitle(`🌟 Level Status for ${target.tag}`)
+          .setThumbnail(target.displayAvatarURL({ size: 256 }))
+          .addFields(
+              { name: 'Level', value: `**${currentLevel}**`, inline: true },
+              { name: 'Current XP', value: `${currentXp} XP`, inline: true },
+              { name: 'XP to Next Level', value: `${xpRemaining} XP`, inline: true },
+              { name: 'Progress', value: `\`${'█'.repeat(Math.floor((currentXp / nextLevelXp) * 10))} \`${Math.round((currentXp / nextLevelXp) * 100)}%`, inline: false }
+          )
+          .setFooter({ text: `Next Level: ${currentLevel + 1} | Total XP needed: ${nextLevelXp}`})
+          .setColor(EMBED_COLOR_LEVEL)
+          .setTimestamp();
+
+      return respond(ctx, { embeds: [embed] });
+  },
+});
 
-    const totalXpGained = Object.values(users).reduce((acc, user) => acc + user.xp + (user.level > 0 ? Array.from({length: user.level}, (_, i) => xpFormula(i)).reduce((a, b) => a + b, 0) : 0), 0);
 
-    const embed = new EmbedBuilder()
-        .setTitle(`🌟 Level Status for ${target.tag}`)
-        .setThumbnail(target.displayAvatarURL({ size: 256 }))
-        .addFields(
-            { name: 'Level', value: `**${currentLevel}**`, inline: true },
-            { name: 'Current XP', value: `${currentXp} XP`, inline: true },
-            { name: 'XP to Next Level', value: `${xpRemaining} XP`, inline: true },
-            { name: 'Progress', value: `\`${'█'.repeat(Math.floor((currentXp / nextLevelXp) * 10))} \`${Math.round((currentXp / nextLevelXp) * 100)}%`, inline: false }
-        )
-        .setFooter({ text: `Next Level: ${currentLevel + 1} | Total XP needed: ${nextLevelXp}`})
-        .setColor(EMBED_COLOR_LEVEL)
-        .setTimestamp();
+defineCommand({
+  name: 'leaderboard',
+  aliases: ['lb', 'top'],
+  category: 'leveling',
+  description: 'Shows the server\'s top 10 leveled members.',
+  cooldown: 10,
+  cooldownScope: 'channel',
+  run: async (ctx) => {
+      if (!config[ctx.guild.id]?.levelingEnabled) {
+          return respond(ctx, { embeds: [embedInfo('Leveling System', 'Leveling is currently disabled on this server.')] });
+      }
 
-    return respond(ctx, { embeds: [embed] });
-};
+      // Calculate total XP (current XP + cumulative XP from previous levels) for sorting
+      const calculateTotalXP = (data) => {
+          let total = data.xp || 0;
+          for (let i = 0; i < (data.level || 0); i++) {
+              total += xpFormula(i);
+          }
+          return total;
+      }
 
+      // 1. Filter and Sort users by Total XP (desc)
+      const leaderboardData = Object.entries(getGuildUsers(ctx.guild.id))
+          .map(([id, data]) => ({ id, ...data, totalXP: calculateTotalXP(data) }))
+          .filter(entry => ctx.guild.members.cache.has(entry.id)) // Only include members currently in the guild
+          .sort((a, b) => b.totalXP - a.totalXP) // Primary sort: Total XP
+          .slice(0, 10); // Take top 10
 
-commandsMap['leaderboard'] = async (ctx) => {
-    if (!config[ctx.guild.id]?.levelingEnabled) {
-        return respond(ctx, { embeds: [embedInfo('Leveling System', 'Leveling is currently disabled on this server.')] });
-    }
+      if (leaderboardData.length === 0) {
+          return respond(ctx, { embeds: [embedInfo('Leaderboard', 'No user data recorded yet.')] });
+      }
 
-    // Calculate total XP (current XP + cumulative XP from previous levels) for sorting
-    const calculateTotalXP = (data) => {
-        let total = data.xp || 0;
-        for (let i = 0; i < (data.level || 0); i++) {
-            total += xpFormula(i);
-        }
-        return total;
-    }
+      // 2. Format the leaderboard string
+      const description = leaderboardData.map((data, index) => {
+          const medal = index === 0 ? '🥇' : index === 1 ? '🥈' : index === 2 ? '🥉' : '🔹';
+          return `${medal} **#${index + 1}** - <@${data.id}> | **Level ${data.level}** (${data.totalXP} Total XP)`;
+      }).join('\n');
 
-    // 1. Filter and Sort users by Total XP (desc)
-    const leaderboardData = Object.entries(users)
-        .map(([id, data]) => ({ id, ...data, totalXP: calculateTotalXP(data) }))
-        .filter(entry => ctx.guild.members.cache.has(entry.id)) // Only include members currently in the guild
-        .sort((a, b) => b.totalXP - a.totalXP) // Primary sort: Total XP
-        .slice(0, 10); // Take top 10
+      const embed = new EmbedBuilder()
+          .setTitle('🏆 Top 10 Server Level Leaders')
+          .setDescription(description)
+          .setColor(EMBED_COLOR_LEVEL) 
+          .setTimestamp();
 
-    if (leaderboardData.length === 0) {
-        return respond(ctx, { embeds: [embedInfo('Leaderboard', 'No user data recorded yet.')] });
-    }
+      return respond(ctx, { embeds: [embed] });
+  },
+});
 
-    // 2. Format the leaderboard string
-    const description = leaderboardData.map((data, index) => {
-        const medal = index === 0 ? '🥇' : index === 1 ? '🥈' : index === 2 ? '🥉' : '🔹';
-        return `${medal} **#${index + 1}** - <@${data.id}> | **Level ${data.level}** (${data.totalXP} Total XP)`;
-    }).join('\n');
 
-    const embed = new EmbedBuilder()
-        .setTitle('🏆 Top 10 Server Level Leaders')
-        .setDescription(description)
-        .setColor(EMBED_COLOR_LEVEL) 
-        .setTimestamp();
+defineCommand({
+  name: 'enable_leveling',
+  category: 'leveling',
+  description: 'Enables the leveling system on this server.',
+  permissions: [PermissionFlagsBits.ManageGuild],
+  run: async (ctx) => {
+      const gid = ctx.guild.id;
+      ensureGuildConfig(gid);
+      config[gid].levelingEnabled = true;
+      saveConfig();
+      return respond(ctx, { embeds: [embedSuccess('✅ Leveling Enabled', 'The leveling system is now active.')] });
+  },
+});
 
-    return respond(ctx, { embeds: [embed] });
-};
+defineCommand({
+  name: 'disable_leveling',
+  category: 'leveling',
+  description: 'Disables the leveling system on this server.',
+  permissions: [PermissionFlagsBits.ManageGuild],
+  run: async (ctx) => {
+      const gid = ctx.guild.id;
+      ensureGuildConfig(gid);
+      config[gid].levelingEnabled = false;
+      saveConfig();
+      return respond(ctx, { embeds: [embedWarn('🚫 Leveling Disabled', 'The leveling system has been disabled.')] });
+  },
+});
 
+defineCommand({
+  name: 'xpadd',
+  category: 'leveling',
+  description: 'Gives XP to a member.',
+  permissions: [PermissionFlagsBits.ManageGuild],
+  args: [
+    { name: 'user', type: 'member', description: 'The member to give XP to.', required: true },
+    { name: 'amount', type: 'integer', description: 'Amount of XP to add.', required: true, min: 1 },
+  ],
+  run: async (ctx) => {
+      const target = ctx.params.user.user;
+      const amount = ctx.params.amount;
+      const userData = getUserData(ctx.guild.id, target.id);
+      userData.xp += amount;
+      saveUsers();
+      // Without a level-up, still catch up rewards configured after the member reached their level
+      if (!checkLevelUp(ctx.params.user, ctx.channel, userData.level, userData.xp)) {
+        await applyLevelRoles(ctx.params.user, userData.level);
+      }
+      return respond(ctx, { embeds: [embedSuccess('✨ XP Added', `Added **${amount}** XP to ${target.tag}.`)] });
+  },
+});
 
-commandsMap['enable_leveling'] = async (ctx) => {
-    if (!hasManageGuild(ctx)) return respond(ctx, { embeds: [embedError('Permission Denied', 'Need Manage Guild')] });
-    const gid = ctx.guild.id;
-    ensureGuildConfig(gid);
-    config[gid].levelingEnabled = true;
-    saveConfig();
-    return respond(ctx, { embeds: [embedSuccess('✅ Leveling Enabled', 'The leveling system is now active.')] });
-};
+defineCommand({
+  name: 'viewlevel',
+  category: 'leveling',
+  description: 'View a member\'s level and XP.',
+  cooldown: 3,
+  args: [
+    { name: 'user', type: 'user', description: 'The member to check the level for.' },
+  ],
+  run: async (ctx) => {
+      return commandsMap['level'](ctx);
+  },
+});
 
-commandsMap['disable_leveling'] = async (ctx) => {
-    if (!hasManageGuild(ctx)) return respond(ctx, { embeds: [embedError('Permission Denied', 'Need Manage Guild')] });
-    const gid = ctx.guild.id;
-    ensureGuildConfig(gid);
-    config[gid].levelingEnabled = false;
-    saveConfig();
-    return respond(ctx, { embeds: [embedWarn('🚫 Leveling Disabled', 'The leveling system has been disabled.')] });
-};
+defineCommand({
+  name: 'xp',
+  category: 'leveling',
+  description: 'Shows a member\'s XP towards the next level.',
+  cooldown: 3,
+  args: [
+    { name: 'user', type: 'user', description: 'The member to check.' },
+  ],
+  run: async (ctx) => {
+      const target = ctx.params.user || ctx.user || ctx.author;
+      const gid = ctx.guild.id;
+      ensureGuildConfig(gid);
+      if (!config[gid].levelingEnabled) {
+          return respond(ctx, { embeds: [embedInfo('Leveling Disabled', 'Leveling system is disabled on this server.')] });
+      }
+      const userData = peekUserData(gid, target.id);
+      const embed = new EmbedBuilder()
+        .setTitle(`📊 XP for ${target.tag}`)
+        .setDescription(`Level: **${userData.level}**\nXP: **${userData.xp}** / ${xpFormula(userData.level)} for next level`)
+        .setColor(EMBED_COLOR_LEVEL);
+      return respond(ctx, { embeds: [embed] });
+  },
+});
 
-commandsMap['xpadd'] = async (ctx) => {
-    if (!hasManageGuild(ctx)) return respond(ctx, { embeds: [embedError('Permission Denied', 'Need Manage Guild')] });
-    const target = ctx.isCommand?.()
-      ? ctx.options.getUser('user')
-      : (ctx.mentions?.users?.first() || null);
-    const amount = ctx.isCommand?.() ? ctx.options.getInteger('amount') : parseInt(ctx.args?.[1] || '0', 10);
-    if (!target || isNaN(amount) || amount <= 0) {
-        return respond(ctx, { embeds: [embedError('XP Add Error', 'Usage: ..xpadd @user <amount>')] });
-    }
-    users[target.id] = users[target.id] || { xp: 0, level: 0, warns: [] };
-    users[target.id].xp += amount;
-    safeWriteJSON(FILES.USERS, users);
-    const memberObj = await ctx.guild.members.fetch(target.id);
-    checkLevelUp(memberObj, ctx.channel, users[target.id].level, users[target.id].xp);
-    return respond(ctx, { embeds: [embedSuccess('✨ XP Added', `Added **${amount}** XP to ${target.tag}.`)] });
-};
+defineCommand({
+  name: 'levelrole',
+  category: 'leveling',
+  description: 'Manage roles rewarded at levels.',
+  usage: '[list|add <level> <@role>|remove <level>|mode <stack|highest>]',
+  permissions: [PermissionFlagsBits.ManageGuild],
+  subcommands: [
+    { name: 'list', description: 'Show the level role rewards.' },
+    { name: 'add', description: 'Reward a role at a level.', args: [
+      { name: 'level', type: 'integer', description: 'The level that unlocks the role.', required: true, min: 1, max: 1000 },
+      { name: 'role', type: 'role', description: 'The role to give.', required: true },
+    ] },
+    { name: 'remove', description: 'Remove the reward for a level.', args: [
+      { name: 'level', type: 'integer', description: 'The level of the reward.', required: true, min: 1, max: 1000 },
+    ] },
+    { name: 'mode', description: 'Stack all earned rewards or keep only the highest.', args: [
+      { name: 'mode', type: 'string', description: 'stack or highest', required: true, choices: LEVEL_ROLE_MODES },
+    ] },
+  ],
+  run: async (ctx) => {
+      const gid = ctx.guild.id;
+      const levelRoles = ensureGuildConfig(gid).levelRoles;
+      if (!Array.isArray(levelRoles.rewards)) levelRoles.rewards = [];
+      const isSlash = ctx.isCommand?.();
+      const action = (isSlash ? ctx.options.getSubcommand(false) : ctx.args?.[0])?.toLowerCase() || 'list';
+      const usage = 'Usage: `..levelrole add <level> <@role>`, `..levelrole remove <level>`, `..levelrole mode <stack|highest>`, `..levelsync`';
+
+      if (action === 'list') {
+          const { rewards, mode } = getLevelRoleSettings(gid);
+          const lines = rewards.map(r => `Level **${r.level}** → <@&${r.roleId}>${ctx.guild.roles.cache.get(r.roleId)?.editable ? '' : ' ⚠️ *cannot be managed*'}`);
+          const embed = embedInfo('🎁 Level Role Rewards', lines.length ? lines.join('\n') : 'No level role rewards yet.')
+              .addFields({ name: 'Mode', value: `${mode === 'highest' ? 'Highest only (lower rewards the bot gave are removed)' : 'Stack (members keep every reward)'}\nReward roles given by hand are never removed.`, inline: false });
+          return respond(ctx, { embeds: [embed] });
+      }
 
-commandsMap['viewlevel'] = async (ctx) => {
-    return commandsMap['level'](ctx);
-};
+      if (action === 'add') {
+          const level = isSlash ? ctx.options.getInteger('level') : parseInt(ctx.args?.[1], 10);
+          const role = isSlash ? ctx.options.getRole('role') : (ctx.args?.[2] ? await resolveArgToken(ctx.guild, { type: 'role' }, ctx.args[2]) : null);
+          if (isNaN(level) || level < 1 || level > 1000 || !role) return respond(ctx, { embeds: [embedError('Level Role Error', usage)] });
+          if (role.id === gid || role.managed || !role.editable) {
+              return respond(ctx, { embeds: [embedError('Level Role Error', `I cannot assign ${role}. Pick a normal role below my highest role.`)] });
+          }
+          const existing = levelRoles.rewards.find(r => r.roleId === role.id && r.level !== level);
+          if (existing) return respond(ctx, { embeds: [embedError('Level Role Error', `${role} is already the reward for level **${existing.level}**.`)] });
+          const rewards = levelRoles.rewards.filter(r => r.level !== level);
+          if (rewards.length >= MAX_LEVEL_ROLES) {
+              return respond(ctx, { embeds: [embedError('Level Role Error', `You can have at most **${MAX_LEVEL_ROLES}** level role rewards.`)] });
+          }
+          rewards.push({ level, roleId: role.id });
+          levelRoles.rewards = rewards.sort((a, b) => a.level - b.level);
+          saveConfig();
+          return respond(ctx, { embeds: [embedSuccess('🎁 Level Role Added', `Members reaching level **${level}** now get ${role}. Run \`levelsync\` to give it to members who are already there.`)] });
+      }
+
+      if (action === 'remove') {
+          const level = isSlash ? ctx.options.getInteger('level') : parseInt(ctx.args?.[1], 10);
+          const reward = levelRoles.rewards.find(r => r.level === level);
+          if (!reward) return respond(ctx, { embeds: [embedError('Level Role Error', `There is no reward for level **${isNaN(level) ? '?' : level}**. ${usage}`)] });
+          levelRoles.rewards = levelRoles.rewards.filter(r => r.level !== level);
+          saveConfig();
+          return respond(ctx, { embeds: [embedSuccess('🎁 Level Role Removed', `<@&${reward.roleId}> is no longer rewarded at level **${level}**. Members who have it keep it.`)] });
+      }
+
+      if (action === 'mode') {
+          const mode = (isSlash ? ctx.options.getString('mode') : ctx.args?.[1])?.toLowerCase();
+          if (!LEVEL_ROLE_MODES.includes(mode)) return respond(ctx, { embeds: [embedError('Level Role Error', usage)] });
+          levelRoles.mode = mode;
+          saveConfig();
+          return respond(ctx, { embeds: [embedSuccess('🎁 Level Role Mode Updated', `${mode === 'highest' ? 'Members keep only their highest reward' : 'Members keep every reward they earn'}. Run \`levelsync\` to update existing members.`)] });
+      }
+
+      return respond(ctx, { embeds: [embedError('Invalid Action', usage)] });
+  },
+});
+
+defineCommand({
+  name: 'levelsync',
+  category: 'leveling',
+  description: 'Give or remove level role rewards for all members based on their level.',
+  permissions: [PermissionFlagsBits.ManageGuild],
+  cooldown: 60,
+  cooldownScope: 'guild',
+  defer: true,
+  run: async (ctx) => {
+    try {
+      const gid = ctx.guild.id;
+      const { rewards } = getLevelRoleSettings(gid);
+      if (!rewards.length) return respond(ctx, { embeds: [embedInfo('🎁 Level Sync', 'There are no level role rewards to sync. Add one with `levelrole add`.')] });
+
+      const members = await ctx.guild.members.fetch();
+      const rewardRoleIds = new Set(rewards.map(r => r.roleId));
+      let updated = 0;
+      let added = 0;
+      let removed = 0;
+      for (const member of members.values()) {
+        if (member.user.bot) continue;
+        const level = peekUserData(gid, member.id).level;
+        if (level < 1 && !member.roles.cache.some(role => rewardRoleIds.has(role.id))) continue;
+        const result = await applyLevelRoles(member, level);
+        if (result.added.length || result.removed.length) updated++;
+        added += result.added.length;
+        removed += result.removed.length;
+      }
+      return respond(ctx, { embeds: [embedSuccess('🎁 Level Sync Complete', `Updated **${updated}** members: **${added}** roles given, **${removed}** removed.`)] });
+    } catch (e) {
+      console.error('levelsync cmd err', e);
+      return respond(ctx, { embeds: [embedError('Level Sync Error', `Failed to sync level roles: ${e.message.substring(0, 100)}`)] });
+    }
+  },
+});
 
 
 
@@ -1550,7 +5461,9 @@ const client = new Client({
     GatewayIntentBits.GuildMembers,
     GatewayIntentBits.GuildBans, // needed for antinuke ban tracking
     GatewayIntentBits.GuildIntegrations, // needed for antinuke bot/app additions
+    GatewayIntentBits.GuildWebhooks, // needed for antinuke webhook creation tracking
     GatewayIntentBits.GuildMessageReactions,
+    GatewayIntentBits.GuildInvites, // needed to track invite uses for the {inviter} welcome placeholder
   ],
   partials: [Partials.Message, Partials.Channel, Partials.Reaction, Partials.GuildMember, Partials.User],
 });
@@ -1563,103 +5476,736 @@ client.slashCommands = []; // Array of raw JSON structures for registration
    Automod Commands Registration (Example: Antilink)
    ============================================================ */
 
-commandsMap['antilink'] = async (ctx) => {
-    if (!hasManageGuild(ctx)) return respond(ctx, { embeds: [embedError('Permission Denied', 'Need Manage Guild')] });
-    const gid = ctx.guild.id;
-    ensureGuildConfig(gid);
-    const action = ctx.isCommand?.() ? ctx.options.getString('action') : ctx.args?.[0];
+defineCommand({
+  name: 'antilink',
+  category: 'config',
+  description: 'Configure Anti-Link protection.',
+  usage: '[on|off|list|allow <domain>|deny <domain>|reset <domain>|invites on|off]',
+  permissions: [PermissionFlagsBits.ManageGuild],
+  subcommands: [
+    { name: 'status', description: 'Show the current Anti-Link status.' },
+    { name: 'toggle', description: 'Turn Anti-Link on or off.', args: [
+      { name: 'enabled', type: 'boolean', description: 'Enable Anti-Link?', required: true },
+    ] },
+    { name: 'allow', description: 'Allow a domain (use *.example.com for subdomains).', args: [
+      { name: 'domain', type: 'string', description: 'Domain', required: true },
+    ] },
+    { name: 'deny', description: 'Block a domain (use *.example.com for subdomains).', args: [
+      { name: 'domain', type: 'string', description: 'Domain', required: true },
+    ] },
+    { name: 'reset', description: 'Remove a domain from the server lists.', args: [
+      { name: 'domain', type: 'string', description: 'Domain', required: true },
+    ] },
+    { name: 'list', description: 'List allowed and blocked domains.' },
+    { name: 'invites', description: 'Block invite links to other servers.', args: [
+      { name: 'block', type: 'boolean', description: 'Block foreign invites?', required: true },
+    ] },
+  ],
+  run: async (ctx) => {
+      const gid = ctx.guild.id;
+      ensureGuildConfig(gid);
+      const rules = getLinkRules(gid);
+      const isSlash = ctx.isCommand?.();
+      const action = (isSlash ? ctx.options.getSubcommand(false) : ctx.args?.[0])?.toLowerCase();
+      const usage = 'Usage: `..antilink on|off`, `..antilink allow|deny|reset <domain>`, `..antilink list`, `..antilink invites on|off`. Use `*.example.com` to include subdomains.';
+
+      if (!action || action === 'status') {
+          const status = config[gid].automod.antilink ? '✅ ON' : '❌ OFF';
+          return respond(ctx, { embeds: [embedInfo('🔗 Anti-Link Status (Whitelist Active)', `Current Anti-Link status is: **${status}**. Built-in safe domains: ${SAFE_DOMAINS.length}, server allows: ${rules.allow.length}, server blocks: ${rules.block.length}. Foreign invites: **${rules.blockInvites ? 'blocked' : 'allowed'}**.`)] });
+      }
 
-    if (!action) {
-        const status = config[gid].automod.antilink ? '✅ ON' : '❌ OFF';
-        return respond(ctx, { embeds: [embedInfo('🔗 Anti-Link Status (Whitelist Active)', `Current Anti-Link status is: **${status}**. Whitelisted domains: ${SAFE_DOMAINS.length}`)] });
-    }
+      if (['on', 'off', 'true', 'false', 'toggle'].includes(action)) {
+          // Prefix `toggle` flips the current state
+          const toggle = isSlash ? ctx.options.getBoolean('enabled') : action === 'toggle' ? !config[gid].automod.antilink : (action === 'on' || action === 'true');
+          config[gid].automod.antilink = toggle;
+          saveConfig();
+          const status = toggle ? 'Enabled' : 'Disabled';
+          return respond(ctx, { embeds: [embedSuccess('🔗 Anti-Link Toggled', `Anti-Link (Whitelisted mode) has been **${status}**.`)] });
+      }
 
-    const toggle = action.toLowerCase() === 'on' || action.toLowerCase() === 'true';
-    config[gid].automod.antilink = toggle;
-    saveConfig();
+      if (action === 'invites') {
+          rules.blockInvites = isSlash ? ctx.options.getBoolean('block') : ['on', 'true', 'block'].includes(ctx.args?.[1]?.toLowerCase());
+          saveConfig();
+          return respond(ctx, { embeds: [embedSuccess('🔗 Anti-Link Updated', rules.blockInvites
+              ? 'Invite links to **other servers** will now be blocked (even with Anti-Link off). Invites to this server and discord.com links stay allowed.'
+              : 'Invite links to other servers are no longer blocked on their own.')] });
+      }
 
-    const status = toggle ? 'Enabled' : 'Disabled';
-    return respond(ctx, { embeds: [embedSuccess('🔗 Anti-Link Toggled', `Anti-Link (Whitelisted mode) has been **${status}**.`)] });
-};
+      if (action === 'list') {
+          const fmt = (list) => list.map(d => `\`${d}\``).join(', ').substring(0, 1024) || 'None';
+          const embed = embedInfo('🔗 Anti-Link Domains', 'Blocked domains win over allowed ones; both are checked before the built-in list.')
+              .addFields(
+                  { name: `✅ Server Allowed (${rules.allow.length})`, value: fmt(rules.allow), inline: false },
+                  { name: `⛔ Server Blocked (${rules.block.length})`, value: fmt(rules.block), inline: false },
+                  { name: `📦 Built-in Safe Domains (${SAFE_DOMAINS.length})`, value: fmt(SAFE_DOMAINS), inline: false }
+              );
+          return respond(ctx, { embeds: [embed] });
+      }
 
-// wordfilter command and implementation left as an exercise for the user to match complexity of antilink/nukemode
-commandsMap['wordfilter'] = async (ctx) => {
-    // Basic placeholder logic
-    if (!hasManageGuild(ctx)) return respond(ctx, { embeds: [embedError('Permission Denied', 'Need Manage Guild')] });
-    return respond(ctx, { embeds: [embedInfo('🗣️ Word Filter', 'Use `..wordfilter add <word>`, `..wordfilter remove <word>`, or see configuration via the `..enable` menu.')] });
-};
-// antispam command implementation left as an exercise for the user
+      if (['allow', 'deny', 'reset'].includes(action)) {
+          const domain = normalizeDomainRule(isSlash ? ctx.options.getString('domain') : ctx.args?.[1]);
+          if (!domain) return respond(ctx, { embeds: [embedError('Invalid Domain', usage)] });
+
+          rules.allow = rules.allow.filter(d => d !== domain);
+          rules.block = rules.block.filter(d => d !== domain);
+          if (action === 'allow') rules.allow.push(domain);
+          if (action === 'deny') rules.block.push(domain);
+          saveConfig();
+
+          const msg = action === 'allow' ? `\`${domain}\` is now **allowed**.`
+              : action === 'deny' ? `\`${domain}\` is now **blocked**.`
+              : `\`${domain}\` was removed from the server lists (built-in rules apply).`;
+          return respond(ctx, { embeds: [embedSuccess('🔗 Anti-Link Updated', msg)] });
+      }
+
+      return respond(ctx, { embeds: [embedError('Invalid Action', usage)] });
+  },
+});
+
+defineCommand({
+  name: 'phishing',
+  category: 'config',
+  description: 'Configure scam/phishing link protection.',
+  usage: '[on|off|timeout <dur>|check <url>]',
+  permissions: [PermissionFlagsBits.ManageGuild],
+  subcommands: [
+    { name: 'status', description: 'Show phishing protection settings.' },
+    { name: 'toggle', description: 'Turn phishing protection on or off.', args: [
+      { name: 'enabled', type: 'boolean', description: 'Enable phishing protection?', required: true },
+    ] },
+    { name: 'timeout', description: 'Timeout applied to confirmed scammers.', args: [
+      { name: 'duration', type: 'string', description: 'Duration (e.g., 1h, 1d) or 0 for none', required: true },
+    ] },
+    { name: 'check', description: 'Check a link without posting it.', args: [
+      { name: 'url', type: 'string', description: 'Link or domain', required: true },
+    ] },
+    { name: 'add', description: '(Bot owners) Add a domain to the shared blocklist.', args: [
+      { name: 'domain', type: 'string', description: 'Domain', required: true },
+    ] },
+    { name: 'remove', description: '(Bot owners) Remove a domain from the shared blocklist.', args: [
+      { name: 'domain', type: 'string', description: 'Domain', required: true },
+    ] },
+    { name: 'reload', description: '(Bot owners) Reload the blocklist file.' },
+  ],
+  run: async (ctx) => {
+      const gid = ctx.guild.id;
+      const automod = ensureGuildConfig(gid).automod;
+      automod.phishing = { enabled: true, timeoutMs: 24 * 60 * 60 * 1000, ...automod.phishing };
+      const phishing = automod.phishing;
+      const isSlash = ctx.isCommand?.();
+      const action = (isSlash ? ctx.options.getSubcommand(false) : ctx.args?.[0])?.toLowerCase() || 'status';
+      const usage = 'Usage: `..phishing on|off`, `..phishing timeout <duration|0>`, `..phishing check <url>`; bot owners: `..phishing add|remove <domain>`, `..phishing reload`';
+
+      if (action === 'status') {
+          return respond(ctx, { embeds: [embedInfo('🎣 Phishing Protection', `Status: **${phishing.enabled ? '✅ ON' : '❌ OFF'}** (works even with Anti-Link off)\nTimeout for confirmed scams: **${phishing.timeoutMs ? formatDuration(phishing.timeoutMs) : 'none'}**\nBlocklist entries: **${phishingDomains.size}** | Watched brands: **${Object.keys(PHISHING_BRANDS).length}**`)] });
+      }
+
+      if (['on', 'off', 'toggle'].includes(action)) {
+          // Prefix `toggle` flips the current state
+          phishing.enabled = isSlash ? ctx.options.getBoolean('enabled') : action === 'toggle' ? !phishing.enabled : action === 'on';
+          saveConfig();
+          return respond(ctx, { embeds: [embedSuccess('🎣 Phishing Protection Toggled', `Phishing protection has been **${phishing.enabled ? 'Enabled' : 'Disabled'}**.`)] });
+      }
+
+      if (action === 'timeout') {
+          const durationStr = isSlash ? ctx.options.getString('duration') : ctx.args?.[1];
+          if (!durationStr) return respond(ctx, { embeds: [embedError('Phishing Error', usage)] });
+          const off = ['0', 'off'].includes(durationStr.trim().toLowerCase());
+          if (!off && !DURATION_PATTERN.test(durationStr.trim())) return respond(ctx, { embeds: [embedError('Phishing Error', usage)] });
+          const ms = off ? 0 : parseDuration(durationStr);
+          if (ms > 28 * 24 * 60 * 60 * 1000) return respond(ctx, { embeds: [embedError('Phishing Error', 'Timeouts cannot exceed 28 days.')] });
+          phishing.timeoutMs = ms;
+          saveConfig();
+          return respond(ctx, { embeds: [embedSuccess('🎣 Phishing Protection Updated', ms ? `Confirmed scammers will be timed out for **${formatDuration(ms)}**.` : 'Confirmed scam messages will be deleted without a timeout.')] });
+      }
+
+      if (action === 'check') {
+          const input = isSlash ? ctx.options.getString('url') : ctx.args?.[1];
+          if (!input) return respond(ctx, { embeds: [embedError('Phishing Error', usage)] });
+          const result = scanMessageForPhishing(input.includes('.') && !/^https?:\/\//.test(input) ? `http://${input}` : input);
+          const embed = !result ? embedSuccess('🎣 Link Check', `\`${input}\` looks clean.`)
+              : result.verdict === 'confirmed' ? embedError('🎣 Link Check', `\`${input}\` is a **scam**: ${result.reason}`)
+              : embedWarn('🎣 Link Check', `\`${input}\` is **suspicious**: ${result.reason}`);
+          return respond(ctx, { embeds: [embed], ephemeral: true });
+      }
+
+      // The blocklist file is shared by every server, so only bot owners may edit it
+      if (['add', 'remove', 'reload'].includes(action)) {
+          if (!isOwner(ctx)) return respond(ctx, { embeds: [embedError('Permission Denied', 'Only bot owners can edit the shared phishing blocklist.')] });
+          if (action === 'reload') {
+              const count = loadPhishingDomains();
+              return respond(ctx, { embeds: [embedSuccess('🎣 Blocklist Reloaded', `Loaded **${count}** domains from \`phishing_domains.json\`.`)] });
+          }
+          const domain = normalizeDomainRule(isSlash ? ctx.options.getString('domain') : ctx.args?.[1]);
+          if (!domain || domain.startsWith('*.')) return respond(ctx, { embeds: [embedError('Invalid Domain', usage)] });
+          if (action === 'add') phishingDomains.add(domain);
+          else phishingDomains.delete(domain);
+          savePhishingDomains();
+          return respond(ctx, { embeds: [embedSuccess('🎣 Blocklist Updated', `\`${domain}\` was ${action === 'add' ? 'added to' : 'removed from'} the blocklist (${phishingDomains.size} entries).`)] });
+      }
+
+      return respond(ctx, { embeds: [embedError('Invalid Action', usage)] });
+  },
+});
+
+defineCommand({
+  name: 'wordfilter',
+  category: 'config',
+  description: 'Manage the word filter.',
+  usage: '[add <word> [mode]|remove <word>|list|clear|on|off|exempt add|remove #channel]',
+  permissions: [PermissionFlagsBits.ManageGuild],
+  subcommands: [
+    { name: 'add', description: 'Add a word or pattern to the filter.', args: [
+      { name: 'word', type: 'string', description: 'Word, phrase or pattern', required: true, maxLength: 200 },
+      { name: 'mode', type: 'string', description: 'How the entry is matched (default: substring)', choices: WORDFILTER_MODES },
+    ] },
+    { name: 'remove', description: 'Remove an entry (text or list number).', args: [
+      { name: 'word', type: 'string', description: 'Entry text or number', required: true },
+    ] },
+    { name: 'list', description: 'List filtered words and exempt channels.' },
+    { name: 'clear', description: 'Remove every entry from the filter.' },
+    { name: 'toggle', description: 'Turn the word filter on or off.', args: [
+      { name: 'enabled', type: 'boolean', description: 'Enable the filter?', required: true },
+    ] },
+    { name: 'exempt', description: 'Exempt a channel from the filter.', args: [
+      { name: 'operation', type: 'string', description: 'add or remove', required: true, choices: ['add', 'remove'] },
+      { name: 'channel', type: 'channel', description: 'The channel', required: true },
+    ] },
+  ],
+  run: async (ctx) => {
+      const gid = ctx.guild.id;
+      ensureGuildConfig(gid);
+      const wf = config[gid].automod.wordfilter;
+      const entries = getWordFilterEntries(gid);
+      const isSlash = ctx.isCommand?.();
+      const action = (isSlash ? ctx.options.getSubcommand(false) : ctx.args?.[0])?.toLowerCase() || 'list';
+      const usage = 'Usage: `..wordfilter add <word> [exact|substring|wildcard|regex]`, `..wordfilter remove <word>`, `..wordfilter list`, `..wordfilter clear`, `..wordfilter on|off`, `..wordfilter exempt add|remove #channel`';
+
+      if (action === 'on' || action === 'off' || action === 'toggle') {
+          // Prefix `toggle` flips the current state
+          const enabled = isSlash ? ctx.options.getBoolean('enabled') : action === 'toggle' ? !wf.enabled : action === 'on';
+          wf.enabled = enabled;
+          saveConfig();
+          return respond(ctx, { embeds: [embedSuccess('🗣️ Word Filter Toggled', `Word Filter has been **${enabled ? 'Enabled' : 'Disabled'}**.`)] });
+      }
+
+      if (action === 'list') {
+          const lines = entries.map((e, i) => `\`${i + 1}.\` ||${e.word}|| - *${e.mode}*`);
+          let value = '';
+          for (const line of lines) {
+              if ((value + line).length > 3800) { value += '\n...'; break; }
+              value += (value ? '\n' : '') + line;
+          }
+          const embed = embedInfo('🗣️ Word Filter', `Status: **${wf.enabled ? '✅ ON' : '❌ OFF'}** | Entries: **${entries.length}**\n\n${value || 'No filtered words yet.'}`)
+              .addFields({ name: 'Exempt Channels', value: wf.exemptChannels.map(id => `<#${id}>`).join(', ').substring(0, 1024) || 'None', inline: false });
+          return respond(ctx, { embeds: [embed], ephemeral: true });
+      }
+
+      if (action === 'add') {
+          let word;
+          let mode;
+          if (isSlash) {
+              word = ctx.options.getString('word');
+              mode = ctx.options.getString('mode') || 'substring';
+          } else {
+              const rest = ctx.args.slice(1);
+              mode = WORDFILTER_MODES.includes(rest[rest.length - 1]?.toLowerCase()) && rest.length > 1 ? rest.pop().toLowerCase() : 'substring';
+              word = rest.join(' ');
+          }
+          word = word?.trim();
+          if (!word) return respond(ctx, { embeds: [embedError('Word Filter Error', usage)] });
+          if (word.length > WORDFILTER_MAX_PATTERN) return respond(ctx, { embeds: [embedError('Word Filter Error', `Entries are limited to ${WORDFILTER_MAX_PATTERN} characters.`)] });
+          if (entries.length >= WORDFILTER_MAX_ENTRIES) return respond(ctx, { embeds: [embedError('Word Filter Error', `The filter is limited to ${WORDFILTER_MAX_ENTRIES} entries.`)] });
+          if (mode !== 'regex') word = word.toLowerCase();
+          if (mode === 'regex') {
+              try { new RegExp(word, 'iu'); } catch (e) {
+                  return respond(ctx, { embeds: [embedError('Invalid Regex', `\`${e.message.substring(0, 200)}\``)] });
+              }
+              const unsafe = findUnsafeRegex(word);
+              if (unsafe) return respond(ctx, { embeds: [embedError('Unsafe Regex', `${unsafe} Patterns like these can freeze the bot on long messages.`)] });
+          }
+          if (entries.some(e => e.word === word && e.mode === mode)) {
+              return respond(ctx, { embeds: [embedWarn('Word Filter', 'That entry is already in the filter.')], ephemeral: true });
+          }
+          entries.push({ word, mode });
+          saveConfig();
+          return respond(ctx, { embeds: [embedSuccess('🗣️ Word Added', `Added ||${word}|| (*${mode}*). The filter now has **${entries.length}** entries.${wf.enabled ? '' : '\nNote: the filter is currently **off**.'}`)], ephemeral: true });
+      }
+
+      if (action === 'remove') {
+          const word = (isSlash ? ctx.options.getString('word') : ctx.args.slice(1).join(' '))?.trim();
+          if (!word) return respond(ctx, { embeds: [embedError('Word Filter Error', usage)] });
+          // Accept either the entry text or its number from `wordfilter list`
+          const index = /^\d+$/.test(word) && !entries.some(e => e.word === word) ? Number(word) - 1 : entries.findIndex(e => e.word === word || e.word === word.toLowerCase());
+          if (index < 0 || index >= entries.length) return respond(ctx, { embeds: [embedError('Word Filter Error', 'That entry is not in the filter.')], ephemeral: true });
+          const [removed] = entries.splice(index, 1);
+          saveConfig();
+          return respond(ctx, { embeds: [embedSuccess('🗣️ Word Removed', `Removed ||${removed.word}|| (*${removed.mode}*).`)], ephemeral: true });
+      }
+
+      if (action === 'clear') {
+          const count = entries.length;
+          wf.bannedWords = [];
+          saveConfig();
+          return respond(ctx, { embeds: [embedSuccess('🗣️ Word Filter Cleared', `Removed **${count}** entries.`)] });
+      }
+
+      if (action === 'exempt') {
+          const op = (isSlash ? ctx.options.getString('operation') : ctx.args?.[1])?.toLowerCase();
+          const channel = isSlash ? ctx.options.getChannel('channel') : ctx.params.channel;
+          if (!['add', 'remove'].includes(op) || !channel) return respond(ctx, { embeds: [embedError('Word Filter Error', usage)] });
+          wf.exemptChannels = op === 'add'
+              ? [...new Set([...wf.exemptChannels, channel.id])]
+              : wf.exemptChannels.filter(id => id !== channel.id);
+          saveConfig();
+          return respond(ctx, { embeds: [embedSuccess('🗣️ Word Filter Exemptions', op === 'add' ? `${channel} is now exempt from the word filter.` : `${channel} is no longer exempt from the word filter.`)] });
+      }
+
+      return respond(ctx, { embeds: [embedError('Invalid Action', usage)] });
+  },
+});
+
+defineCommand({
+  name: 'automod',
+  category: 'config',
+  description: 'Manage automod exemptions.',
+  usage: '[whitelist add|remove|list <#channel|@role|@user>|modexempt on|off]',
+  permissions: [PermissionFlagsBits.ManageGuild],
+  subcommands: [
+    { name: 'whitelist', description: 'Exempt channels, roles or users from automod.', args: [
+      { name: 'operation', type: 'string', description: 'add, remove or list', required: true, choices: ['add', 'remove', 'list'] },
+      { name: 'channel', type: 'channel', description: 'Channel to exempt' },
+      { name: 'role', type: 'role', description: 'Role to exempt' },
+      { name: 'user', type: 'user', description: 'User to exempt' },
+    ] },
+    { name: 'modexempt', description: 'Exempt members with Manage Messages from automod.', args: [
+      { name: 'enabled', type: 'boolean', description: 'Exempt moderators?', required: true },
+    ] },
+  ],
+  run: async (ctx) => {
+      const gid = ctx.guild.id;
+      const automod = ensureGuildConfig(gid).automod;
+      const isSlash = ctx.isCommand?.();
+      const action = (isSlash ? ctx.options.getSubcommand(false) : ctx.args?.[0])?.toLowerCase();
+      const usage = 'Usage: `..automod whitelist add|remove <#channel|@role|@user>`, `..automod whitelist list`, `..automod modexempt on|off`';
+
+      if (action === 'modexempt') {
+          automod.exemptModerators = isSlash ? ctx.options.getBoolean('enabled') : ['on', 'true'].includes(ctx.args?.[1]?.toLowerCase());
+          saveConfig();
+          return respond(ctx, { embeds: [embedSuccess('🛡️ Automod Updated', automod.exemptModerators
+              ? 'Members with **Manage Messages** are now exempt from automod.'
+              : 'Members with **Manage Messages** are now checked by automod like everyone else.')] });
+      }
+
+      if (action === 'whitelist') {
+          const op = (isSlash ? ctx.options.getString('operation') : ctx.args?.[1])?.toLowerCase() || 'list';
+
+          if (op === 'list') {
+              const embed = embedInfo('🛡️ Automod Whitelist', `Whitelisted channels, roles and users skip antilink, wordfilter and antispam.\nModerator exemption (Manage Messages): **${automod.exemptModerators !== false ? '✅ ON' : '❌ OFF'}**`)
+                  .addFields(
+                      { name: 'Channels', value: automod.whitelistChannels.map(id => `<#${id}>`).join(', ').substring(0, 1024) || 'None', inline: false },
+                      { name: 'Roles', value: automod.whitelistRoles.map(id => `<@&${id}>`).join(', ').substring(0, 1024) || 'None', inline: false },
+                      { name: 'Users', value: automod.whitelistUsers.map(id => `<@${id}>`).join(', ').substring(0, 1024) || 'None', inline: false }
+                  );
+              return respond(ctx, { embeds: [embed] });
+          }
+
+          if (op !== 'add' && op !== 'remove') return respond(ctx, { embeds: [embedError('Invalid Action', usage)] });
+
+          const channel = isSlash ? ctx.options.getChannel('channel') : ctx.params.channel;
+          const role = isSlash ? ctx.options.getRole('role') : ctx.params.role;
+          const user = isSlash ? ctx.options.getUser('user') : ctx.params.user;
+          if (!channel && !role && !user) return respond(ctx, { embeds: [embedError('No Target', usage)] });
+
+          const update = (list, id) => op === 'add' ? [...new Set([...list, id])] : list.filter(x => x !== id);
+          if (channel) automod.whitelistChannels = update(automod.whitelistChannels, channel.id);
+          if (role) automod.whitelistRoles = update(automod.whitelistRoles, role.id);
+          if (user) automod.whitelistUsers = update(automod.whitelistUsers, user.id);
+          saveConfig();
+
+          const targets = [channel && `${channel}`, role && `${role}`, user && `${user}`].filter(Boolean).join(', ');
+          return respond(ctx, { embeds: [embedSuccess('🛡️ Automod Whitelist Updated', op === 'add' ? `${targets} will now skip automod checks.` : `${targets} will now be checked by automod.`)] });
+      }
+
+      return respond(ctx, { embeds: [embedError('Invalid Action', usage)] });
+  },
+});
+
+defineCommand({
+  name: 'antispam',
+  category: 'config',
+  description: 'Configure anti-spam protection.',
+  usage: '[on|off|set <max> <sec>|punishment <steps>|detector <type> <limit>]',
+  permissions: [PermissionFlagsBits.ManageGuild],
+  subcommands: [
+    { name: 'status', description: 'Show the current anti-spam settings.' },
+    { name: 'toggle', description: 'Turn anti-spam on or off.', args: [
+      { name: 'enabled', type: 'boolean', description: 'Enable anti-spam?', required: true },
+    ] },
+    { name: 'set', description: 'Set the message flood limit.', args: [
+      { name: 'max', type: 'integer', description: 'Max messages in the window (2-50)', required: true, min: 2, max: 50 },
+      { name: 'seconds', type: 'integer', description: 'Window length in seconds (1-120)', required: true, min: 1, max: 120 },
+    ] },
+    { name: 'punishment', description: 'Set the escalation ladder.', args: [
+      { name: 'steps', type: 'string', description: 'e.g. delete,timeout:10m,kick', required: true },
+    ] },
+    { name: 'detector', description: 'Tune a content detector.', args: [
+      { name: 'type', type: 'string', description: 'Detector', required: true, choices: Object.keys(DEFAULT_ANTISPAM_DETECTORS) },
+      { name: 'limit', type: 'integer', description: 'Trigger limit (caps: percent), 0 disables', required: true, min: 0, max: 100 },
+    ] },
+  ],
+  run: async (ctx) => {
+      const gid = ctx.guild.id;
+      const antispam = ensureGuildConfig(gid).automod.antispam;
+      const isSlash = ctx.isCommand?.();
+      const action = (isSlash ? ctx.options.getSubcommand(false) : ctx.args?.[0])?.toLowerCase() || 'status';
+      const usage = 'Usage: `..antispam on|off`, `..antispam set <max> <sec>`, `..antispam punishment <step,step,...>` (steps: `delete`, `timeout:<dur>`, `kick`, `ban`), `..antispam detector <duplicates|mentions|caps|emoji|newlines> <limit>`';
+
+      if (action === 'status') {
+          const detectors = getAntispamDetectors(gid);
+          const embed = embedInfo('🚫 Anti-Spam Settings', `Status: **${antispam.enabled ? '✅ ON' : '❌ OFF'}**`)
+              .addFields(
+                  { name: 'Flood', value: `More than **${antispam.max}** messages in **${Math.round(antispam.window / 1000)}s**`, inline: false },
+                  { name: 'Detectors', value: [
+                      `Duplicates: **${detectors.duplicates || 'off'}**`,
+                      `Mentions: **${detectors.mentions || 'off'}**`,
+                      `Caps: **${detectors.caps ? `${detectors.caps}%` : 'off'}**`,
+                      `Emoji: **${detectors.emoji || 'off'}**`,
+                      `Newlines: **${detectors.newlines || 'off'}**`,
+                  ].join('\n'), inline: true },
+                  { name: 'Escalation', value: getAntispamEscalation(gid).map((step, i) => `${i + 1}. \`${step}\``).join('\n'), inline: true }
+              );
+          return respond(ctx, { embeds: [embed] });
+      }
+
+      if (action === 'on' || action === 'off' || action === 'toggle') {
+          antispam.enabled = isSlash ? ctx.options.getBoolean('enabled') : action === 'on';
+          saveConfig();
+          return respond(ctx, { embeds: [embedSuccess('🚫 Anti-Spam Toggled', `Anti-Spam has been **${antispam.enabled ? 'Enabled' : 'Disabled'}**.`)] });
+      }
+
+      if (action === 'set') {
+          const max = isSlash ? ctx.options.getInteger('max') : parseInt(ctx.args?.[1], 10);
+          const seconds = isSlash ? ctx.options.getInteger('seconds') : parseInt(ctx.args?.[2], 10);
+          if (isNaN(max) || isNaN(seconds) || max < 2 || max > 50 || seconds < 1 || seconds > 120) {
+              return respond(ctx, { embeds: [embedError('Anti-Spam Error', 'Usage: `..antispam set <max 2-50> <seconds 1-120>`')] });
+          }
+          antispam.max = max;
+          antispam.window = seconds * 1000;
+          saveConfig();
+          return respond(ctx, { embeds: [embedSuccess('🚫 Anti-Spam Updated', `Members sending more than **${max}** messages in **${seconds}s** will be punished.`)] });
+      }
+
+      if (action === 'punishment') {
+          const raw = isSlash ? ctx.options.getString('steps') : ctx.args?.slice(1).join(',');
+          const steps = (raw || '').split(/[,\s>]+/).map(st => st.trim().toLowerCase()).filter(Boolean);
+          if (steps.length === 0 || steps.length > 10 || !steps.every(parseSpamStep)) {
+              return respond(ctx, { embeds: [embedError('Anti-Spam Error', usage)] });
+          }
+          antispam.escalation = steps;
+          saveConfig();
+          return respond(ctx, { embeds: [embedSuccess('🚫 Anti-Spam Updated', `Escalation set to: ${steps.map(st => `\`${st}\``).join(' → ')}\nStrikes reset after ${formatDuration(ANTISPAM_STRIKE_RESET_MS)} without spam.`)] });
+      }
+
+      if (action === 'detector') {
+          const type = (isSlash ? ctx.options.getString('type') : ctx.args?.[1])?.toLowerCase();
+          const limitArg = isSlash ? ctx.options.getInteger('limit') : (['off', 'false'].includes(ctx.args?.[2]?.toLowerCase()) ? 0 : parseInt(ctx.args?.[2], 10));
+          if (!(type in DEFAULT_ANTISPAM_DETECTORS) || isNaN(limitArg) || limitArg < 0 || limitArg > 100) {
+              return respond(ctx, { embeds: [embedError('Anti-Spam Error', usage)] });
+          }
+          antispam.detectors = { ...getAntispamDetectors(gid), [type]: limitArg };
+          saveConfig();
+          return respond(ctx, { embeds: [embedSuccess('🚫 Anti-Spam Updated', limitArg === 0
+              ? `The **${type}** detector is now **off**.`
+              : `The **${type}** detector now triggers at **${limitArg}${type === 'caps' ? '%' : ''}**.`)] });
+      }
+
+      return respond(ctx, { embeds: [embedError('Invalid Action', usage)] });
+  },
+});
+
+
+defineCommand({
+  name: 'warnconfig',
+  category: 'config',
+  description: 'Configure warning escalation and expiry.',
+  usage: '[add <count> <timeout 1h|kick|ban>|remove <count>|expiry <dur|off>]',
+  permissions: [PermissionFlagsBits.ManageGuild],
+  subcommands: [
+    { name: 'status', description: 'Show escalation rules and warning expiry.' },
+    { name: 'add', description: 'Add or replace an escalation rule.', args: [
+      { name: 'count', type: 'integer', description: 'Active warnings that trigger the rule.', required: true, min: 1, max: 50 },
+      { name: 'action', type: 'string', description: 'timeout:<dur> (e.g. timeout:1h), kick or ban', required: true },
+    ] },
+    { name: 'remove', description: 'Remove an escalation rule.', args: [
+      { name: 'count', type: 'integer', description: 'The warning count of the rule to remove.', required: true },
+    ] },
+    { name: 'expiry', description: 'Set how long warnings count for.', args: [
+      { name: 'duration', type: 'string', description: 'e.g. 30d, or off', required: true },
+    ] },
+  ],
+  run: async (ctx) => {
+      const gid = ctx.guild.id;
+      const warnings = ensureGuildConfig(gid).warnings;
+      const isSlash = ctx.isCommand?.();
+      const action = (isSlash ? ctx.options.getSubcommand(false) : ctx.args?.[0])?.toLowerCase() || 'status';
+      const usage = 'Usage: `..warnconfig add <count> <timeout <dur>|kick|ban>`, `..warnconfig remove <count>`, `..warnconfig expiry <duration|off>`';
+
+      if (action === 'status') {
+          const { escalation, expiryMs } = getWarnSettings(gid);
+          const rules = escalation.length
+              ? escalation.map(r => `**${r.count}** warns → \`${r.action}\``).join('\n')
+              : 'No escalation rules. Warnings are recorded only.';
+          const embed = embedInfo('⚠️ Warning Settings', rules)
+              .addFields({ name: 'Expiry', value: expiryMs ? `Warnings stop counting after **${formatDuration(expiryMs)}**` : 'Warnings never expire', inline: false });
+          return respond(ctx, { embeds: [embed] });
+      }
+
+      if (action === 'add') {
+          const count = isSlash ? ctx.options.getInteger('count') : parseInt(ctx.args?.[1], 10);
+          // Prefix form accepts `timeout 1h` as well as `timeout:1h`
+          const raw = (isSlash ? ctx.options.getString('action') : ctx.args?.slice(2).join(':'))?.toLowerCase();
+          const step = raw && parseSpamStep(raw);
+          if (isNaN(count) || count < 1 || count > 50 || !step || step.action === 'delete') {
+              return respond(ctx, { embeds: [embedError('Warn Config Error', usage)] });
+          }
+          const ruleAction = step.action === 'timeout' ? (raw.includes(':') ? raw : 'timeout:5m') : step.action;
+          const rules = getWarnSettings(gid).escalation.filter(r => r.count !== count);
+          if (rules.length >= MAX_WARN_RULES) {
+              return respond(ctx, { embeds: [embedError('Warn Config Error', `You can have at most **${MAX_WARN_RULES}** escalation rules.`)] });
+          }
+          rules.push({ count, action: ruleAction });
+          warnings.escalation = rules.sort((a, b) => a.count - b.count);
+          saveConfig();
+          return respond(ctx, { embeds: [embedSuccess('⚠️ Escalation Rule Saved', `Members reaching **${count}** active warnings will receive \`${ruleAction}\`.`)] });
+      }
+
+      if (action === 'remove') {
+          const count = isSlash ? ctx.options.getInteger('count') : parseInt(ctx.args?.[1], 10);
+          const rules = getWarnSettings(gid).escalation;
+          if (!rules.some(r => r.count === count)) {
+              return respond(ctx, { embeds: [embedError('Warn Config Error', `There is no rule for **${count}** warnings.`)] });
+          }
+          warnings.escalation = rules.filter(r => r.count !== count);
+          saveConfig();
+          return respond(ctx, { embeds: [embedSuccess('⚠️ Escalation Rule Removed', `The rule for **${count}** warnings was removed.`)] });
+      }
+
+      if (action === 'expiry') {
+          const raw = (isSlash ? ctx.options.getString('duration') : ctx.args?.[1])?.toLowerCase();
+          if (['off', 'never', '0'].includes(raw)) {
+              warnings.expiryMs = 0;
+              saveConfig();
+              return respond(ctx, { embeds: [embedSuccess('⚠️ Warning Expiry Disabled', 'Warnings no longer expire.')] });
+          }
+          if (!raw || !/^\d+\s*[smhd]/.test(raw)) return respond(ctx, { embeds: [embedError('Warn Config Error', usage)] });
+          const ms = parseDuration(raw);
+          if (ms < 60 * 60 * 1000) return respond(ctx, { embeds: [embedError('Warn Config Error', 'Warning expiry must be at least **1h**.')] });
+          warnings.expiryMs = ms;
+          saveConfig();
+          return respond(ctx, { embeds: [embedSuccess('⚠️ Warning Expiry Updated', `Warnings older than **${formatDuration(ms)}** no longer count towards escalation.`)] });
+      }
+
+      return respond(ctx, { embeds: [embedError('Invalid Action', usage)] });
+  },
+});
+
+defineCommand({
+  name: 'cooldown',
+  category: 'config',
+  description: 'Override command cooldowns for this server.',
+  usage: '[list|set <command> <seconds> [user|channel|guild]|reset <command>]',
+  permissions: [PermissionFlagsBits.ManageGuild],
+  subcommands: [
+    { name: 'list', description: 'Show command cooldowns and server overrides.' },
+    { name: 'set', description: 'Override a command cooldown.', args: [
+      { name: 'command', type: 'string', description: 'The command name.', required: true },
+      { name: 'seconds', type: 'integer', description: 'Cooldown in seconds (0 disables it).', required: true, min: 0, max: MAX_COOLDOWN_SECONDS },
+      { name: 'scope', type: 'string', description: 'Who shares the cooldown (default: user).', choices: COOLDOWN_SCOPES },
+    ] },
+    { name: 'reset', description: 'Restore the default cooldown of a command.', args: [
+      { name: 'command', type: 'string', description: 'The command name.', required: true },
+    ] },
+  ],
+  run: async (ctx) => {
+      const gid = ctx.guild.id;
+      const cooldowns = ensureGuildConfig(gid).cooldowns;
+      const isSlash = ctx.isCommand?.();
+      const action = (isSlash ? ctx.options.getSubcommand(false) : ctx.args?.[0])?.toLowerCase() || 'list';
+      const usage = `Usage: \`..cooldown set <command> <seconds> [${COOLDOWN_SCOPES.join('|')}]\`, \`..cooldown reset <command>\``;
+
+      if (action === 'list') {
+          const lines = Object.values(commandMeta)
+              .map(def => ({ def, cooldown: getCommandCooldown(gid, def) }))
+              .filter(({ cooldown }) => cooldown.seconds || cooldown.overridden)
+              .map(({ def, cooldown }) => `\`${def.name}\` - ${formatCooldown(cooldown)}`);
+          return respond(ctx, { embeds: [embedInfo('⏳ Command Cooldowns', lines.length ? lines.join('\n') : 'No commands have a cooldown.')] });
+      }
+
+      const name = isSlash ? ctx.options.getString('command') : ctx.args?.[1];
+      const def = name && getCommand(name);
+      if (!def) return respond(ctx, { embeds: [embedError('Cooldown Error', name ? `Unknown command \`${name}\`.` : usage)] });
+
+      if (action === 'set') {
+          const seconds = isSlash ? ctx.options.getInteger('seconds') : parseInt(ctx.args?.[2], 10);
+          const scope = (isSlash ? ctx.options.getString('scope') : ctx.args?.[3])?.toLowerCase() || 'user';
+          if (isNaN(seconds) || seconds < 0 || seconds > MAX_COOLDOWN_SECONDS || !COOLDOWN_SCOPES.includes(scope)) {
+              return respond(ctx, { embeds: [embedError('Cooldown Error', `${usage}\nSeconds must be between 0 and ${MAX_COOLDOWN_SECONDS}.`)] });
+          }
+          cooldowns[def.name] = { seconds, scope };
+          saveConfig();
+          clearCommandCooldowns(gid, def.name);
+          return respond(ctx, { embeds: [embedSuccess('⏳ Cooldown Updated', `\`${def.name}\` cooldown: **${formatCooldown(getCommandCooldown(gid, def))}**.`)] });
+      }
+
+      if (action === 'reset') {
+          if (!cooldowns[def.name]) return respond(ctx, { embeds: [embedInfo('⏳ Cooldown', `\`${def.name}\` has no server override.`)] });
+          delete cooldowns[def.name];
+          saveConfig();
+          clearCommandCooldowns(gid, def.name);
+          return respond(ctx, { embeds: [embedSuccess('⏳ Cooldown Reset', `\`${def.name}\` is back to its default cooldown: **${formatCooldown(getCommandCooldown(gid, def))}**.`)] });
+      }
+
+      return respond(ctx, { embeds: [embedError('Invalid Action', usage)] });
+  },
+});
+
+defineCommand({
+  name: 'command',
+  category: 'config',
+  description: 'Enable, disable or restrict commands in this server.',
+  usage: '[status [command]|disable <command|category>|enable <command|category>|channels <command> <add|remove|clear> [#channel]|roles <command> <add|remove|clear> [@role]]',
+  permissions: [PermissionFlagsBits.ManageGuild],
+  subcommands: [
+    { name: 'status', description: 'Show the command policy, or the rules for one command.', args: [
+      { name: 'command', type: 'string', description: 'The command to show.' },
+    ] },
+    { name: 'disable', description: 'Disable a command or a whole category.', args: [
+      { name: 'name', type: 'string', description: 'Command or category name.', required: true },
+    ] },
+    { name: 'enable', description: 'Re-enable a command or a category.', args: [
+      { name: 'name', type: 'string', description: 'Command or category name.', required: true },
+    ] },
+    { name: 'channels', description: 'Limit a command to certain channels.', args: [
+      { name: 'command', type: 'string', description: 'The command to restrict.', required: true },
+      { name: 'operation', type: 'string', description: 'add, remove or clear', required: true, choices: ['add', 'remove', 'clear'] },
+      { name: 'channel', type: 'channel', description: 'The channel (or category) to allow.' },
+    ] },
+    { name: 'roles', description: 'Require one of certain roles to use a command.', args: [
+      { name: 'command', type: 'string', description: 'The command to restrict.', required: true },
+      { name: 'operation', type: 'string', description: 'add, remove or clear', required: true, choices: ['add', 'remove', 'clear'] },
+      { name: 'role', type: 'role', description: 'The role to require.' },
+    ] },
+  ],
+  run: async (ctx) => {
+      const gid = ctx.guild.id;
+      const policy = ensureGuildConfig(gid).commandPolicy;
+      if (!Array.isArray(policy.disabledCategories)) policy.disabledCategories = [];
+      if (!policy.commands) policy.commands = {};
+      const isSlash = ctx.isCommand?.();
+      const action = (isSlash ? ctx.options.getSubcommand(false) : ctx.args?.[0])?.toLowerCase() || 'status';
+      const usage = 'Usage: `..command disable|enable <command|category>`, `..command channels <command> <add|remove|clear> [#channel]`, `..command roles <command> <add|remove|clear> [@role]`';
+      const categories = Object.keys(COMMAND_CATEGORIES);
+
+      const saveRule = (name, rule) => {
+          if (!rule.disabled && !rule.channels.length && !rule.roles.length) delete policy.commands[name];
+          else policy.commands[name] = rule;
+          saveConfig();
+      };
+      const describeRule = (rule) => [
+          rule.disabled ? '**Disabled**' : null,
+          rule.channels.length ? `Channels: ${rule.channels.map(id => `<#${id}>`).join(', ')}` : null,
+          rule.roles.length ? `Roles: ${rule.roles.map(id => `<@&${id}>`).join(', ')}` : null,
+      ].filter(Boolean).join(' | ');
+
+      if (action === 'status') {
+          const name = isSlash ? ctx.options.getString('command') : ctx.args?.[1];
+          if (name) {
+              const def = getCommand(name);
+              if (!def) return respond(ctx, { embeds: [embedError('Command Policy Error', `Unknown command \`${name}\`.`)] });
+              const rule = getCommandRule(gid, def.name);
+              const categoryOff = getCommandPolicy(gid).disabledCategories.includes(def.category);
+              const lines = [describeRule(rule) || 'No restrictions.'];
+              if (categoryOff) lines.push(`The **${def.category}** category is disabled.`);
+              return respond(ctx, { embeds: [embedInfo(`🚦 Command Policy: ${def.name}`, lines.join('\n'))] });
+          }
+          const { disabledCategories, commands } = getCommandPolicy(gid);
+          const ruleLines = Object.entries(commands).map(([cmd, rule]) => `\`${cmd}\` - ${describeRule(getCommandRule(gid, cmd))}`);
+          const embed = embedInfo('🚦 Command Policy', ruleLines.length ? ruleLines.join('\n').substring(0, 4096) : 'No command rules. Every command is available.')
+              .addFields({ name: 'Disabled Categories', value: disabledCategories.length ? disabledCategories.map(c => `\`${c}\``).join(', ') : 'None', inline: false });
+          return respond(ctx, { embeds: [embed] });
+      }
+
+      if (action === 'disable' || action === 'enable') {
+          const name = (isSlash ? ctx.options.getString('name') : ctx.args?.[1])?.toLowerCase();
+          if (!name) return respond(ctx, { embeds: [embedError('Command Policy Error', usage)] });
+          const disable = action === 'disable';
+
+          if (categories.includes(name)) {
+              policy.disabledCategories = policy.disabledCategories.filter(c => c !== name);
+              if (disable) policy.disabledCategories.push(name);
+              saveConfig();
+              const note = disable && name === 'config' ? ' (`command` stays available so you can undo this)' : '';
+              return respond(ctx, { embeds: [embedSuccess(`🚦 Category ${disable ? 'Disabled' : 'Enabled'}`, `The **${COMMAND_CATEGORIES[name]}** category is now **${disable ? 'disabled' : 'enabled'}**${note}.`)] });
+          }
+
+          const def = getCommand(name);
+          if (!def) return respond(ctx, { embeds: [embedError('Command Policy Error', `Unknown command or category \`${name}\`. Categories: ${categories.map(c => `\`${c}\``).join(', ')}`)] });
+          if (POLICY_EXEMPT_COMMANDS.includes(def.name)) return respond(ctx, { embeds: [embedError('Command Policy Error', `\`${def.name}\` cannot be restricted.`)] });
+          saveRule(def.name, { ...getCommandRule(gid, def.name), disabled: disable });
+          let description = `\`${def.name}\` is now **${disable ? 'disabled' : 'enabled'}**.`;
+          if (!disable && getCommandPolicy(gid).disabledCategories.includes(def.category)) {
+              description += ` Its **${def.category}** category is still disabled.`;
+          }
+          return respond(ctx, { embeds: [embedSuccess(`🚦 Command ${disable ? 'Disabled' : 'Enabled'}`, description)] });
+      }
 
+      if (action === 'channels' || action === 'roles') {
+          const name = isSlash ? ctx.options.getString('command') : ctx.args?.[1];
+          const op = (isSlash ? ctx.options.getString('operation') : ctx.args?.[2])?.toLowerCase();
+          const def = name && getCommand(name);
+          if (!def || !['add', 'remove', 'clear'].includes(op)) {
+              return respond(ctx, { embeds: [embedError('Command Policy Error', def || !name ? usage : `Unknown command \`${name}\`.`)] });
+          }
+          if (POLICY_EXEMPT_COMMANDS.includes(def.name)) return respond(ctx, { embeds: [embedError('Command Policy Error', `\`${def.name}\` cannot be restricted.`)] });
+
+          const rule = getCommandRule(gid, def.name);
+          const kind = action === 'channels' ? 'channel' : 'role';
+          if (op === 'clear') {
+              rule[action] = [];
+              saveRule(def.name, rule);
+              return respond(ctx, { embeds: [embedSuccess('🚦 Command Policy Updated', `Removed all ${kind} limits from \`${def.name}\`.`)] });
+          }
+
+          const target = isSlash
+              ? (kind === 'channel' ? ctx.options.getChannel('channel') : ctx.options.getRole('role'))
+              : (ctx.args?.[3] ? await resolveArgToken(ctx.guild, { type: kind }, ctx.args[3]) : null);
+          if (!target) return respond(ctx, { embeds: [embedError('Command Policy Error', `Please provide a ${kind}. ${usage}`)] });
+          const mention = kind === 'channel' ? `<#${target.id}>` : `<@&${target.id}>`;
+
+          if (op === 'add') {
+              if (rule[action].includes(target.id)) return respond(ctx, { embeds: [embedInfo('🚦 Command Policy', `${mention} is already on the list for \`${def.name}\`.`)] });
+              if (rule[action].length >= 25) return respond(ctx, { embeds: [embedError('Command Policy Error', `A command can have at most **25** ${kind}s.`)] });
+              rule[action].push(target.id);
+          } else {
+              if (!rule[action].includes(target.id)) return respond(ctx, { embeds: [embedInfo('🚦 Command Policy', `${mention} is not on the list for \`${def.name}\`.`)] });
+              rule[action] = rule[action].filter(id => id !== target.id);
+          }
+          saveRule(def.name, rule);
+          return respond(ctx, { embeds: [embedSuccess('🚦 Command Policy Updated', `\`${def.name}\`: ${describeRule(rule) || 'No restrictions.'}`)] });
+      }
+
+      return respond(ctx, { embeds: [embedError('Invalid Action', usage)] });
+  },
+});
 
 /* ============================================================
    Slash Command Builder Registration
    (Ensures prefix and slash parity where possible)
    ============================================================ */
 
-// Build Slash Commands
-const slashCommandData = [
-    new SlashCommandBuilder().setName('help').setDescription('Shows the bot\'s help menu and command list.'),
-    new SlashCommandBuilder().setName('ping').setDescription('Checks the bot\'s latency.'),
-    new SlashCommandBuilder().setName('uptime').setDescription('Shows the bot\'s uptime.'),
-    new SlashCommandBuilder().setName('prefix').setDescription('View or change the server prefix.').addStringOption(option => 
-        option.setName('new_prefix').setDescription('The new prefix to set (max 5 characters).').setRequired(false)
-    ),
-    new SlashCommandBuilder().setName('clear').setDescription('Bulk delete messages in the channel.').addIntegerOption(option =>
-        option.setName('amount').setDescription('Number of messages to delete (1-100).').setRequired(false)
-    ),
-    new SlashCommandBuilder().setName('kick').setDescription('Kicks a member from the server.').addUserOption(option =>
-        option.setName('user').setDescription('The member to kick.').setRequired(true)
-    ),
-    new SlashCommandBuilder().setName('ban').setDescription('Bans a member from the server.').addUserOption(option =>
-        option.setName('user').setDescription('The member to ban.').setRequired(true)
-    ).addStringOption(option =>
-        option.setName('reason').setDescription('Reason for the ban.').setRequired(false)
-    ),
-    // Added Tempban and Softban Slash commands
-    new SlashCommandBuilder().setName('tempban').setDescription('Temporarily bans a user.').addUserOption(option =>
-        option.setName('user').setDescription('The member to tempban.').setRequired(true)
-    ).addStringOption(option =>
-        option.setName('duration').setDescription('Duration (e.g., 1h, 30m, 5d).').setRequired(true)
-    ),
-    new SlashCommandBuilder().setName('softban').setDescription('Bans, deletes messages, then unbans a user.').addUserOption(option =>
-        option.setName('user').setDescription('The member to softban.').setRequired(true)
-    ),
-    new SlashCommandBuilder().setName('unban').setDescription('Unbans a user using their ID.').addStringOption(option =>
-        option.setName('user_id').setDescription('The ID of the user to unban.').setRequired(true)
-    ),
-    new SlashCommandBuilder().setName('mute').setDescription('Times out a member for a duration.').addUserOption(option =>
-        option.setName('user').setDescription('The member to mute.').setRequired(true)
-    ).addStringOption(option =>
-        option.setName('duration').setDescription('Duration (e.g., 1h, 30m, 5d).').setRequired(false)
-    ).addStringOption(option =>
-        option.setName('reason').setDescription('Reason for the mute.').setRequired(false)
-    ),
-    new SlashCommandBuilder().setName('unmute').setDescription('Removes timeout/mute from a member.').addUserOption(option =>
-        option.setName('user').setDescription('The member to unmute.').setRequired(true)
-    ),
-    new SlashCommandBuilder().setName('warn').setDescription('Warns a user.').addUserOption(option =>
-        option.setName('user').setDescription('The member to warn.').setRequired(true)
-    ).addStringOption(option =>
-        option.setName('reason').setDescription('Reason for the warning.').setRequired(false)
-    ),
-    new SlashCommandBuilder().setName('warnings').setDescription('View a user\'s warnings.').addUserOption(option =>
-        option.setName('user').setDescription('The member to view warnings for.').setRequired(false)
-    ),
-    new SlashCommandBuilder().setName('nukemode').setDescription('Manually activate or deactivate emergency safe mode.').addStringOption(option =>
-        option.setName('action').setDescription('on or off').setRequired(false).addChoices({name: 'on', value: 'on'}, {name: 'off', value: 'off'})
-    ),
-    new SlashCommandBuilder().setName('antilink').setDescription('Toggle Anti-Link protection.').addStringOption(option =>
-        option.setName('action').setDescription('on or off').setRequired(false).addChoices({name: 'on', value: 'on'}, {name: 'off', value: 'off'})
-    ),
-    new SlashCommandBuilder().setName('setmodlog').setDescription('Set the channel for moderation action logging.').addChannelOption(option =>
-        option.setName('channel').setDescription('The channel to log mod actions to (leave blank to disable).').setRequired(false).addChannelTypes(ChannelType.GuildText)
-    ),
-    new SlashCommandBuilder().setName('level').setDescription('Check your current level and XP.').addUserOption(option =>
-        option.setName('user').setDescription('The member to check the level for.').setRequired(false)
-    ),
-    new SlashCommandBuilder().setName('leaderboard').setDescription('Shows the server\'s top 10 leveled members.'),
-    new SlashCommandBuilder().setName('enable').setDescription('View or toggle various security settings.'),
-];
+// Build Slash Commands from the command definitions
+const slashCommandData = Object.values(commandMeta).map(buildSlashCommand);
 
 client.slashCommands = slashCommandData.map(command => command.toJSON());
 
@@ -1724,6 +6270,14 @@ client.on('ready', () => {
     setInterval(updatePresence, 7000);
 
     registerSlashCommands().catch(e => console.error('Failed to register commands on ready', e));
+
+    // Re-arm persisted tempban unbans (fires overdue ones immediately)
+    rehydrateJobs();
+
+    // Snapshot invite uses where a welcome template needs {inviter}
+    for (const guild of client.guilds.cache.values()) {
+        if (usesInviter(guild.id)) cacheGuildInvites(guild).catch(()=>{});
+    }
 });
 
 client.on('interactionCreate', async interaction => {
@@ -1733,12 +6287,11 @@ client.on('interactionCreate', async interaction => {
   if (interaction.isCommand()) {
     const ctx = buildCtxFromInteraction(interaction);
     const commandName = ctx.commandName;
-    const normalizedKey = normalizeCommandKey(commandName);
-    const handler = commandsMap[normalizedKey];
+    const def = commandMeta[normalizeCommandKey(commandName)];
 
-    if (handler) {
+    if (def) {
       try {
-        await handler(ctx);
+        await runCommand(ctx, def);
       } catch (e) {
         console.error(`Command ${commandName} failed:`, e);
         const errorEmbed = embedError('Command Error', 'An unexpected error occurred while running this command.');
@@ -1783,7 +6336,11 @@ client.on('interactionCreate', async interaction => {
             case 'nuke_mode':
                 // Nuke mode toggle should call the manual commands for proper setup/cleanup logic
                 if (config[gid].nukemode) {
-                    await deactivateSafeMode(interaction.guild);
+                    // Show the restore report instead of the generic toggle confirmation
+                    const report = await deactivateSafeMode(interaction.guild);
+                    return interaction.editReply({ embeds: [buildSafeModeRestoreEmbed(report)], components: [] }).catch(()=>{
+                        return interaction.followUp({ embeds: [buildSafeModeRestoreEmbed(report)], ephemeral: true });
+                    });
                 } else {
                     await activateSafeMode(interaction.guild);
                 }
@@ -1792,21 +6349,33 @@ client.on('interactionCreate', async interaction => {
                 requiresManualCheck = true;
                 break;
             case 'raid_mode':
-                // Use Antispam as a toggle for "Raid Mode" proxy
-                config[gid].automod.antispam.enabled = !config[gid].automod.antispam.enabled;
-                status = config[gid].automod.antispam.enabled ? 'Enabled (Antispam Proxy)' : 'Disabled';
-                settingName = 'Raid Mode (Antispam)';
+                // Toggles detection only; an active lockdown is lifted with `raid end`
+                config[gid].antiraid.enabled = !config[gid].antiraid.enabled;
+                status = config[gid].antiraid.enabled ? 'Enabled' : 'Disabled';
+                if (isRaidActive(gid)) status += '. A lockdown is still active; use `raid end` to lift it';
+                settingName = 'Raid Detection';
                 break;
             case 'leveling_system':
                 config[gid].levelingEnabled = !config[gid].levelingEnabled;
                 status = config[gid].levelingEnabled ? 'Enabled' : 'Disabled';
                 settingName = 'Leveling System';
                 break;
+            case 'banning_members':
+            case 'deleting_roles':
+            case 'deleting_channels':
+            case 'adding_bots': {
+                // Anti-nuke protection categories; trusted actors are managed with `antinuke whitelist`
+                const category = ENABLE_MENU_ANTINUKE_VALUES[selectedValue];
+                const protections = config[gid].antinuke.protections;
+                protections[category] = protections[category] === false;
+                status = protections[category] ? 'Enabled' : 'Disabled';
+                settingName = `${ANTINUKE_CATEGORIES[category]} Protection`;
+                break;
+            }
             default:
-                // For security settings that require more complex sub-commands (like whitelisting)
                 return interaction.editReply({ 
-                    embeds: [embedWarn('Configuration Required', `The security setting **${selectedValue.replace(/_/g, ' ').toUpperCase()}** toggled **monitored**. Use specific commands (like \`..wordfilter\`) to manage details like whitelists.`)], 
-                    components: interaction.message.components,
+                    embeds: [embedWarn('Unknown Setting', `The setting **${selectedValue.replace(/_/g, ' ').toUpperCase()}** is not recognised.`)], 
+                    components: [],
                     ephemeral: true 
                 });
         }
@@ -1816,7 +6385,6 @@ client.on('interactionCreate', async interaction => {
             ? embedSuccess('✅ Nuke Mode Toggled', `**${settingName}** has been **${status}**. Check the dedicated \`..nukemode\` command for full status.`)
             : embedSuccess('✅ Setting Toggled', `**${settingName}** has been **${status}**. Config saved.`);
 
-
         // Update the original message to reflect the change and remove the selector
         return interaction.editReply({ embeds: [embed], components: [] , ephemeral: true }).catch(()=>{
             // fallback if edit fails
@@ -1827,12 +6395,26 @@ client.on('interactionCreate', async interaction => {
 
 
   if (interaction.isButton()) {
-    // Handle button interactions here if needed
+    // Warnings pagination: warnings:<userId>:<page>
+    if (interaction.customId.startsWith('warnings:')) {
+        if (!hasModPermission(interaction)) {
+            return interaction.reply({ embeds: [embedError('Permission Denied', 'Need Manage Messages or Manage Guild')], ephemeral: true }).catch(()=>{});
+        }
+        const [, userId, pageStr] = interaction.customId.split(':');
+        const user = await client.users.fetch(userId).catch(() => null) || { id: userId, tag: userId };
+        return interaction.update(buildWarningsPage(interaction.guild.id, user, parseInt(pageStr, 10) || 0)).catch(()=>{});
+    }
+
+    if (interaction.customId === 'verify:start') {
+        return handleVerifyButton(interaction).catch(e => console.error('Verify button failed:', e));
+    }
   }
 
-  // Handle Modal Submits here if needed
+  // Handle Modal Submits
   if (interaction.isModalSubmit()) {
-    // Handle modal submits here
+    if (interaction.customId === 'verify:answer') {
+        return handleVerifyModal(interaction).catch(e => console.error('Verify modal failed:', e));
+    }
   }
 });
 
@@ -1846,17 +6428,16 @@ client.on('messageCreate', async message => {
 
   // 1. Prefix Command Handler (Always available in all guilds)
   if (message.content.startsWith(prefix)) {
-    const args = message.content.slice(prefix.length).trim().split(/ +/);
+    const args = tokenizeArgs(message.content.slice(prefix.length));
     const commandName = args.shift()?.toLowerCase();
-    const normalizedKey = normalizeCommandKey(commandName);
-    const handler = commandsMap[normalizedKey];
+    const def = getCommand(commandName);
 
-    if (handler) {
+    if (def) {
       // Attach args to message object for handler use
       message.args = args;
       const ctx = buildCtxFromMessage(message);
       try {
-        await handler(ctx);
+        await runCommand(ctx, def);
       } catch (e) {
         console.error(`Prefix command ${commandName} failed:`, e);
         respond(message, { embeds: [embedError('Command Error', 'An unexpected error occurred while running this command.')] }).catch(()=>{});
@@ -1865,77 +6446,46 @@ client.on('messageCreate', async message => {
     }
   }
 
-  // 2. Automod: Anti-Link Check (Enhanced with Whitelist)
-  if (guildConfig.automod.antilink) {
-    // Basic regex to find URLs (http/https not required for parsing later)
-    const urlRegex = /(https?:\/\/(?:www\.|(?!www))[a-zA-Z0-9][a-zA-Z0-9-]+[a-zA-Z0-9]\.[^\s]{2,}|www\.[a-zA-Z0-9][a-zA-Z0-9-]+[a-zA-Z0-9]\.[^\s]{2,}|https?:\/\/(?:www\.|(?!www))[a-zA-Z0-9]+\.[^\s]{2,}|www\.[a-zA-Z0-9]+\.[^\s]{2,})/gi;
-    const links = message.content.match(urlRegex);
-
-    if (links && links.length > 0) {
-        let isSuspicious = false;
-        for (const link of links) {
-            try {
-                let url;
-                // Prepend http:// for parsing if protocol is missing
-                const formattedLink = link.startsWith('http') ? link : 'http://' + link;
-                url = new URL(formattedLink);
+  // Automod whitelists (channels, roles, users, moderators) skip checks 2-4
+  const automodExempt = isAutomodExempt(message);
 
-                let hostname = url.hostname.toLowerCase();
-                // Remove www. prefix if present
-                if (hostname.startsWith('www.')) {
-                    hostname = hostname.substring(4);
-                }
-
-                // Check if the link's hostname or any of its subdomains is in the SAFE_DOMAINS list
-                const isSafe = SAFE_DOMAINS.some(safeDomain => hostname === safeDomain || hostname.endsWith('.' + safeDomain));
-
-                if (!isSafe) {
-                    isSuspicious = true;
-                    break;
-                }
-            } catch (e) {
-                // If link cannot be parsed (e.g., highly obfuscated/malformed), treat as suspicious
-                isSuspicious = true; 
-                break;
-            }
-        }
+  // 2a. Phishing / scam links (independent of antilink; applies to whitelisted members too,
+  //     since compromised staff accounts are a common source of scam links)
+  if (guildConfig.automod.phishing?.enabled !== false) {
+    const phishingResult = scanMessageForPhishing(message.content);
+    if (phishingResult && await handlePhishingMessage(message, phishingResult)) return;
+  }
 
-        if (isSuspicious) {
-            await message.delete().catch(()=>{});
-            const warning = await message.channel.send({ embeds: [embedWarn('🔗 Suspicious Link Blocked', `<@${message.author.id}>: Only links from approved services are allowed. Suspicious link blocked.`)] }).catch(()=>{});
-            if (warning) setTimeout(() => warning.delete().catch(()=>{}), 5000); // Auto-delete warning
-            return;
-        }
+  // 2b. Automod: Anti-Link Check (Enhanced with Whitelist + per-guild rules)
+  if ((guildConfig.automod.antilink || getLinkRules(gid).blockInvites) && !automodExempt) {
+    const blocked = await findBlockedLink(message);
+    if (blocked) {
+        await message.delete().catch(()=>{});
+        const warning = await message.channel.send({ embeds: [embedWarn('🔗 Suspicious Link Blocked', `<@${message.author.id}>: ${blocked}`)] }).catch(()=>{});
+        if (warning) setTimeout(() => warning.delete().catch(()=>{}), 5000); // Auto-delete warning
+        return;
     }
   }
 
-  // 3. Automod: Word Filter Check (Basic Check)
-  if (guildConfig.automod.wordfilter.enabled && guildConfig.automod.wordfilter.bannedWords.length > 0) {
-      const contentLower = message.content.toLowerCase();
-      const hasBannedWord = guildConfig.automod.wordfilter.bannedWords.some(word => contentLower.includes(word.toLowerCase()));
+  // 3. Automod: Word Filter Check (normalized, per-entry match modes)
+  if (guildConfig.automod.wordfilter.enabled && guildConfig.automod.wordfilter.bannedWords.length > 0 && !automodExempt
+      && !(guildConfig.automod.wordfilter.exemptChannels || []).includes(message.channel.id)) {
+      const matched = findBannedWord(gid, message.content);
 
-      if (hasBannedWord) {
+      if (matched) {
           await message.delete().catch(()=>{});
-          const warning = await message.channel.send({ embeds: [embedWarn('🗣️ Word Filter Blocked', `<@${message.author.id}>: Your message contained a filtered word.`)].catch(()=>{}) });
+          const warning = await message.channel.send({ embeds: [embedWarn('🗣️ Word Filter Blocked', `<@${message.author.id}>: Your message contained a filtered word.`)] }).catch(()=>{});
           if (warning) setTimeout(() => warning.delete().catch(()=>{}), 5000);
           return;
       }
   }
 
 
-  // 4. Automod: Anti-Spam Check
-  if (guildConfig.automod.antispam.enabled) {
-    const count = recordMessageForSpam(gid, message.author.id);
-    if (count > guildConfig.automod.antispam.max) {
-        // Punish spammers: delete and optionally mute/timeout
-        await message.delete().catch(()=>{});
-        const member = message.member;
-        if (member && member.moderatable && !member.communicationDisabledUntil) {
-            // Apply a short timeout (e.g., 5 minutes)
-            await member.timeout(5 * 60 * 1000, 'Automatic antispam timeout').catch(()=>{});
-            const timeoutWarning = await message.channel.send({ embeds: [embedWarn('🚫 Spam Detected', `<@${message.author.id}> has been timed out for 5 minutes for spamming.`)] }).catch(()=>{});
-            if (timeoutWarning) setTimeout(() => timeoutWarning.delete().catch(()=>{}), 5000);
-        }
+  // 4. Automod: Anti-Spam Check (flood, duplicates, mentions, caps, emoji, newlines)
+  if (guildConfig.automod.antispam.enabled && !automodExempt) {
+    const spam = detectSpam(message);
+    if (spam) {
+        await applySpamPunishment(message, spam);
         return;
     }
   }
@@ -1945,16 +6495,18 @@ client.on('messageCreate', async message => {
     const userId = message.author.id;
     const now = Date.now();
 
-    if (!lastXp.has(userId) || now - lastXp.get(userId) > XP_COOLDOWN_MS) {
+    const cooldownKey = `${gid}:${userId}`;
+
+    if (!lastXp.has(cooldownKey) || now - lastXp.get(cooldownKey) > XP_COOLDOWN_MS) {
         // 15 to 25 XP per message
         const xpGain = Math.floor(Math.random() * (25 - 15 + 1)) + 15;
 
-        users[userId] = users[userId] || { xp: 0, level: 0, warns: [] };
-        users[userId].xp += xpGain;
-        lastXp.set(userId, now);
+        const userData = getUserData(gid, userId);
+        userData.xp += xpGain;
+        lastXp.set(cooldownKey, now);
 
         // Check for level up
-        checkLevelUp(message.member, message.channel, users[userId].level, users[userId].xp);
+        checkLevelUp(message.member, message.channel, userData.level, userData.xp);
     }
   }
 
@@ -1964,28 +6516,127 @@ client.on('messageCreate', async message => {
 // Guild Events for Anti-Nuke Detection
 client.on('channelDelete', channel => {
     if (!channel.guild) return;
-    recordEvent('channelDeletes', { guildId: channel.guild.id, channelId: channel.id });
-    if (checkForNuke(channel.guild.id) && config[channel.guild.id]?.nukemode !== true) {
-        activateSafeMode(channel.guild).catch(e => console.error('Failed to auto-activate safe mode on channel delete:', e));
-    }
+    handleAntiNukeEvent(channel.guild, 'channelDeletes', channel.id, { channelId: channel.id })
+        .catch(e => console.error('Anti-nuke channel delete handling failed:', e));
 });
 
 client.on('roleDelete', role => {
     if (!role.guild) return;
-    recordEvent('roleDeletes', { guildId: role.guild.id, roleId: role.id });
-    if (checkForNuke(role.guild.id) && config[role.guild.id]?.nukemode !== true) {
-        activateSafeMode(role.guild).catch(e => console.error('Failed to auto-activate safe mode on role delete:', e));
-    }
+    handleAntiNukeEvent(role.guild, 'roleDeletes', role.id, { roleId: role.id })
+        .catch(e => console.error('Anti-nuke role delete handling failed:', e));
 });
 
 client.on('guildBanAdd', ban => {
     if (!ban.guild) return;
-    recordEvent('bans', { guildId: ban.guild.id, userId: ban.user.id });
-    if (checkForNuke(ban.guild.id) && config[ban.guild.id]?.nukemode !== true) {
-        activateSafeMode(ban.guild).catch(e => console.error('Failed to auto-activate safe mode on ban:', e));
+    handleAntiNukeEvent(ban.guild, 'bans', ban.user.id, { userId: ban.user.id })
+        .catch(e => console.error('Anti-nuke ban handling failed:', e));
+});
+
+client.on('guildMemberRemove', member => {
+    if (!member.guild || member.id === client.user.id) return;
+    // Only counted if the audit log shows a kick; plain leaves are ignored
+    handleAntiNukeEvent(member.guild, 'kicks', member.id, { userId: member.id })
+        .catch(e => console.error('Anti-nuke kick handling failed:', e));
+});
+
+client.on('webhooksUpdate', channel => {
+    if (!channel.guild) return;
+    handleAntiNukeEvent(channel.guild, 'webhookCreates', e => e.target?.channelId === channel.id, { channelId: channel.id })
+        .catch(e => console.error('Anti-nuke webhook handling failed:', e));
+});
+
+client.on('channelCreate', channel => {
+    if (!channel.guild) return;
+    handleAntiNukeEvent(channel.guild, 'channelCreates', channel.id, { channelId: channel.id })
+        .catch(e => console.error('Anti-nuke channel create handling failed:', e));
+});
+
+client.on('roleCreate', role => {
+    if (!role.guild) return;
+    handleAntiNukeEvent(role.guild, 'roleCreates', role.id, { roleId: role.id })
+        .catch(e => console.error('Anti-nuke role create handling failed:', e));
+});
+
+client.on('roleUpdate', (oldRole, newRole) => {
+    if (!newRole.guild) return;
+    // Only escalations count: the role gained at least one dangerous permission
+    const gained = NUKE_DANGEROUS_PERMS.some(p => newRole.permissions.has(p, false) && !oldRole.permissions.has(p, false));
+    if (!gained) return;
+    handleAntiNukeEvent(newRole.guild, 'roleEscalations', newRole.id, { roleId: newRole.id })
+        .catch(e => console.error('Anti-nuke role escalation handling failed:', e));
+});
+
+// Member joins: anti-bot-add protection for bot accounts
+client.on('guildMemberAdd', member => {
+    if (member.user.bot) {
+        handleBotAdd(member).catch(e => console.error('Anti-bot-add handling failed:', e));
+        return;
+    }
+    // Invite uses are diffed right away, before other joins can change them
+    const inviterLookup = usesInviter(member.guild.id) ? findInviter(member.guild).catch(() => null) : null;
+    Promise.all([
+        handleRaidJoin(member).catch(e => console.error('Anti-raid join handling failed:', e)),
+        handleVerificationJoin(member).catch(e => { console.error('Verification join handling failed:', e); return true; }),
+    ])
+        .then(([, admitted]) => handleWelcomeJoin(member, admitted, inviterLookup))
+        .catch(e => console.error('Welcome message failed:', e));
+    // Restore earned level rewards; behind the verification gate this waits until the member verifies
+    const verification = getVerificationSettings(member.guild.id);
+    const level = peekUserData(member.guild.id, member.id).level;
+    if (level > 0 && !(verification.enabled && verification.roleId)) {
+        applyLevelRoles(member, level).catch(e => console.error('Level role restore failed:', e));
+    }
+});
+
+// Event logging (see logEvent); partial messages/members are handled by the loggers
+client.on('messageDelete', message => {
+    logMessageDelete(message).catch(e => console.error('Message delete logging failed:', e));
+});
+
+client.on('messageUpdate', (oldMessage, newMessage) => {
+    logMessageUpdate(oldMessage, newMessage).catch(e => console.error('Message update logging failed:', e));
+});
+
+client.on('guildMemberAdd', member => {
+    logMemberJoin(member).catch(e => console.error('Member join logging failed:', e));
+});
+
+client.on('guildMemberRemove', member => {
+    if (member.id === client.user.id) return;
+    logMemberLeave(member).catch(e => console.error('Member leave logging failed:', e));
+    const ungreeted = ungreetedMembers.delete(`${member.guild.id}:${member.id}`);
+    if (!member.user.bot && !ungreeted && !isRaidActive(member.guild.id)) {
+        sendGreeting(member, 'goodbye').catch(e => console.error('Goodbye message failed:', e));
     }
 });
 
+// Keep invite use counts current for {inviter}. Deleted invites are left in the
+// snapshot until the next join so a consumed single-use invite can still be matched.
+client.on('inviteCreate', invite => {
+    if (!invite.guild || !inviteUses.has(invite.guild.id)) return;
+    inviteUses.get(invite.guild.id).set(invite.code, { uses: invite.uses || 0, inviterId: invite.inviter?.id || null });
+});
+
+
+client.on('guildMemberUpdate', (oldMember, newMember) => {
+    logMemberUpdate(oldMember, newMember).catch(e => console.error('Member update logging failed:', e));
+});
+
+client.on('channelCreate', channel => {
+    if (!channel.guild) return;
+    logChannelCreate(channel).catch(e => console.error('Channel create logging failed:', e));
+});
+
+client.on('channelUpdate', (oldChannel, newChannel) => {
+    if (!newChannel.guild) return;
+    logChannelUpdate(oldChannel, newChannel).catch(e => console.error('Channel update logging failed:', e));
+});
+
+client.on('roleUpdate', (oldRole, newRole) => {
+    if (!newRole.guild) return;
+    logRoleUpdate(oldRole, newRole).catch(e => console.error('Role update logging failed:', e));
+});
+
 // Guild Leave/Delete: Clean up configuration
 client.on('guildDelete', guild => {
     if (!guild || !guild.id) return;
@@ -1994,6 +6645,11 @@ client.on('guildDelete', guild => {
         saveConfig();
         log(`Cleaned config for departed guild: ${guild.id}`);
     }
+    getGuildJobs(guild.id).forEach(j => cancelJob(j.id));
+    if (raidStates[guild.id]) {
+        delete raidStates[guild.id];
+        saveRaidStates();
+    }
 });
 
 
@@ -2015,8 +6671,6 @@ client.login(TOKEN).catch(e => {
 /* ============================================================
    Notes and TODOs (administration)
    - This file is intentionally extensive; production tweaks:
- * - Persist safe-mode role permission backups to restore after nukemode
- * - Use a job scheduler or database for tempban unbans (current setTimeout lost on restart)
  * - Add more robust command argument parsing and slash subcommands
  * - Integrate with external services (image generation, meme APIs, translation)
  * - Add comprehensive unit tests where possible
@@ -2026,39 +6680,3 @@ client.login(TOKEN).catch(e => {
 /* ============================================================
    End of file
    ============================================================ */
-// === New Leveling Commands ===
-commandsMap['xp'] = async (ctx) => {
-    const target = ctx.isCommand?.()
-      ? (ctx.options.getUser('user') || ctx.user)
-      : (ctx.mentions?.users?.first() || ctx.author);
-    const gid = ctx.guild.id;
-    ensureGuildConfig(gid);
-    if (!config[gid].levelingEnabled) {
-        return respond(ctx, { embeds: [embedInfo('Leveling Disabled', 'Leveling system is disabled on this server.')] });
-    }
-    const userData = users[target.id] || { xp: 0, level: 0 };
-    const embed = new EmbedBuilder()
-      .setTitle(`📊 XP for ${target.tag}`)
-      .setDescription(`Level: **${userData.level}**\nXP: **${userData.xp}** / ${xpFormula(userData.level)} for next level`)
-      .setColor(EMBED_COLOR_LEVEL);
-    return respond(ctx, { embeds: [embed] });
-};
-
-commandsMap['enable_leveling'] = async (ctx) => {
-    if (!hasManageGuild(ctx)) return respond(ctx, { embeds: [embedError('Permission Denied', 'Need Manage Guild')] });
-    const gid = ctx.guild.id;
-    ensureGuildConfig(gid);
-    config[gid].levelingEnabled = true;
-    saveConfig();
-    return respond(ctx, { embeds: [embedSuccess('✅ Leveling Enabled', 'The leveling system is now active.')] });
-};
-
-commandsMap['disable_leveling'] = async (ctx) => {
-    if (!hasManageGuild(ctx)) return respond(ctx, { embeds: [embedError('Permission Denied', 'Need Manage Guild')] });
-    const gid = ctx.guild.id;
-    ensureGuildConfig(gid);
-    config[gid].levelingEnabled = false;
-    saveConfig();
-    return respond(ctx, { embeds: [embedWarn('🚫 Leveling Disabled', 'The leveling system has been disabled.')] });
-};
-